@@ -0,0 +1,167 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { decodeHTML } from 'entities';
+import { graphDownload } from './graphClient.js';
+import { getGraphApiBase } from './endpoints.js';
+
+/**
+ * Downloads the images and files a conversation refers to, so they can be
+ * indexed alongside the export.
+ *
+ * Inline images (chat and channel hostedContents) and SharePoint/OneDrive
+ * file attachments are saved to an `assets` folder next to the export. Files
+ * are named after a hash of their content, so the same screenshot or document
+ * shared several times (or in several exports in the same folder) is stored once.
+ *
+ * Each downloaded message gets a `localAssets` map from the image src or
+ * attachment ID to the file's path relative to the export, which the
+ * markdown generator uses for links.
+ */
+
+const ASSETS_DIR_NAME = 'assets';
+const MAX_ASSET_BYTES = 100 * 1024 * 1024;
+
+const IMAGE_EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/bmp': '.bmp',
+  'image/svg+xml': '.svg',
+};
+
+/**
+ * Returns the assets folder for an export
+ * @param {string} outputPath - Export file path
+ * @returns {string} Assets directory path
+ */
+export function getAssetsDir(outputPath) {
+  return path.join(path.dirname(outputPath), ASSETS_DIR_NAME);
+}
+
+/**
+ * Downloads inline images and file attachments of messages into the assets folder
+ * @param {string} accessToken - OAuth2 access token
+ * @param {Array} messages - Messages to process (each gets a localAssets map)
+ * @param {string} outputPath - Export file path
+ * @returns {Promise<Object>} { downloaded, reused, failed, errors } - downloaded counts files
+ *   written, reused counts references to a file already stored; failures don't stop the export
+ */
+export async function downloadMessageAssets(accessToken, messages, outputPath) {
+  const assetsDir = getAssetsDir(outputPath);
+  // The same image or file is often referenced more than once in a run
+  const downloads = new Map();
+  const summary = { downloaded: 0, reused: 0, failed: 0, errors: [] };
+  const linkedFiles = new Set();
+
+  const download = (url, extension) => {
+    if (!downloads.has(url)) {
+      downloads.set(url, saveAsset(accessToken, url, extension, assetsDir));
+    }
+    return downloads.get(url);
+  };
+
+  // One download at a time keeps memory bounded for large files
+  for (const msg of messages) {
+    const references = [
+      ...findHostedImages(msg).map((image) => ({
+        key: image.src,
+        label: 'inline image',
+        url: image.url,
+        extension: null,
+      })),
+      ...findFileAttachments(msg).map((att) => ({
+        key: att.id,
+        label: att.name || 'file attachment',
+        url: getShareDownloadUrl(att.contentUrl),
+        extension: path.extname(att.name || '').toLowerCase(),
+      })),
+    ];
+
+    for (const reference of references) {
+      try {
+        const { fileName, written } = await download(reference.url, reference.extension);
+        msg.localAssets = msg.localAssets || {};
+        msg.localAssets[reference.key] = `${ASSETS_DIR_NAME}/${fileName}`;
+        if (written && !linkedFiles.has(fileName)) {
+          summary.downloaded++;
+        } else {
+          summary.reused++;
+        }
+        linkedFiles.add(fileName);
+      } catch (error) {
+        summary.failed++;
+        summary.errors.push(`${reference.label}: ${error.response ? `HTTP ${error.response.status}` : error.message}`);
+      }
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Downloads one asset and stores it under its content hash
+ * @returns {Promise<Object>} { fileName, written } - file name inside the assets folder,
+ *   and whether it was written rather than already stored
+ */
+async function saveAsset(accessToken, url, extension, assetsDir) {
+  const response = await graphDownload(accessToken, url, MAX_ASSET_BYTES);
+  const contentType = (response.headers?.['content-type'] || '').split(';')[0].trim();
+  const hash = crypto.createHash('sha256').update(response.data).digest('hex').substring(0, 16);
+  const fileName = `${hash}${extension || IMAGE_EXTENSIONS[contentType] || ''}`;
+  const filePath = path.join(assetsDir, fileName);
+
+  if (fs.existsSync(filePath)) {
+    return { fileName, written: false };
+  }
+
+  fs.mkdirSync(assetsDir, { recursive: true });
+  // Write then rename, so concurrent exports never see a partial file
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, response.data);
+  fs.renameSync(tempPath, filePath);
+  return { fileName, written: true };
+}
+
+/**
+ * Finds inline images stored as hostedContents in an HTML message body
+ * @returns {Array} { src, url } - original src and the Graph URL to download it from
+ */
+function findHostedImages(msg) {
+  if (msg.body?.contentType !== 'html' || !msg.body.content) {
+    return [];
+  }
+
+  const images = [];
+  const imgPattern = /<img\b[^>]*\bsrc="([^"]+)"/gi;
+  let match;
+
+  while ((match = imgPattern.exec(msg.body.content)) !== null) {
+    const src = decodeHTML(match[1]);
+    // Only follow the Graph path, never the src host, so the token can't leak elsewhere
+    const hostedPath = src.match(/\/((?:chats|teams)\/.+\/hostedContents\/[^/]+\/\$value)$/);
+    if (hostedPath) {
+      images.push({ src, url: `${getGraphApiBase()}/${hostedPath[1]}` });
+    }
+  }
+
+  return images;
+}
+
+/**
+ * Finds SharePoint/OneDrive file attachments
+ */
+function findFileAttachments(msg) {
+  return (msg.attachments || []).filter(
+    (att) => att.contentType === 'reference' && att.id && /^https:\/\//i.test(att.contentUrl || '')
+  );
+}
+
+/**
+ * Builds the Graph shares URL that downloads a SharePoint/OneDrive file by its link
+ */
+function getShareDownloadUrl(contentUrl) {
+  const shareId = `u!${Buffer.from(contentUrl, 'utf8').toString('base64url')}`;
+  return `${getGraphApiBase()}/shares/${shareId}/driveItem/content`;
+}
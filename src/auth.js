@@ -1,45 +1,84 @@
 import axios from 'axios';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
+import fs from 'fs';
+import {
+  isTokenCacheEnabled,
+  findCachedTokens,
+  saveCachedTokens,
+  removeCachedTokens,
+} from './tokenCache.js';
+import { getAuthorityHost, getGraphEndpoint } from './endpoints.js';
 
 dotenv.config();
 
+// openid/profile give us an ID token to identify the account in the token cache
+const DELEGATED_PERMISSIONS = [
+  'ChatMessage.Read',
+  'Chat.Read',
+  'ChannelMessage.Read.All',
+  'Team.ReadBasic.All',
+  'Channel.ReadBasic.All',
+  'User.Read',
+];
+
+// Only requested to download shared files (--download-assets), as it needs admin consent
+const FILES_PERMISSION = 'Files.Read.All';
+
+// Refresh access tokens this long before they actually expire
+const TOKEN_EXPIRY_SKEW_MS = 5 * 60 * 1000;
+
+// Warn in validate when the client certificate expires within this window
+const CERT_EXPIRY_WARNING_MS = 30 * 24 * 60 * 60 * 1000;
+
 /**
  * Acquires an OAuth2 access token based on configured auth mode
  * @param {Function} onDeviceCodeCallback - Called when device code is ready (for delegated flow)
+ * @param {Object} options - Token options
+ * @param {boolean} options.readFiles - Also request access to shared files (delegated flow)
  * @returns {Promise<string>} Access token
  */
-export async function getAccessToken(onDeviceCodeCallback = null) {
+export async function getAccessToken(onDeviceCodeCallback = null, options = {}) {
   const authMode = process.env.AUTH_MODE || 'application';
 
   if (authMode === 'delegated') {
-    return getAccessTokenDelegated(onDeviceCodeCallback);
+    return getAccessTokenDelegated(onDeviceCodeCallback, !!options.readFiles);
   } else {
     return getAccessTokenApplication();
   }
 }
 
 /**
- * Acquires an OAuth2 access token using client credentials flow (application permissions)
+ * Acquires an OAuth2 access token using client credentials flow (application permissions).
+ * Authenticates with a certificate-signed client assertion when CLIENT_CERT_PATH is set,
+ * otherwise with CLIENT_SECRET.
  * @returns {Promise<string>} Access token
  */
 async function getAccessTokenApplication() {
-  const { TENANT_ID, CLIENT_ID, CLIENT_SECRET } = process.env;
+  const { TENANT_ID, CLIENT_ID, CLIENT_SECRET, CLIENT_CERT_PATH } = process.env;
 
-  if (!TENANT_ID || !CLIENT_ID || !CLIENT_SECRET) {
+  if (!TENANT_ID || !CLIENT_ID || (!CLIENT_SECRET && !CLIENT_CERT_PATH)) {
     throw new Error(
-      'Missing required environment variables for application auth: TENANT_ID, CLIENT_ID, CLIENT_SECRET'
+      'Missing required environment variables for application auth: TENANT_ID, CLIENT_ID and either CLIENT_SECRET or CLIENT_CERT_PATH'
     );
   }
 
-  const tokenUrl = `https://login.microsoftonline.com/${TENANT_ID}/oauth2/v2.0/token`;
+  const tokenUrl = `${getAuthorityHost()}/${TENANT_ID}/oauth2/v2.0/token`;
 
   const params = new URLSearchParams({
     client_id: CLIENT_ID,
-    scope: 'https://graph.microsoft.com/.default',
-    client_secret: CLIENT_SECRET,
+    scope: `${getGraphEndpoint()}/.default`,
     grant_type: 'client_credentials',
   });
 
+  if (CLIENT_CERT_PATH) {
+    const certificate = loadClientCertificate(CLIENT_CERT_PATH, process.env.CLIENT_CERT_THUMBPRINT);
+    params.set('client_assertion_type', 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer');
+    params.set('client_assertion', createClientAssertion(tokenUrl, CLIENT_ID, certificate));
+  } else {
+    params.set('client_secret', CLIENT_SECRET);
+  }
+
   try {
     const response = await axios.post(tokenUrl, params, {
       headers: {
@@ -59,12 +98,169 @@ async function getAccessTokenApplication() {
 }
 
 /**
- * Acquires an OAuth2 access token using device code flow (delegated permissions)
+ * Loads the private key (and certificate, if bundled) used for client assertions
+ * @param {string} certPath - Path to a PEM file with the private key, optionally followed by the certificate
+ * @param {string|undefined} thumbprint - SHA-1 thumbprint (hex) of the certificate registered in Azure AD
+ * @returns {Object} { privateKey, certificate, thumbprint }
+ */
+function loadClientCertificate(certPath, thumbprint) {
+  if (!fs.existsSync(certPath)) {
+    throw new Error(`Client certificate file not found: ${certPath}`);
+  }
+
+  const pem = fs.readFileSync(certPath, 'utf8');
+
+  let privateKey;
+  try {
+    privateKey = crypto.createPrivateKey(pem);
+  } catch (error) {
+    throw new Error(`Could not read private key from ${certPath}: ${error.message}`);
+  }
+
+  if (privateKey.asymmetricKeyType !== 'rsa') {
+    throw new Error(
+      `Unsupported private key type '${privateKey.asymmetricKeyType}' in ${certPath}. Azure AD client assertions require an RSA key.`
+    );
+  }
+
+  let certificate = null;
+  const certMatch = pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/);
+  if (certMatch) {
+    try {
+      certificate = new crypto.X509Certificate(certMatch[0]);
+    } catch (error) {
+      throw new Error(`Could not read certificate from ${certPath}: ${error.message}`);
+    }
+  }
+
+  const normalizedThumbprint = thumbprint
+    ? thumbprint.replace(/[^0-9a-f]/gi, '').toUpperCase()
+    : certificate?.fingerprint.replace(/:/g, '') || null;
+
+  if (!normalizedThumbprint) {
+    throw new Error(
+      'CLIENT_CERT_THUMBPRINT is required when the PEM file does not include the certificate'
+    );
+  }
+
+  if (!/^[0-9A-F]{40}$/.test(normalizedThumbprint)) {
+    throw new Error('CLIENT_CERT_THUMBPRINT must be a 40-character SHA-1 hex thumbprint');
+  }
+
+  return { privateKey, certificate, thumbprint: normalizedThumbprint };
+}
+
+/**
+ * Builds and signs a JWT client assertion
+ * @param {string} tokenUrl - Token endpoint (the assertion audience)
+ * @param {string} clientId - App registration client ID
+ * @param {Object} clientCertificate - Result of loadClientCertificate
+ * @returns {string} Signed JWT
+ */
+function createClientAssertion(tokenUrl, clientId, clientCertificate) {
+  const now = Math.floor(Date.now() / 1000);
+
+  const header = {
+    alg: 'RS256',
+    typ: 'JWT',
+    x5t: Buffer.from(clientCertificate.thumbprint, 'hex').toString('base64url'),
+  };
+
+  const payload = {
+    aud: tokenUrl,
+    iss: clientId,
+    sub: clientId,
+    jti: crypto.randomUUID(),
+    nbf: now,
+    exp: now + 600,
+  };
+
+  const unsigned = [header, payload]
+    .map((part) => Buffer.from(JSON.stringify(part)).toString('base64url'))
+    .join('.');
+
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(unsigned), clientCertificate.privateKey);
+
+  return `${unsigned}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Checks the configured client certificate without contacting Azure AD
+ * @returns {Object} { thumbprint, keyType, keySize, subject, validFrom, validTo, errors, warnings }
+ */
+export function inspectClientCertificate() {
+  const { CLIENT_CERT_PATH, CLIENT_CERT_THUMBPRINT } = process.env;
+  const result = {
+    thumbprint: null,
+    keyType: null,
+    keySize: null,
+    subject: null,
+    validFrom: null,
+    validTo: null,
+    errors: [],
+    warnings: [],
+  };
+
+  let clientCertificate;
+  try {
+    clientCertificate = loadClientCertificate(CLIENT_CERT_PATH, CLIENT_CERT_THUMBPRINT);
+  } catch (error) {
+    result.errors.push(error.message);
+    return result;
+  }
+
+  const { privateKey, certificate, thumbprint } = clientCertificate;
+  result.thumbprint = thumbprint;
+  result.keyType = privateKey.asymmetricKeyType;
+  result.keySize = privateKey.asymmetricKeyDetails?.modulusLength || null;
+
+  if (result.keySize && result.keySize < 2048) {
+    result.errors.push(`RSA key is ${result.keySize} bits; Azure AD requires at least 2048`);
+  }
+
+  if (!certificate) {
+    result.warnings.push('PEM file has no certificate block, so expiry and thumbprint cannot be checked');
+    return result;
+  }
+
+  result.subject = certificate.subject;
+  result.validFrom = new Date(certificate.validFrom);
+  result.validTo = new Date(certificate.validTo);
+
+  const now = new Date();
+  if (result.validTo < now) {
+    result.errors.push(`Certificate expired on ${result.validTo.toISOString()}`);
+  } else if (result.validFrom > now) {
+    result.errors.push(`Certificate is not valid until ${result.validFrom.toISOString()}`);
+  } else if (result.validTo - now < CERT_EXPIRY_WARNING_MS) {
+    result.warnings.push(`Certificate expires soon (${result.validTo.toISOString()})`);
+  }
+
+  if (!certificate.checkPrivateKey(privateKey)) {
+    result.errors.push('Private key does not match the certificate');
+  }
+
+  const certThumbprint = certificate.fingerprint.replace(/:/g, '');
+  if (certThumbprint !== thumbprint) {
+    result.errors.push(
+      `CLIENT_CERT_THUMBPRINT (${thumbprint}) does not match the certificate (${certThumbprint})`
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Acquires an OAuth2 access token for delegated permissions.
+ * Uses the encrypted token cache first, then a silent refresh, and only falls
+ * back to the device code flow when no usable refresh token is available.
+ * A cached token without access to files is refreshed for them when they are needed.
  * @param {Function} onDeviceCodeCallback - Called with device code info for user to complete auth
+ * @param {boolean} readFiles - Also request access to shared files
  * @returns {Promise<string>} Access token
  */
-async function getAccessTokenDelegated(onDeviceCodeCallback = null) {
-  const { TENANT_ID, CLIENT_ID } = process.env;
+async function getAccessTokenDelegated(onDeviceCodeCallback = null, readFiles = false) {
+  const { TENANT_ID, CLIENT_ID, AUTH_ACCOUNT } = process.env;
 
   if (!TENANT_ID || !CLIENT_ID) {
     throw new Error(
@@ -72,12 +268,139 @@ async function getAccessTokenDelegated(onDeviceCodeCallback = null) {
     );
   }
 
+  const useCache = isTokenCacheEnabled();
+
+  if (useCache) {
+    const cached = findCachedTokens(TENANT_ID, CLIENT_ID, AUTH_ACCOUNT || null);
+
+    if (cached) {
+      // Reuse the cached access token while it is comfortably within its lifetime
+      if (cached.expiresAt - TOKEN_EXPIRY_SKEW_MS > Date.now() && (!readFiles || canReadFiles(cached))) {
+        saveCachedTokens(cached);
+        return cached.accessToken;
+      }
+
+      if (cached.refreshToken) {
+        try {
+          const tokenData = await redeemRefreshToken(TENANT_ID, CLIENT_ID, cached.refreshToken, readFiles);
+          return cacheTokenResponse(TENANT_ID, CLIENT_ID, tokenData, cached.account, readFiles);
+        } catch (error) {
+          if (!error.reauthenticate) {
+            throw error;
+          }
+          // Refresh token expired or revoked - forget it and sign in again
+          removeCachedTokens(TENANT_ID, CLIENT_ID, cached.account);
+        }
+      }
+    }
+  }
+
+  const tokenData = await acquireTokenWithDeviceCode(TENANT_ID, CLIENT_ID, onDeviceCodeCallback, readFiles);
+
+  if (useCache) {
+    return cacheTokenResponse(TENANT_ID, CLIENT_ID, tokenData, AUTH_ACCOUNT || null, readFiles);
+  }
+
+  return tokenData.access_token;
+}
+
+/**
+ * Stores a token endpoint response in the cache
+ * @param {string} tenantId - Azure AD tenant ID
+ * @param {string} clientId - App registration client ID
+ * @param {Object} tokenData - Raw token endpoint response
+ * @param {string|null} fallbackAccount - Account to use if the response has no ID token
+ * @param {boolean} readFiles - Whether access to files was requested
+ * @returns {string} Access token
+ */
+function cacheTokenResponse(tenantId, clientId, tokenData, fallbackAccount, readFiles) {
+  const idClaims = tokenData.id_token ? decodeJwtPayload(tokenData.id_token) : {};
+  const accessClaims = decodeJwtPayload(tokenData.access_token);
+  const account =
+    idClaims.preferred_username ||
+    accessClaims.upn ||
+    accessClaims.unique_name ||
+    fallbackAccount ||
+    'default';
+
+  saveCachedTokens({
+    tenantId,
+    clientId,
+    account,
+    accessToken: tokenData.access_token,
+    // Azure AD may omit the refresh token on refresh; keep using the old one then
+    refreshToken: tokenData.refresh_token || findCachedTokens(tenantId, clientId, account)?.refreshToken || null,
+    expiresAt: Date.now() + (tokenData.expires_in || 3600) * 1000,
+    // Granted scopes, or the requested ones if the response doesn't list them
+    scopes: tokenData.scope ? tokenData.scope.split(' ') : getDelegatedPermissions(readFiles),
+  });
+
+  return tokenData.access_token;
+}
+
+/**
+ * Checks whether a cached access token can read shared files. Entries from
+ * before scopes were recorded always requested access to files.
+ */
+function canReadFiles(entry) {
+  return !entry.scopes || entry.scopes.some((scope) => scope === FILES_PERMISSION || scope.endsWith(`/${FILES_PERMISSION}`));
+}
+
+/**
+ * Redeems a refresh token for a new access token
+ * @param {string} tenantId - Azure AD tenant ID
+ * @param {string} clientId - App registration client ID
+ * @param {string} refreshToken - Cached refresh token
+ * @param {boolean} readFiles - Also request access to shared files
+ * @returns {Promise<Object>} Raw token endpoint response
+ */
+async function redeemRefreshToken(tenantId, clientId, refreshToken, readFiles) {
+  const tokenUrl = `${getAuthorityHost()}/${tenantId}/oauth2/v2.0/token`;
+
+  const params = new URLSearchParams({
+    client_id: clientId,
+    grant_type: 'refresh_token',
+    refresh_token: refreshToken,
+    scope: getDelegatedScopes(readFiles),
+  });
+
+  try {
+    const response = await axios.post(tokenUrl, params, {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+    });
+
+    return response.data;
+  } catch (error) {
+    if (error.response) {
+      const errorCode = error.response.data.error;
+      const refreshError = new Error(
+        `Failed to refresh token: ${error.response.data.error_description || errorCode}`
+      );
+      // These mean the refresh token can no longer be used without user interaction
+      refreshError.reauthenticate = errorCode === 'invalid_grant' || errorCode === 'interaction_required';
+      throw refreshError;
+    }
+    throw new Error(`Failed to refresh token: ${error.message}`);
+  }
+}
+
+/**
+ * Runs the device code flow
+ * @param {string} tenantId - Azure AD tenant ID
+ * @param {string} clientId - App registration client ID
+ * @param {Function} onDeviceCodeCallback - Called with device code info for user to complete auth
+ * @param {boolean} readFiles - Also request access to shared files
+ * @returns {Promise<Object>} Raw token endpoint response
+ */
+async function acquireTokenWithDeviceCode(tenantId, clientId, onDeviceCodeCallback = null, readFiles = false) {
   // Step 1: Request device code
-  const deviceCodeUrl = `https://login.microsoftonline.com/${TENANT_ID}/oauth2/v2.0/devicecode`;
+  const deviceCodeUrl = `${getAuthorityHost()}/${tenantId}/oauth2/v2.0/devicecode`;
 
   const deviceCodeParams = new URLSearchParams({
-    client_id: CLIENT_ID,
-    scope: 'https://graph.microsoft.com/ChatMessage.Read https://graph.microsoft.com/Chat.Read https://graph.microsoft.com/ChannelMessage.Read.All https://graph.microsoft.com/User.Read offline_access',
+    client_id: clientId,
+    scope: getDelegatedScopes(readFiles),
   });
 
   let deviceCodeData;
@@ -108,7 +431,7 @@ async function getAccessTokenDelegated(onDeviceCodeCallback = null) {
   }
 
   // Step 2: Poll for token
-  const tokenUrl = `https://login.microsoftonline.com/${TENANT_ID}/oauth2/v2.0/token`;
+  const tokenUrl = `${getAuthorityHost()}/${tenantId}/oauth2/v2.0/token`;
   const interval = deviceCodeData.interval * 1000 || 5000; // Convert to milliseconds
   const expiresAt = Date.now() + (deviceCodeData.expires_in * 1000);
 
@@ -116,7 +439,7 @@ async function getAccessTokenDelegated(onDeviceCodeCallback = null) {
     await new Promise((resolve) => setTimeout(resolve, interval));
 
     const tokenParams = new URLSearchParams({
-      client_id: CLIENT_ID,
+      client_id: clientId,
       grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
       device_code: deviceCodeData.device_code,
     });
@@ -128,7 +451,7 @@ async function getAccessTokenDelegated(onDeviceCodeCallback = null) {
         },
       });
 
-      return tokenResponse.data.access_token;
+      return tokenResponse.data;
     } catch (error) {
       if (error.response) {
         const errorCode = error.response.data.error;
@@ -163,3 +486,39 @@ async function getAccessTokenDelegated(onDeviceCodeCallback = null) {
 
   throw new Error('Device code expired. Authentication timed out.');
 }
+
+/**
+ * Returns the delegated permissions to request
+ */
+function getDelegatedPermissions(readFiles) {
+  return readFiles ? [...DELEGATED_PERMISSIONS, FILES_PERMISSION] : DELEGATED_PERMISSIONS;
+}
+
+/**
+ * Builds the delegated scope string for the configured Graph endpoint
+ * @param {boolean} readFiles - Also request access to shared files
+ * @returns {string} Space-separated scopes
+ */
+function getDelegatedScopes(readFiles = false) {
+  const graphEndpoint = getGraphEndpoint();
+  return [
+    ...getDelegatedPermissions(readFiles).map((permission) => `${graphEndpoint}/${permission}`),
+    'openid',
+    'profile',
+    'offline_access',
+  ].join(' ');
+}
+
+/**
+ * Decodes the payload of a JWT without verifying it
+ * @param {string} token - JWT
+ * @returns {Object} Claims (empty if the token is not a readable JWT)
+ */
+export function decodeJwtPayload(token) {
+  try {
+    const payload = token.split('.')[1];
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return {};
+  }
+}
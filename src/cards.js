@@ -0,0 +1,186 @@
+import { htmlToMarkdown } from './htmlToMarkdown.js';
+
+/**
+ * Renders bot and connector cards attached to messages as readable Markdown.
+ *
+ * Bots post most of their content as cards, which leave the message body empty
+ * apart from an `<attachment>` placeholder. Only what a reader would see is
+ * kept: text, facts, tables and link buttons. Inputs and submit actions are
+ * dropped, since they mean nothing outside Teams.
+ */
+
+const CARD_CONTENT_TYPES = {
+  'application/vnd.microsoft.card.adaptive': renderAdaptiveCard,
+  'application/vnd.microsoft.card.hero': renderHeroCard,
+  'application/vnd.microsoft.card.thumbnail': renderHeroCard,
+};
+
+/**
+ * Checks whether an attachment is a card this module can render
+ * @param {Object} attachment - Message attachment
+ * @returns {boolean} True for adaptive, hero and thumbnail cards
+ */
+export function isCardAttachment(attachment) {
+  return attachment.contentType in CARD_CONTENT_TYPES;
+}
+
+/**
+ * Renders a card attachment as Markdown
+ * @param {Object} attachment - Message attachment (content is a JSON string or object)
+ * @returns {string} Markdown, or an empty string if the card has no readable content
+ */
+export function renderCard(attachment) {
+  let card = attachment.content;
+
+  if (typeof card === 'string') {
+    try {
+      card = JSON.parse(card);
+    } catch {
+      return '';
+    }
+  }
+
+  return card ? CARD_CONTENT_TYPES[attachment.contentType](card).join('\n').trim() : '';
+}
+
+/**
+ * Renders an adaptive card's body and link actions
+ */
+function renderAdaptiveCard(card) {
+  const lines = renderElements(card.body || []);
+  const links = renderActions(card.actions || []);
+
+  if (links.length > 0) {
+    lines.push('', ...links);
+  }
+
+  return lines;
+}
+
+/**
+ * Renders adaptive card elements, one paragraph per text element
+ */
+function renderElements(elements) {
+  const lines = [];
+  const addParagraph = (paragraph) => {
+    if (paragraph.length > 0) {
+      if (lines.length > 0) {
+        lines.push('');
+      }
+      lines.push(...paragraph);
+    }
+  };
+
+  elements.forEach((element) => {
+    if (!element || element.isVisible === false) {
+      return;
+    }
+
+    switch (element.type) {
+      case 'TextBlock':
+        addParagraph(element.text ? [emphasize(String(element.text), element)] : []);
+        break;
+      case 'RichTextBlock':
+        addParagraph([
+          (element.inlines || [])
+            .map((inline) => (typeof inline === 'string' ? inline : inline.text ? emphasize(inline.text, inline) : ''))
+            .join(''),
+        ].filter(Boolean));
+        break;
+      case 'FactSet':
+        addParagraph((element.facts || []).map((fact) => `- **${String(fact.title || '').replace(/:\s*$/, '')}:** ${fact.value ?? ''}`));
+        break;
+      case 'Container':
+        addParagraph(renderElements(element.items || []));
+        break;
+      case 'ColumnSet':
+        (element.columns || []).forEach((column) => addParagraph(renderElements(column.items || [])));
+        break;
+      case 'Table':
+        addParagraph(renderTable(element));
+        break;
+      case 'ActionSet':
+        addParagraph(renderActions(element.actions || []));
+        break;
+      default:
+        // Images, media and inputs have no text worth keeping
+        break;
+    }
+  });
+
+  return lines;
+}
+
+/**
+ * Renders an adaptive card table as a GitHub-style table (first row as header)
+ */
+function renderTable(table) {
+  const rows = (table.rows || []).map((row) =>
+    (row.cells || []).map((cell) => renderElements(cell.items || []).filter(Boolean).join('<br>').replace(/\|/g, '\\|'))
+  );
+
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const width = Math.max(...rows.map((row) => row.length));
+  const formatRow = (row) => `| ${[...row, ...new Array(width - row.length).fill('')].join(' | ')} |`;
+
+  return [formatRow(rows[0]), formatRow(new Array(width).fill('---')), ...rows.slice(1).map(formatRow)];
+}
+
+/**
+ * Renders actions that open a URL as links (other actions only work inside Teams)
+ */
+function renderActions(actions) {
+  return actions
+    .filter((action) => action.type === 'Action.OpenUrl' && action.url)
+    .map((action) => `[${action.title || action.url}](${action.url})`);
+}
+
+/**
+ * Renders a hero or thumbnail card: title, subtitle, text and link buttons
+ */
+function renderHeroCard(card) {
+  const lines = [];
+
+  if (card.title) {
+    lines.push(`**${card.title}**`);
+  }
+  if (card.subtitle) {
+    lines.push(`*${card.subtitle}*`);
+  }
+  if (card.text) {
+    // Card text may contain a little HTML
+    lines.push(...(lines.length > 0 ? [''] : []), htmlToMarkdown(String(card.text)));
+  }
+
+  const links = (card.buttons || [])
+    .filter((button) => button.type === 'openUrl' && button.value)
+    .map((button) => `[${button.title || button.value}](${button.value})`);
+
+  if (links.length > 0) {
+    lines.push(...(lines.length > 0 ? [''] : []), ...links);
+  }
+
+  return lines;
+}
+
+/**
+ * Applies an adaptive card text run's weight, size and italic style
+ */
+function emphasize(text, style) {
+  const trimmed = text.trim();
+
+  if (!trimmed || trimmed.includes('\n')) {
+    return text;
+  }
+  if (/^bolder$/i.test(style.weight || '') || /^(large|extraLarge)$/i.test(style.size || '')) {
+    return `**${trimmed}**`;
+  }
+  if (style.italic) {
+    return `*${trimmed}*`;
+  }
+
+  return text;
+}
@@ -0,0 +1,137 @@
+/**
+ * Date and time formatting for exports, independent of the machine's locale.
+ *
+ * Exports use ISO dates by default (`2025-10-03`, `09:05:00`,
+ * `2025-10-03 09:05:00`), in the time zone given with --timezone (or the
+ * machine's). --date-format can switch to a locale's formatting instead:
+ * `locale` for the machine's locale, or a BCP 47 tag such as `en-GB`.
+ */
+
+export const DEFAULT_DATE_FORMAT = 'iso';
+
+/**
+ * Creates the date formatter used to render an export
+ * @param {Object} options - Formatting options
+ * @param {string|null} options.timeZone - IANA time zone (e.g. Europe/Berlin); null for the machine's
+ * @param {string} options.dateFormat - 'iso', 'locale' or a BCP 47 locale tag
+ * @returns {Object} { timeZone, dateFormat, date(d), time(d), dateTime(d), dayKey(d) }
+ * @throws {Error} If the time zone or date format is not recognised
+ */
+export function createDateFormatter(options = {}) {
+  const dateFormat = options.dateFormat || DEFAULT_DATE_FORMAT;
+  const timeZone = resolveTimeZone(options.timeZone);
+
+  // Always ISO, so days compare and sort the same whatever the display format
+  const isoParts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+  });
+  const toIso = (value) => {
+    const parts = Object.fromEntries(isoParts.formatToParts(new Date(value)).map((part) => [part.type, part.value]));
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      time: `${parts.hour}:${parts.minute}:${parts.second}`,
+    };
+  };
+
+  const dayKey = (value) => toIso(value).date;
+
+  if (dateFormat === 'iso') {
+    return {
+      timeZone,
+      dateFormat,
+      date: dayKey,
+      time: (value) => toIso(value).time,
+      dateTime: (value) => {
+        const { date, time } = toIso(value);
+        return `${date} ${time}`;
+      },
+      dayKey,
+    };
+  }
+
+  const locale = dateFormat === 'locale' ? undefined : resolveLocale(dateFormat);
+  return {
+    timeZone,
+    dateFormat,
+    date: (value) => new Date(value).toLocaleDateString(locale, { timeZone }),
+    time: (value) => new Date(value).toLocaleTimeString(locale, { timeZone }),
+    dateTime: (value) => new Date(value).toLocaleString(locale, { timeZone }),
+    dayKey,
+  };
+}
+
+/**
+ * Reads a wall-clock date and time in a time zone, such as the ISO dates and
+ * times written into an export
+ * @param {string} day - Day as YYYY-MM-DD
+ * @param {string} time - Time as HH:MM:SS
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} The moment it was that date and time in the zone
+ */
+export function parseZonedDateTime(day, time, timeZone) {
+  const wallTime = Date.parse(`${day}T${time}Z`);
+
+  // Applied twice, in case the offset changes between the two moments
+  let moment = wallTime;
+  for (let i = 0; i < 2; i++) {
+    moment = wallTime - getTimeZoneOffset(moment, timeZone);
+  }
+  return new Date(moment);
+}
+
+/**
+ * Returns how far a time zone is ahead of UTC at a moment, in milliseconds
+ */
+function getTimeZoneOffset(moment, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(new Date(moment)).map((part) => [part.type, Number(part.value)])
+  );
+  const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallTime - Math.floor(moment / 1000) * 1000;
+}
+
+/**
+ * Validates a time zone name, defaulting to the machine's time zone
+ */
+function resolveTimeZone(timeZone) {
+  if (!timeZone) {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+  }
+
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+  } catch {
+    throw new Error(`Unknown time zone: ${timeZone} (use an IANA name such as Europe/Berlin or UTC)`);
+  }
+}
+
+/**
+ * Validates a --date-format locale tag
+ */
+function resolveLocale(tag) {
+  try {
+    if (Intl.DateTimeFormat.supportedLocalesOf(tag).length > 0) {
+      return tag;
+    }
+  } catch {
+    // Malformed tag, reported below
+  }
+
+  throw new Error(`Unknown date format: ${tag} (use iso, locale or a locale such as en-GB)`);
+}
@@ -0,0 +1,169 @@
+import {
+  fetchChats,
+  fetchJoinedTeams,
+  fetchChannels,
+  fetchTeamMembers,
+  fetchChannelMembers,
+  fetchLatestChannelMessage,
+} from './teamsClient.js';
+
+/**
+ * Discovery of exportable sources (chats, teams, channels).
+ * Every list returns rows of { name, id, type, memberCount, lastActivity }
+ * plus the IDs generate needs (chatId or teamId/channelId).
+ */
+
+/**
+ * Lists the chats a user is a member of, most recently active first
+ * @param {string} accessToken - OAuth2 access token
+ * @param {string|null} userId - User ID or UPN (null for the signed-in user)
+ * @param {Object} options - List options
+ * @param {boolean} options.includeMembers - Also return each chat's members (as `members`)
+ * @returns {Promise<Array>} Chat rows
+ */
+export async function listChats(accessToken, userId = null, options = {}) {
+  const chats = await fetchChats(accessToken, userId);
+
+  return chats
+    .map((chat) => ({
+      name: chat.topic || describeMembers(chat.members || []),
+      id: chat.id,
+      type: chat.chatType || 'chat',
+      topic: chat.topic || null,
+      memberCount: chat.members ? chat.members.length : null,
+      lastActivity: chat.lastUpdatedDateTime || chat.createdDateTime || null,
+      chatId: chat.id,
+      ...(options.includeMembers ? { members: chat.members || [] } : {}),
+    }))
+    .sort(byLastActivity);
+}
+
+/**
+ * Lists the teams a user has joined
+ * @param {string} accessToken - OAuth2 access token
+ * @param {string|null} userId - User ID or UPN (null for the signed-in user)
+ * @returns {Promise<Array>} Team rows
+ */
+export async function listTeams(accessToken, userId = null) {
+  const teams = await fetchJoinedTeams(accessToken, userId);
+  const rows = [];
+
+  // Sequential on purpose: the Graph layer rate-limits per tenant anyway
+  for (const team of teams) {
+    const members = await fetchTeamMembers(accessToken, team.id);
+    rows.push({
+      name: team.displayName || '(unnamed team)',
+      id: team.id,
+      type: team.isArchived ? 'archived' : team.visibility || 'team',
+      memberCount: members.length || null,
+      lastActivity: null,
+      teamId: team.id,
+    });
+  }
+
+  return rows.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Lists the channels of a team, most recently active first
+ * @param {string} accessToken - OAuth2 access token
+ * @param {string} teamId - Teams team ID
+ * @returns {Promise<Array>} Channel rows
+ */
+export async function listChannels(accessToken, teamId) {
+  const channels = await fetchChannels(accessToken, teamId);
+  const rows = [];
+
+  for (const channel of channels) {
+    const [members, latest] = await Promise.all([
+      fetchChannelMembers(accessToken, teamId, channel.id),
+      fetchLatestChannelMessage(accessToken, teamId, channel.id),
+    ]);
+
+    rows.push({
+      name: channel.displayName || '(unnamed channel)',
+      id: channel.id,
+      type: channel.membershipType || 'standard',
+      memberCount: members.length || null,
+      lastActivity: latest ? latest.lastModifiedDateTime || latest.createdDateTime : null,
+      teamId,
+      channelId: channel.id,
+    });
+  }
+
+  return rows.sort(byLastActivity);
+}
+
+/**
+ * Formats rows as a plain-text table
+ * @param {Array} rows - Rows from listChats, listTeams or listChannels
+ * @param {boolean} numbered - Prefix each row with its 1-based index (for pickers)
+ * @returns {string} Table text
+ */
+export function formatSourceTable(rows, numbered = false) {
+  const header = ['Name', 'Type', 'Members', 'Last Activity', 'ID'];
+  const lines = rows.map((row) => [
+    truncate(row.name, 40),
+    row.type,
+    row.memberCount === null ? '-' : String(row.memberCount),
+    row.lastActivity ? new Date(row.lastActivity).toLocaleString() : '-',
+    row.id,
+  ]);
+
+  if (numbered) {
+    header.unshift('#');
+    lines.forEach((line, i) => line.unshift(String(i + 1)));
+  }
+
+  return formatTable(header, lines);
+}
+
+/**
+ * Formats a header and rows of cells as a padded plain-text table
+ * @param {Array<string>} header - Column titles
+ * @param {Array<Array<string>>} lines - Rows of cell text
+ * @returns {string} Table text
+ */
+export function formatTable(header, lines) {
+  const widths = header.map((title, col) =>
+    Math.max(title.length, ...lines.map((line) => line[col].length))
+  );
+
+  const formatLine = (cells) =>
+    cells.map((cell, col) => cell.padEnd(widths[col])).join('  ').trimEnd();
+
+  return [
+    formatLine(header),
+    widths.map((width) => '-'.repeat(width)).join('  '),
+    ...lines.map(formatLine),
+  ].join('\n');
+}
+
+/**
+ * Names an untitled chat after its members
+ */
+function describeMembers(members) {
+  const names = members.map((member) => member.displayName).filter(Boolean);
+
+  if (names.length === 0) {
+    return '(untitled chat)';
+  }
+
+  return names.length > 3
+    ? `${names.slice(0, 3).join(', ')} +${names.length - 3}`
+    : names.join(', ');
+}
+
+/**
+ * Sorts rows most recently active first (rows without activity last)
+ */
+function byLastActivity(a, b) {
+  return new Date(b.lastActivity || 0) - new Date(a.lastActivity || 0);
+}
+
+/**
+ * Shortens long names for table output
+ */
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.substring(0, maxLength - 1)}…` : text;
+}
@@ -0,0 +1,32 @@
+/**
+ * Service endpoints, configurable for national clouds
+ * (e.g. GRAPH_ENDPOINT=https://graph.microsoft.us, AUTHORITY_HOST=https://login.microsoftonline.us).
+ * Read on every call so profiles applied at runtime take effect.
+ */
+
+const DEFAULT_GRAPH_ENDPOINT = 'https://graph.microsoft.com';
+const DEFAULT_AUTHORITY_HOST = 'https://login.microsoftonline.com';
+
+/**
+ * Returns the Graph endpoint root (no version path, no trailing slash)
+ * @returns {string} e.g. https://graph.microsoft.com
+ */
+export function getGraphEndpoint() {
+  return (process.env.GRAPH_ENDPOINT || DEFAULT_GRAPH_ENDPOINT).replace(/\/+$/, '');
+}
+
+/**
+ * Returns the versioned Graph API base URL
+ * @returns {string} e.g. https://graph.microsoft.com/v1.0
+ */
+export function getGraphApiBase() {
+  return `${getGraphEndpoint()}/v1.0`;
+}
+
+/**
+ * Returns the Azure AD authority host (no trailing slash)
+ * @returns {string} e.g. https://login.microsoftonline.com
+ */
+export function getAuthorityHost() {
+  return (process.env.AUTHORITY_HOST || DEFAULT_AUTHORITY_HOST).replace(/\/+$/, '');
+}
@@ -0,0 +1,595 @@
+import fs from 'fs';
+import { formatGroupHeading, groupIntoConversations, groupIntoSessions } from './grouping.js';
+import { describeFilters } from './messageFilters.js';
+
+/**
+ * JSON, JSONL, HTML and plain text exports, rendered from normalized message
+ * records (see toMessageRecord in ragGenerator.js):
+ *
+ * {
+ *   "id": "1727773500000",
+ *   "threadId": "1727773200000",          // root post of the thread (the message itself for roots)
+ *   "replyToId": "1727773200000",         // null for root posts and chat messages
+ *   "messageType": "message",             // or systemEventMessage, chatEvent
+ *   "createdDateTime": "...", "lastModifiedDateTime": "...", "lastEditedDateTime": null, "deletedDateTime": null,
+ *   "sender": { "id": "...", "name": "Alice", "type": "user" },   // null for system events
+ *   "text": "Markdown text, including rendered cards",
+ *   "quotedMessage": { "id": "...", "senderName": "Bob", "text": "..." },
+ *   "mentions": [{ "id": "...", "name": "Bob", "type": "user" }],
+ *   "attachments": [{ "id": "...", "name": "plan.docx", "contentType": "reference", "url": "...", "localPath": null }],
+ *   "reactions": [{ "type": "like", "userId": "...", "userName": "Bob" }],
+ *   "editHistory": [{ "text": "...", "lastModifiedDateTime": "...", "replacedDateTime": "..." }]
+ * }
+ *
+ * Incremental runs merge changes into the records and render the export again.
+ * JSON and JSONL exports hold their records; HTML and text exports keep them
+ * next to the export, in `<export>.records.jsonl`.
+ */
+
+export const OUTPUT_FORMATS = ['markdown', 'json', 'jsonl', 'html', 'txt'];
+
+const FORMAT_EXTENSIONS = {
+  markdown: '.md',
+  json: '.json',
+  jsonl: '.jsonl',
+  html: '.html',
+  txt: '.txt',
+};
+
+const RENDERERS = {
+  json: renderJson,
+  jsonl: renderJsonl,
+  html: renderHtml,
+  txt: renderText,
+};
+
+/**
+ * Returns the file extension for an output format
+ * @param {string} format - Output format
+ * @returns {string} Extension including the dot, e.g. '.jsonl'
+ */
+export function getFormatExtension(format) {
+  return FORMAT_EXTENSIONS[format] || FORMAT_EXTENSIONS.markdown;
+}
+
+/**
+ * Renders message records as a JSON, JSONL, HTML or text export
+ * @param {string} format - 'json', 'jsonl', 'html' or 'txt'
+ * @param {Array} records - Message records, in any order
+ * @param {Object} options - Rendering options
+ * @param {Object} options.metadata - Chat or channel metadata (topic, chatType, createdDateTime)
+ * @param {Object} options.source - { chatId } or { teamId, channelId }
+ * @param {boolean} options.includeMetadata - Include the export header and message times
+ * @param {string} options.groupBy - Group HTML and text exports by 'date', 'session',
+ *   'thread' or 'none' (defaults to 'date' with groupByDate, otherwise 'none')
+ * @param {number} options.sessionGapMinutes - Longest pause within a session
+ * @param {Object} options.dates - Date formatter for HTML and text exports (see createDateFormatter)
+ * @param {Object|null} options.filters - Message filters the export is written with (see messageFilters.js)
+ * @returns {string} Export content
+ */
+export function renderExport(format, records, options) {
+  const render = RENDERERS[format];
+  if (!render) {
+    throw new Error(`Unknown output format: ${format}`);
+  }
+
+  return render(sortRecords(records), options);
+}
+
+/**
+ * Returns the path of the records file kept next to HTML and text exports
+ * @param {string} outputPath - Export file path
+ * @returns {string} Records file path
+ */
+export function getRecordsPath(outputPath) {
+  return `${outputPath}.records.jsonl`;
+}
+
+/**
+ * Checks whether the message records of an export can be read back, which
+ * incremental runs need to merge changes into it
+ * @param {string} outputPath - Export file path
+ * @param {string} format - Output format of the export
+ * @returns {boolean} True if the records are available
+ */
+export function hasExportRecords(outputPath, format) {
+  return fs.existsSync(usesRecordsFile(format) ? getRecordsPath(outputPath) : outputPath);
+}
+
+/**
+ * Saves the records file of an HTML or text export (JSON and JSONL exports hold their records)
+ * @param {string} outputPath - Export file path
+ * @param {string} format - Output format of the export
+ * @param {Array} records - Message records
+ */
+export function saveExportRecords(outputPath, format, records) {
+  if (usesRecordsFile(format)) {
+    fs.writeFileSync(getRecordsPath(outputPath), renderJsonl(sortRecords(records)), 'utf8');
+  }
+}
+
+/**
+ * Merges new and changed messages into a JSON, JSONL, HTML or text export,
+ * like appendMessagesToExport and applyMessageChanges do for markdown.
+ * The export is only written if something changed.
+ * @param {string} outputPath - Export file path
+ * @param {string} format - Output format of the export
+ * @param {Array} newRecords - Records of new messages (ones already in the export are skipped)
+ * @param {Array} changedRecords - Records of edited and deleted messages
+ * @param {Object} options - renderExport options, plus deletedMode and keepEditHistory
+ * @returns {Object} { addedCount, changeSummary: { edited, deleted, removed, missing } }
+ */
+export function updateRecordExport(outputPath, format, newRecords, changedRecords, options) {
+  const { records, addedCount, summary } = mergeMessageRecords(
+    readExportRecords(outputPath, format),
+    newRecords,
+    changedRecords,
+    options
+  );
+
+  if (addedCount > 0 || summary.edited > 0 || summary.deleted > 0) {
+    fs.writeFileSync(outputPath, renderExport(format, records, options), 'utf8');
+    saveExportRecords(outputPath, format, records);
+  }
+
+  return { addedCount, changeSummary: summary };
+}
+
+/**
+ * Merges new and changed message records into an export's records
+ * @param {Array} records - Records in the export
+ * @param {Array} newRecords - Records of new messages
+ * @param {Array} changedRecords - Records of edited and deleted messages
+ * @param {Object} options - { deletedMode: 'mark' | 'remove', keepEditHistory }
+ * @returns {Object} { records, addedCount, summary: { edited, deleted, removed, missing } }
+ */
+export function mergeMessageRecords(records, newRecords, changedRecords, options = {}) {
+  const { deletedMode = 'mark', keepEditHistory = false } = options;
+  const summary = { edited: 0, deleted: 0, removed: 0, missing: 0 };
+  const merged = [...records];
+  const indexById = new Map(merged.map((record, index) => [record.id, index]));
+  const removed = new Set();
+
+  changedRecords.forEach((record) => {
+    const index = indexById.get(record.id);
+    if (index === undefined) {
+      summary.missing++;
+      return;
+    }
+
+    const current = merged[index];
+    if (current.deletedDateTime) {
+      return;
+    }
+
+    if (record.deletedDateTime) {
+      // A removed post would leave its replies without a thread, so mark it instead
+      const hasReplies = merged.some((other) => other.replyToId === current.id);
+      if (deletedMode === 'remove' && !hasReplies) {
+        removed.add(current.id);
+        summary.removed++;
+      } else {
+        merged[index] = replaceRecord(current, record, keepEditHistory);
+      }
+      summary.deleted++;
+      return;
+    }
+
+    if (new Date(record.lastModifiedDateTime) > new Date(current.lastModifiedDateTime)) {
+      merged[index] = replaceRecord(current, record, keepEditHistory);
+      summary.edited++;
+    }
+  });
+
+  // Skip messages already in the export, so overlapping runs never duplicate one
+  const added = [];
+  newRecords.forEach((record) => {
+    if (!indexById.has(record.id)) {
+      indexById.set(record.id, -1);
+      added.push(record);
+    }
+  });
+
+  return {
+    records: sortRecords([...merged.filter((record) => !removed.has(record.id)), ...added]),
+    addedCount: added.length,
+    summary,
+  };
+}
+
+/**
+ * Replaces a record with its current version, carrying over (and with
+ * keepEditHistory extending) its edit history, newest first
+ */
+function replaceRecord(current, record, keepEditHistory) {
+  const editHistory = [...(current.editHistory || [])];
+
+  if (keepEditHistory && current.text && current.text !== record.text) {
+    editHistory.unshift({
+      text: current.text,
+      lastModifiedDateTime: current.lastModifiedDateTime,
+      replacedDateTime: record.deletedDateTime || record.lastEditedDateTime || record.lastModifiedDateTime,
+    });
+  }
+
+  return { ...record, editHistory };
+}
+
+/**
+ * Reads the message records of a JSON, JSONL, HTML or text export
+ * @param {string} outputPath - Export file path
+ * @param {string} format - Output format of the export
+ * @returns {Array} Message records
+ */
+export function readExportRecords(outputPath, format) {
+  if (format === 'json') {
+    return JSON.parse(fs.readFileSync(outputPath, 'utf8')).messages || [];
+  }
+
+  return fs
+    .readFileSync(usesRecordsFile(format) ? getRecordsPath(outputPath) : outputPath, 'utf8')
+    .split('\n')
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+/**
+ * Checks whether a format keeps its records in a separate file
+ */
+function usesRecordsFile(format) {
+  return format === 'html' || format === 'txt';
+}
+
+/**
+ * Sorts records chronologically (stable, so messages sent at the same time keep their order)
+ */
+function sortRecords(records) {
+  return [...records].sort((a, b) => new Date(a.createdDateTime) - new Date(b.createdDateTime));
+}
+
+/**
+ * Renders a JSON document: the export header and all messages
+ */
+function renderJson(records, options) {
+  const document = {};
+
+  if (options.includeMetadata) {
+    const { metadata = {}, source = {} } = options;
+    document.export = {
+      topic: metadata.topic || null,
+      chatType: metadata.chatType || null,
+      source: source.channelId
+        ? { type: 'channel', teamId: source.teamId, channelId: source.channelId }
+        : { type: 'chat', chatId: source.chatId || null },
+      totalMessages: countMessages(records),
+      createdDateTime: metadata.createdDateTime || null,
+      lastRunDateTime: new Date().toISOString(),
+      filters: options.filters || null,
+    };
+  }
+
+  document.messages = records;
+  return `${JSON.stringify(document, null, 2)}\n`;
+}
+
+/**
+ * Renders one record per line
+ */
+function renderJsonl(records) {
+  return records.map((record) => `${JSON.stringify(record)}\n`).join('');
+}
+
+/**
+ * Renders a standalone HTML page; each message is an element with the id
+ * `msg-<id>`, so quoted replies can link to it
+ */
+function renderHtml(records, options) {
+  const { metadata = {}, includeMetadata } = options;
+  const title = metadata.topic ? `Teams Chat Export: ${metadata.topic}` : 'Teams Chat Export';
+  const body = [`<h1>${escapeHtml(title)}</h1>`];
+
+  if (includeMetadata) {
+    body.push('<dl class="metadata">');
+    getHeaderFields(records, options).forEach(([label, value]) => {
+      body.push(`<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`);
+    });
+    body.push('</dl>');
+  }
+
+  groupThreads(records, options).forEach(({ heading, start, threads }) => {
+    body.push('<section>', `<h2>${escapeHtml(heading)}</h2>`);
+    threads.forEach(({ message, replies }) => {
+      const sectionStart = start || message.createdDateTime;
+      body.push(...renderHtmlMessage(message, sectionStart, options, replies.length === 0));
+      if (replies.length > 0) {
+        body.push('<div class="replies">');
+        replies.forEach((reply) => body.push(...renderHtmlMessage(reply, sectionStart, options, true)));
+        body.push('</div>', '</article>');
+      }
+    });
+    body.push('</section>');
+  });
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    '<style>',
+    'body { font-family: system-ui, sans-serif; max-width: 50rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }',
+    '.message { margin: 1rem 0; }',
+    '.text { white-space: pre-wrap; }',
+    '.replies { margin-left: 1rem; padding-left: 1rem; border-left: 3px solid #ddd; }',
+    '.metadata dt { font-weight: bold; }',
+    '.sent, .system, .deleted, .reactions { color: #666; }',
+    '.system, .deleted { font-style: italic; }',
+    'blockquote { margin: 0.5rem 0; padding-left: 1rem; border-left: 3px solid #ddd; color: #555; white-space: pre-wrap; }',
+    '</style>',
+    '</head>',
+    '<body>',
+    ...body,
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Renders one message as an article element, left open when replies follow
+ */
+function renderHtmlMessage(record, sectionStart, options, close) {
+  const { includeMetadata, dates } = options;
+  const lines = [`<article class="message" id="msg-${escapeHtml(record.id)}">`];
+  const time = includeMetadata
+    ? ` <time class="sent" datetime="${escapeHtml(record.createdDateTime)}">${escapeHtml(formatSentTime(record, sectionStart, dates))}</time>`
+    : '';
+
+  if (!record.sender) {
+    lines.push(`<p class="system">${escapeHtml(record.text)}${time}</p>`);
+  } else {
+    lines.push(`<p><strong>${escapeHtml(record.sender.name)}</strong>${time}</p>`);
+
+    if (record.deletedDateTime) {
+      lines.push('<p class="deleted">This message was deleted.</p>');
+    } else {
+      if (record.quotedMessage) {
+        const { id, senderName, text } = record.quotedMessage;
+        const link = id ? ` (<a href="#msg-${escapeHtml(id)}">message</a>)` : '';
+        lines.push(`<blockquote>Replying to ${escapeHtml(senderName || 'a message')}${link}:<br>${escapeHtml(text)}</blockquote>`);
+      }
+      if (record.text) {
+        lines.push(`<div class="text">${escapeHtml(record.text)}</div>`);
+      }
+      if (record.attachments.length > 0) {
+        lines.push('<ul class="attachments">');
+        record.attachments.forEach((attachment) => {
+          const href = attachment.localPath || attachment.url;
+          const name = escapeHtml(attachment.name);
+          lines.push(`<li>${href ? `<a href="${escapeHtml(href)}">${name}</a>` : name}</li>`);
+        });
+        lines.push('</ul>');
+      }
+    }
+
+    if (record.reactions.length > 0) {
+      lines.push(`<p class="reactions">Reactions: ${escapeHtml(formatReactions(record))}</p>`);
+    }
+  }
+
+  getEditHistory(record, dates).forEach(({ label, text }) => {
+    lines.push(`<blockquote>${escapeHtml(label)}:<br>${escapeHtml(text)}</blockquote>`);
+  });
+
+  if (close) {
+    lines.push('</article>');
+  }
+
+  return lines;
+}
+
+/**
+ * Renders a plain text export
+ */
+function renderText(records, options) {
+  const { metadata = {}, includeMetadata } = options;
+  const lines = [metadata.topic ? `Teams Chat Export: ${metadata.topic}` : 'Teams Chat Export', ''];
+
+  if (includeMetadata) {
+    getHeaderFields(records, options).forEach(([label, value]) => lines.push(`${label}: ${value}`));
+    lines.push('');
+  }
+
+  groupThreads(records, options).forEach(({ heading, start, threads }) => {
+    lines.push(heading, '-'.repeat(heading.length), '');
+    threads.forEach(({ message, replies }) => {
+      const sectionStart = start || message.createdDateTime;
+      lines.push(...renderTextMessage(message, sectionStart, options), '');
+      replies.forEach((reply) => {
+        const [first, ...rest] = renderTextMessage(reply, sectionStart, options);
+        lines.push(`  ↳ ${first}`, ...rest.map((line) => (line ? `    ${line}` : '')), '');
+      });
+    });
+  });
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+/**
+ * Renders one message as lines of plain text
+ */
+function renderTextMessage(record, sectionStart, options) {
+  const { includeMetadata, dates } = options;
+  const time = includeMetadata ? ` - ${formatSentTime(record, sectionStart, dates)}` : '';
+
+  if (!record.sender) {
+    return [`${record.text}${time}`];
+  }
+
+  const lines = [`${record.sender.name}${time}`];
+
+  if (record.deletedDateTime) {
+    lines.push('This message was deleted.');
+  } else {
+    if (record.quotedMessage) {
+      const { senderName, text } = record.quotedMessage;
+      lines.push(`Replying to ${senderName || 'a message'}:`, ...text.split('\n').map((line) => `| ${line}`));
+    }
+    if (record.text) {
+      lines.push(record.text);
+    }
+    if (record.attachments.length > 0) {
+      lines.push('Attachments:');
+      record.attachments.forEach((attachment) => {
+        const link = attachment.localPath || attachment.url;
+        lines.push(`- ${attachment.name}${link ? ` (${link})` : ''}`);
+      });
+    }
+  }
+
+  if (record.reactions.length > 0) {
+    lines.push(`Reactions: ${formatReactions(record)}`);
+  }
+
+  getEditHistory(record, dates).forEach(({ label, text }) => {
+    lines.push(`${label}:`, ...text.split('\n').map((line) => `| ${line}`));
+  });
+
+  return lines;
+}
+
+/**
+ * Lists the export header fields shown by HTML and text exports
+ */
+function getHeaderFields(records, options) {
+  const { metadata = {}, source = {}, dates } = options;
+  const fields = [];
+
+  if (metadata.topic) {
+    fields.push(['Topic', metadata.topic]);
+  }
+  if (metadata.chatType) {
+    fields.push(['Chat Type', metadata.chatType]);
+  }
+  if (source.teamId && source.channelId) {
+    fields.push(['Source', `Channel (Team: ${source.teamId}, Channel: ${source.channelId})`]);
+  } else if (source.chatId) {
+    fields.push(['Source', `Chat (${source.chatId})`]);
+  }
+
+  fields.push(['Total Messages', String(countMessages(records))]);
+
+  if (metadata.createdDateTime) {
+    fields.push(['Created', dates.dateTime(metadata.createdDateTime)]);
+  }
+
+  const now = new Date();
+  fields.push(['Last Run', now.toISOString()]);
+  fields.push(['Last Run (Local)', dates.dateTime(now)]);
+  fields.push(['Time Zone', dates.timeZone]);
+
+  if (options.filters) {
+    fields.push(['Filters', describeFilters(options.filters).join('; ')]);
+  }
+
+  return fields;
+}
+
+/**
+ * Groups records into threads (replies under their root post), and threads
+ * into sections: by the date of their root post, by session or conversation
+ * (see grouping.js), or one section for all
+ * @returns {Array} { heading, start, threads: [{ message, replies }] }, where
+ *   start is when a session or conversation starts (null for other sections)
+ */
+function groupThreads(records, options) {
+  const { groupByDate, groupBy = groupByDate ? 'date' : 'none', sessionGapMinutes, dates } = options;
+  const ids = new Set(records.map((record) => record.id));
+  const repliesByRoot = {};
+
+  records.forEach((record) => {
+    if (record.replyToId && ids.has(record.replyToId)) {
+      (repliesByRoot[record.replyToId] = repliesByRoot[record.replyToId] || []).push(record);
+    }
+  });
+
+  const threads = records
+    .filter((record) => !(record.replyToId && ids.has(record.replyToId)))
+    .map((record) => ({ message: record, replies: repliesByRoot[record.id] || [] }));
+
+  if (groupBy === 'session' || groupBy === 'thread') {
+    const groups = groupBy === 'session'
+      ? groupIntoSessions(threads, sessionGapMinutes)
+      : groupIntoConversations(threads, (record) => (record.quotedMessage?.id ? [record.quotedMessage.id] : []));
+
+    return groups.map((group) => {
+      const names = group.threads
+        .flatMap((thread) => [thread.message, ...thread.replies])
+        .filter((record) => record.sender)
+        .map((record) => record.sender.name);
+      const participants = [...new Set(names)].sort((a, b) => a.localeCompare(b));
+      return { heading: formatGroupHeading({ ...group, participants }, dates), start: group.start, threads: group.threads };
+    });
+  }
+
+  if (groupBy === 'none') {
+    return threads.length > 0 ? [{ heading: 'Chat Messages', start: null, threads }] : [];
+  }
+
+  const sections = new Map();
+  threads.forEach((thread) => {
+    const day = dates.dayKey(thread.message.createdDateTime);
+    if (!sections.has(day)) {
+      sections.set(day, { heading: dates.date(thread.message.createdDateTime), start: null, threads: [] });
+    }
+    sections.get(day).threads.push(thread);
+  });
+
+  return [...sections.keys()].sort().map((day) => sections.get(day));
+}
+
+/**
+ * Formats when a message was sent; messages on a later day than their post
+ * (or session or conversation) started show the date
+ */
+function formatSentTime(record, sectionStart, dates) {
+  return dates.dayKey(record.createdDateTime) !== dates.dayKey(sectionStart)
+    ? dates.dateTime(record.createdDateTime)
+    : dates.time(record.createdDateTime);
+}
+
+/**
+ * Lists a message's reactions by type, e.g. 'like, heart'
+ */
+function formatReactions(record) {
+  return record.reactions.map((reaction) => reaction.type).join(', ');
+}
+
+/**
+ * Labels a record's previous versions, newest first
+ */
+function getEditHistory(record, dates) {
+  return (record.editHistory || []).map((version, index) => ({
+    label: `Before ${index === 0 && record.deletedDateTime ? 'deletion' : 'edit'} on ${dates.dateTime(version.replacedDateTime)}`,
+    text: version.text,
+  }));
+}
+
+/**
+ * Counts the messages in an export: like markdown's message_count and the
+ * split index, deleted messages that are marked count, removed ones are gone
+ */
+function countMessages(records) {
+  return records.length;
+}
+
+/**
+ * Escapes text for use in HTML content and attribute values
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
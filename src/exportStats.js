@@ -0,0 +1,456 @@
+import fs from 'fs';
+import path from 'path';
+import { createDateFormatter } from './dateFormat.js';
+import { getFormatExtension, getRecordsPath, OUTPUT_FORMATS, readExportRecords } from './exportFormats.js';
+import { parseFrontMatter } from './frontMatter.js';
+import { groupIntoConversations } from './grouping.js';
+import { buildThreads, readMarkdownRecords } from './ragGenerator.js';
+import { getPeriodPaths, SPLIT_INDEX_FILENAME } from './splitExport.js';
+import { loadSyncState } from './syncState.js';
+
+/**
+ * Activity statistics of an existing export (the stats command), computed
+ * offline from the message records of the export:
+ *
+ * - totals, and per participant: messages, replies, threads started,
+ *   attachments, reactions received and given, and median response time
+ * - an activity heatmap by weekday and hour, and the busiest days
+ * - response times: how long it takes until someone else answers
+ * - threads: conversations (a post, its replies and the messages quoting
+ *   them), their size and how deep quote and reply chains go
+ * - the most shared attachments and the reactions used
+ *
+ * JSON, JSONL, HTML and text exports are read from their records; markdown
+ * exports are read back from the document, which only keeps senders by name
+ * and reactions by type, so reactions given are not known for them.
+ */
+
+export const STATS_FORMATS = ['markdown', 'json'];
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Loads the message records of an export
+ * @param {string} exportPath - Export file, split export directory, or the
+ *   export's sync state (.sync.json) or records file (.records.jsonl)
+ * @returns {Object} { path, format, sourceType, topic, timeZone, records }
+ * @throws {Error} If the export, or the records of an HTML or text export, cannot be found
+ */
+export function loadExport(exportPath) {
+  let filePath = exportPath.replace(/\.sync\.json$|\.records\.jsonl$/, '');
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+    filePath = path.join(filePath, SPLIT_INDEX_FILENAME);
+  }
+
+  const state = loadSyncState(filePath);
+  if (!state && !fs.existsSync(filePath)) {
+    throw new Error(`Export not found: ${exportPath}`);
+  }
+
+  const format = state?.format ||
+    OUTPUT_FORMATS.find((candidate) => getFormatExtension(candidate) === path.extname(filePath)) ||
+    'markdown';
+  const files = state?.splitBy ? getPeriodPaths(filePath, state) : [filePath];
+
+  let sourceType = state?.source?.type || null;
+  let topic = null;
+  let timeZone = state?.timeZone || null;
+
+  const records = files.flatMap((file) => {
+    if (format === 'markdown') {
+      const content = readFile(file);
+      const fields = parseFrontMatter(content)?.fields || {};
+      sourceType = sourceType || fields.source || null;
+      topic = topic || fields.topic || null;
+      timeZone = timeZone || fields.time_zone || null;
+      return readMarkdownRecords(content, createDateFormatter({ timeZone }).timeZone);
+    }
+
+    if (format === 'json') {
+      const header = JSON.parse(readFile(file)).export || {};
+      sourceType = sourceType || header.source?.type || null;
+      topic = topic || header.topic || null;
+    } else if ((format === 'html' || format === 'txt') && !fs.existsSync(getRecordsPath(file))) {
+      throw new Error(`Message records not found: ${getRecordsPath(file)} (${format} exports keep them next to the export)`);
+    }
+    return readExportRecords(file, format);
+  });
+
+  return {
+    path: filePath,
+    format,
+    sourceType,
+    topic,
+    timeZone: createDateFormatter({ timeZone }).timeZone,
+    records: [...new Map(records.map((record) => [record.id, record])).values()]
+      .sort((a, b) => new Date(a.createdDateTime) - new Date(b.createdDateTime)),
+  };
+}
+
+/**
+ * Computes the statistics of an export's message records
+ * @param {Array} records - Message records, in chronological order
+ * @param {Object} options - Statistics options
+ * @param {string|null} options.timeZone - Time zone of the heatmap and days (null for the machine's)
+ * @param {string|null} options.sourceType - 'chat' or 'channel'; guessed from the replies if not known
+ * @param {number} options.top - Number of busiest days and attachments to list
+ * @returns {Object} Statistics (see the README for the fields)
+ */
+export function computeExportStats(records, options = {}) {
+  const { top = 10 } = options;
+  const dates = createDateFormatter({ timeZone: options.timeZone });
+  const isSystemEvent = (record) => record.messageType !== 'message' || !record.sender;
+
+  const deleted = records.filter((record) => record.deletedDateTime);
+  const systemEvents = records.filter((record) => !record.deletedDateTime && isSystemEvent(record));
+  const messages = records.filter((record) => !record.deletedDateTime && !isSystemEvent(record));
+  const sourceType = options.sourceType || (messages.some((msg) => msg.replyToId) ? 'channel' : 'chat');
+
+  // Participants, keyed by ID (markdown exports only know their names)
+  const users = new Map();
+  const getUser = (key, name) => {
+    if (!users.has(key)) {
+      users.set(key, {
+        name, messages: 0, replies: 0, threadsStarted: 0, attachments: 0,
+        reactionsReceived: 0, reactionsGiven: 0, reactionTypes: {}, responseTimes: [],
+      });
+    }
+    return users.get(key);
+  };
+  const senderKey = (msg) => msg.sender.id || `name:${msg.sender.name}`;
+  const keysByName = new Map(messages.map((msg) => [msg.sender.name, senderKey(msg)]));
+
+  const heatmap = WEEKDAYS.map(() => new Array(24).fill(0));
+  const days = new Map();
+  const attachments = new Map();
+  const reactionTypes = {};
+  let reactorsKnown = false;
+
+  messages.forEach((msg) => {
+    const user = getUser(senderKey(msg), msg.sender.name);
+    user.name = msg.sender.name;
+    user.messages += 1;
+    user.replies += msg.replyToId ? 1 : 0;
+    user.attachments += msg.attachments.length;
+
+    const day = dates.dayKey(msg.createdDateTime);
+    const weekday = (new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7;
+    heatmap[weekday][Number(dates.time(msg.createdDateTime).slice(0, 2))] += 1;
+
+    if (!days.has(day)) {
+      days.set(day, { day, messages: 0, senders: {} });
+    }
+    const dayStats = days.get(day);
+    dayStats.messages += 1;
+    dayStats.senders[msg.sender.name] = (dayStats.senders[msg.sender.name] || 0) + 1;
+
+    msg.attachments.forEach((att) => {
+      if (!attachments.has(att.name)) {
+        attachments.set(att.name, { name: att.name, count: 0, sharedBy: new Set() });
+      }
+      attachments.get(att.name).count += 1;
+      attachments.get(att.name).sharedBy.add(msg.sender.name);
+    });
+
+    msg.reactions.forEach((reaction) => {
+      user.reactionsReceived += 1;
+      user.reactionTypes[reaction.type] = (user.reactionTypes[reaction.type] || 0) + 1;
+      reactionTypes[reaction.type] = (reactionTypes[reaction.type] || 0) + 1;
+
+      if (reaction.userId || reaction.userName) {
+        reactorsKnown = true;
+        const key = reaction.userId || keysByName.get(reaction.userName) || `name:${reaction.userName}`;
+        getUser(key, reaction.userName || 'Unknown User').reactionsGiven += 1;
+      }
+    });
+  });
+
+  const threads = buildThreads(messages);
+  const responses = collectResponses(messages, threads, sourceType, senderKey);
+  responses.forEach(({ key, minutes }) => users.get(key).responseTimes.push(minutes));
+  threads.forEach((thread) => {
+    if (thread.replies.length > 0) {
+      users.get(senderKey(thread.message)).threadsStarted += 1;
+    }
+  });
+
+  const firstReplies = threads
+    .map((thread) => ({ thread, reply: thread.replies.find((reply) => senderKey(reply) !== senderKey(thread.message)) }))
+    .filter(({ reply }) => reply)
+    .map(({ thread, reply }) => minutesBetween(thread.message, reply));
+
+  const participants = [...users.values()]
+    .filter((user) => user.messages > 0 || user.reactionsGiven > 0)
+    .sort((a, b) => b.messages - a.messages || a.name.localeCompare(b.name))
+    .map(({ reactionTypes: types, responseTimes, reactionsGiven, ...user }) => ({
+      ...user,
+      reactionsGiven: reactorsKnown || Object.keys(reactionTypes).length === 0 ? reactionsGiven : null,
+      topReactions: sortCounts(types).slice(0, 3),
+      medianResponseMinutes: median(responseTimes),
+    }));
+
+  const times = records.map((record) => new Date(record.createdDateTime).getTime());
+
+  return {
+    sourceType,
+    timeZone: dates.timeZone,
+    period: {
+      start: times.length > 0 ? new Date(Math.min(...times)).toISOString() : null,
+      end: times.length > 0 ? new Date(Math.max(...times)).toISOString() : null,
+      activeDays: days.size,
+    },
+    totals: {
+      messages: messages.length,
+      replies: messages.filter((msg) => msg.replyToId).length,
+      systemEvents: systemEvents.length,
+      deleted: deleted.length,
+      participants: participants.filter((user) => user.messages > 0).length,
+      attachments: messages.reduce((count, msg) => count + msg.attachments.length, 0),
+      reactions: messages.reduce((count, msg) => count + msg.reactions.length, 0),
+    },
+    participants,
+    activity: {
+      weekdays: WEEKDAYS,
+      heatmap,
+      busiestDays: [...days.values()]
+        .sort((a, b) => b.messages - a.messages || a.day.localeCompare(b.day))
+        .slice(0, top)
+        .map(({ day, messages: count, senders }) => ({
+          day,
+          messages: count,
+          participants: Object.keys(senders).length,
+          mostActive: sortCounts(senders)[0].type,
+        })),
+    },
+    responseTimes: {
+      medianMinutes: median(responses.map((response) => response.minutes)),
+      responses: responses.length,
+      medianFirstReplyMinutes: median(firstReplies),
+      firstReplies: firstReplies.length,
+    },
+    threads: describeThreads(messages, threads),
+    topAttachments: [...attachments.values()]
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+      .slice(0, top)
+      .map(({ sharedBy, ...att }) => ({ ...att, sharedBy: [...sharedBy].sort((a, b) => a.localeCompare(b)) })),
+    reactions: sortCounts(reactionTypes).map(({ type, count }) => ({ type, count })),
+  };
+}
+
+/**
+ * Renders statistics as a Markdown report
+ * @param {Object} stats - Statistics from computeExportStats
+ * @param {Object} options - Report options
+ * @param {string} options.title - What the report is about, e.g. the chat topic
+ * @returns {string} Markdown report
+ */
+export function renderStatsReport(stats, options = {}) {
+  const { totals, period, responseTimes, threads } = stats;
+  const dates = createDateFormatter({ timeZone: stats.timeZone });
+  const lines = [`# Chat Statistics${options.title ? `: ${options.title}` : ''}`, ''];
+
+  const range = period.start ? `${dates.date(period.start)} – ${dates.date(period.end)}` : 'no messages';
+  lines.push(`*${stats.sourceType === 'channel' ? 'Channel' : 'Chat'} · ${range} · ${plural(period.activeDays, 'active day')} · times in ${stats.timeZone}*`, '');
+
+  lines.push('## Summary', '');
+  lines.push(...renderTable(
+    ['Messages', 'Replies', 'Participants', 'Attachments', 'Reactions', 'System events', 'Deleted'],
+    [[totals.messages, totals.replies, totals.participants, totals.attachments, totals.reactions, totals.systemEvents, totals.deleted]]
+  ), '');
+
+  lines.push('## Participants', '');
+  lines.push(...renderTable(
+    ['Participant', 'Messages', 'Replies', 'Threads started', 'Attachments', 'Reactions received', 'Reactions given', 'Top reactions', 'Median response'],
+    stats.participants.map((user) => [
+      user.name,
+      user.messages,
+      user.replies,
+      user.threadsStarted,
+      user.attachments,
+      user.reactionsReceived,
+      user.reactionsGiven ?? '–',
+      user.topReactions.map(({ type, count }) => `${type} ×${count}`).join(', ') || '–',
+      formatMinutes(user.medianResponseMinutes),
+    ])
+  ), '');
+  if (stats.participants.some((user) => user.reactionsGiven === null)) {
+    lines.push('*Reactions given are not known for markdown exports.*', '');
+  }
+
+  lines.push('## Activity by Weekday and Hour', '');
+  lines.push(...renderTable(
+    ['', ...Array.from({ length: 24 }, (_, hour) => String(hour).padStart(2, '0'))],
+    stats.activity.weekdays.map((weekday, index) => [
+      `**${weekday}**`,
+      ...stats.activity.heatmap[index].map((count) => (count > 0 ? count : '')),
+    ])
+  ), '');
+
+  lines.push('## Busiest Days', '');
+  lines.push(...renderTable(
+    ['Day', 'Messages', 'Participants', 'Most active'],
+    stats.activity.busiestDays.map((day) => [day.day, day.messages, day.participants, day.mostActive])
+  ), '');
+
+  lines.push('## Response Times', '');
+  lines.push(`- Median response time: ${formatMinutes(responseTimes.medianMinutes)} (${plural(responseTimes.responses, 'response')})`);
+  if (stats.sourceType === 'channel') {
+    lines.push(`- Median time to first reply: ${formatMinutes(responseTimes.medianFirstReplyMinutes)} (${plural(responseTimes.firstReplies, 'thread')})`);
+  }
+  lines.push('');
+
+  lines.push('## Threads', '');
+  lines.push(`- Conversations: ${threads.conversations} (${threads.withReplies} with replies or quotes)`);
+  lines.push(`- Messages per conversation: ${threads.averageMessages} on average, ${threads.maxMessages} at most`);
+  lines.push(`- Deepest reply chain: ${threads.maxDepth}`, '');
+  lines.push(...renderTable(
+    ['Depth', 'Conversations'],
+    Object.entries(threads.depthDistribution).map(([depth, count]) => [depth, count])
+  ), '');
+
+  lines.push('## Top Attachments', '');
+  lines.push(...renderTable(
+    ['Attachment', 'Times shared', 'Shared by'],
+    stats.topAttachments.map((att) => [att.name, att.count, att.sharedBy.join(', ')])
+  ), '');
+
+  lines.push('## Reactions', '');
+  lines.push(...renderTable(['Reaction', 'Count'], stats.reactions.map(({ type, count }) => [type, count])));
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Reads a file, with a clearer error if it is missing
+ */
+function readFile(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Export file not found: ${file}`);
+  }
+  return fs.readFileSync(file, 'utf8');
+}
+
+/**
+ * Collects response times: in chats, a message answers the last message by
+ * someone else; in channels, a reply answers the message before it in its
+ * thread (if someone else sent it)
+ * @returns {Array} { key, minutes } per response, keyed by the responder
+ */
+function collectResponses(messages, threads, sourceType, senderKey) {
+  const sequences = sourceType === 'channel'
+    ? threads.map((thread) => [thread.message, ...thread.replies])
+    : [messages];
+
+  return sequences.flatMap((sequence) => sequence.slice(1)
+    .map((msg, index) => ({ msg, previous: sequence[index] }))
+    .filter(({ msg, previous }) => senderKey(msg) !== senderKey(previous))
+    .map(({ msg, previous }) => ({ key: senderKey(msg), minutes: minutesBetween(previous, msg) })));
+}
+
+/**
+ * Describes the conversations of an export: threads joined with the threads
+ * quoting them. A message's depth is how many replies and quotes lead from
+ * the conversation's start to it.
+ */
+function describeThreads(messages, threads) {
+  const conversations = groupIntoConversations(threads, (msg) => (msg.quotedMessage?.id ? [msg.quotedMessage.id] : []));
+
+  const byId = new Map(messages.map((msg) => [msg.id, msg]));
+  const depths = new Map();
+  const getDepth = (msg) => {
+    if (!depths.has(msg.id)) {
+      // Only quotes of earlier messages count, so the chain ends
+      const quoted = byId.get(msg.quotedMessage?.id);
+      const quotesEarlier = quoted && new Date(quoted.createdDateTime) < new Date(msg.createdDateTime);
+      depths.set(msg.id, quotesEarlier ? getDepth(quoted) + 1 : msg.replyToId && byId.has(msg.replyToId) ? 1 : 0);
+    }
+    return depths.get(msg.id);
+  };
+
+  const sizes = conversations.map((conversation) => {
+    const members = conversation.threads.flatMap((thread) => [thread.message, ...thread.replies]);
+    return { messages: members.length, depth: Math.max(...members.map(getDepth)) };
+  });
+
+  const depthDistribution = {};
+  sizes.forEach(({ depth }) => {
+    depthDistribution[depth] = (depthDistribution[depth] || 0) + 1;
+  });
+
+  return {
+    conversations: sizes.length,
+    withReplies: sizes.filter((size) => size.messages > 1).length,
+    averageMessages: sizes.length > 0 ? round(messages.length / sizes.length) : 0,
+    maxMessages: Math.max(0, ...sizes.map((size) => size.messages)),
+    maxDepth: Math.max(0, ...sizes.map((size) => size.depth)),
+    depthDistribution,
+  };
+}
+
+function minutesBetween(earlier, later) {
+  return (new Date(later.createdDateTime) - new Date(earlier.createdDateTime)) / 60000;
+}
+
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return round(sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2, 2);
+}
+
+function round(value, digits = 1) {
+  return Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+/**
+ * Sorts counts by key, most frequent first
+ * @returns {Array} { type, count }
+ */
+function sortCounts(counts) {
+  return Object.entries(counts)
+    .map(([type, count]) => ({ type, count }))
+    .sort((a, b) => b.count - a.count || a.type.localeCompare(b.type));
+}
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Formats a duration in minutes, e.g. '45s', '4m 10s', '2h 5m' or '3d 4h'
+ */
+function formatMinutes(minutes) {
+  if (minutes === null) {
+    return '–';
+  }
+
+  const seconds = Math.round(minutes * 60);
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  if (seconds < 3600) {
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  }
+  if (seconds < 86400) {
+    return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+  }
+  return `${Math.floor(seconds / 86400)}d ${Math.floor((seconds % 86400) / 3600)}h`;
+}
+
+/**
+ * Renders a Markdown table, or a note if it has no rows
+ */
+function renderTable(headers, rows) {
+  if (rows.length === 0) {
+    return ['*None.*'];
+  }
+
+  const cell = (value) => String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  return [
+    `| ${headers.map(cell).join(' | ')} |`,
+    `|${headers.map(() => '---').join('|')}|`,
+    ...rows.map((row) => `| ${row.map(cell).join(' | ')} |`),
+  ];
+}
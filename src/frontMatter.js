@@ -0,0 +1,131 @@
+/**
+ * YAML front matter for markdown exports, which markdown loaders (LlamaIndex,
+ * LangChain, Obsidian, static site generators) read as document metadata:
+ *
+ * ---
+ * source: "chat"
+ * chat_id: "19:abc...@thread.v2"
+ * participants:
+ *   - "Alice"
+ * message_count: 42
+ * ---
+ *
+ * Only the subset of YAML the exports use is written and read back: scalars
+ * (strings are always double-quoted, as JSON) and lists of scalars.
+ */
+
+const FRONT_MATTER_PATTERN = /^---\n([\s\S]*?)\n---(?:\n|$)/;
+
+/**
+ * Formats fields as a front matter block
+ * @param {Object} fields - Field values: strings, numbers, booleans, null or arrays of those
+ * @returns {string} Front matter, from the opening to the closing `---` line
+ */
+export function formatFrontMatter(fields) {
+  const lines = ['---'];
+
+  Object.entries(fields).forEach(([key, value]) => {
+    if (!Array.isArray(value)) {
+      lines.push(`${key}: ${formatScalar(value)}`);
+    } else if (value.length === 0) {
+      lines.push(`${key}: []`);
+    } else {
+      lines.push(`${key}:`, ...value.map((item) => `  - ${formatScalar(item)}`));
+    }
+  });
+
+  lines.push('---');
+  return lines.join('\n');
+}
+
+/**
+ * Reads the front matter at the start of a document
+ * @param {string} content - Document content
+ * @returns {Object|null} { fields, length } where length is the number of
+ *   characters the front matter takes up, or null if there is none
+ */
+export function parseFrontMatter(content) {
+  const match = content.match(FRONT_MATTER_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const fields = {};
+  let listKey = null;
+
+  match[1].split('\n').forEach((line) => {
+    const item = line.match(/^\s+-\s+(.*)$/);
+    if (item && listKey) {
+      fields[listKey].push(parseScalar(item[1]));
+      return;
+    }
+
+    const field = line.match(/^([\w-]+):\s*(.*)$/);
+    if (!field) {
+      return;
+    }
+
+    const [, key, value] = field;
+    listKey = value === '' ? key : null;
+    fields[key] = value === '' ? [] : value === '[]' ? [] : parseScalar(value);
+  });
+
+  return { fields, length: match[0].length };
+}
+
+/**
+ * Rewrites the front matter of a document, keeping the rest as is
+ * @param {string} content - Document content
+ * @param {Function} update - Receives the current fields, returns the new ones
+ * @returns {string} Updated content (unchanged if it has no front matter)
+ */
+export function updateFrontMatter(content, update) {
+  const frontMatter = parseFrontMatter(content);
+  if (!frontMatter) {
+    return content;
+  }
+
+  const rest = content.slice(frontMatter.length);
+  return `${formatFrontMatter(update(frontMatter.fields))}\n${rest}`;
+}
+
+/**
+ * Formats a scalar; strings are double-quoted so IDs like 19:abc stay strings
+ */
+function formatScalar(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  return JSON.stringify(String(value));
+}
+
+/**
+ * Reads a scalar written by formatScalar (or by hand, unquoted)
+ */
+function parseScalar(value) {
+  const text = value.trim();
+
+  if (text.startsWith('"')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text.slice(1, -1);
+    }
+  }
+  if (text.startsWith("'") && text.endsWith("'")) {
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (text === 'null' || text === '~' || text === '') {
+    return null;
+  }
+  if (text === 'true' || text === 'false') {
+    return text === 'true';
+  }
+  if (/^-?\d+(\.\d+)?$/.test(text)) {
+    return Number(text);
+  }
+  return text;
+}
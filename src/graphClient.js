@@ -0,0 +1,316 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { decodeJwtPayload } from './auth.js';
+import { getGraphEndpoint } from './endpoints.js';
+
+/**
+ * Shared Microsoft Graph request layer.
+ *
+ * Every Graph call goes through graphGet (or graphDownload for binary
+ * content), which spaces requests per tenant, retries throttled (429),
+ * unavailable (5xx) and transient network failures with exponential backoff
+ * and jitter, and honors Retry-After.
+ *
+ * It can also record every response to fixture files and replay them later,
+ * so an export can be reproduced without a live tenant. Fixtures are keyed by
+ * the request URL relative to the Graph endpoint, which makes recorded
+ * @odata.nextLink chains replay page by page.
+ */
+
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+const TRANSIENT_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE',
+  'ENETUNREACH',
+  'ERR_SOCKET_CONNECTION_TIMEOUT',
+];
+
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60000;
+const REQUEST_TIMEOUT_MS = 60000;
+
+// Next free request slot per tenant (epoch milliseconds)
+const tenantNextSlot = new Map();
+
+const retryListeners = new Set();
+
+// Fixture mode: null, { mode: 'record', dir } or { mode: 'replay', dir }
+let fixtureMode = null;
+
+/**
+ * Records every Graph response to fixture files in a directory
+ * @param {string} dir - Fixture directory (created if missing)
+ */
+export function startGraphRecording(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  fixtureMode = { mode: 'record', dir };
+}
+
+/**
+ * Serves Graph responses from previously recorded fixture files instead of the network
+ * @param {string} dir - Fixture directory written by startGraphRecording
+ */
+export function startGraphReplay(dir) {
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Replay directory not found: ${dir}`);
+  }
+  fixtureMode = { mode: 'replay', dir };
+}
+
+/**
+ * Returns true when Graph responses are being replayed from fixtures
+ * @returns {boolean}
+ */
+export function isGraphReplayActive() {
+  return fixtureMode?.mode === 'replay';
+}
+
+/**
+ * Registers a listener that is called before every retry
+ * @param {Function} listener - Called with { attempt, maxRetries, delayMs, reason, url }
+ * @returns {Function} Unsubscribe function
+ */
+export function onGraphRetry(listener) {
+  retryListeners.add(listener);
+  return () => retryListeners.delete(listener);
+}
+
+/**
+ * Performs a GET request against Microsoft Graph with retries and rate limiting
+ * @param {string} accessToken - OAuth2 access token
+ * @param {string} url - Absolute Graph URL (including @odata.nextLink URLs)
+ * @returns {Promise<Object>} Axios response
+ */
+export async function graphGet(accessToken, url) {
+  return graphRequest(accessToken, url, { responseType: 'json' });
+}
+
+/**
+ * Downloads binary content (hosted images, files) through Microsoft Graph with
+ * the same retries and rate limiting as graphGet
+ * @param {string} accessToken - OAuth2 access token
+ * @param {string} url - Absolute Graph URL
+ * @param {number} maxBytes - Largest download accepted
+ * @returns {Promise<Object>} Axios response with a Buffer as data
+ */
+export async function graphDownload(accessToken, url, maxBytes) {
+  const response = await graphRequest(accessToken, url, {
+    responseType: 'arraybuffer',
+    maxContentLength: maxBytes,
+  });
+  return { ...response, data: Buffer.from(response.data) };
+}
+
+/**
+ * Sends a GET request with retries, rate limiting and record/replay
+ */
+async function graphRequest(accessToken, url, requestOptions) {
+  if (isGraphReplayActive()) {
+    return replayResponse(url);
+  }
+
+  const maxRetries = getMaxRetries();
+  const tenantId = decodeJwtPayload(accessToken).tid || 'default';
+
+  for (let attempt = 0; ; attempt++) {
+    await waitForTenantSlot(tenantId);
+
+    try {
+      const response = await axios.get(url, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': 'application/json',
+        },
+        timeout: REQUEST_TIMEOUT_MS,
+        ...requestOptions,
+      });
+
+      recordResponse(url, response);
+      return response;
+    } catch (error) {
+      const reason = getRetryReason(error);
+
+      if (!reason || attempt >= maxRetries) {
+        // Record Graph error responses too, so replays fail the same way
+        if (error.response) {
+          recordResponse(url, error.response);
+        }
+        throw error;
+      }
+
+      const retryAfterMs = parseRetryAfter(error.response?.headers?.['retry-after']);
+      const delayMs = retryAfterMs ?? getBackoffDelay(attempt);
+
+      // Throttling applies to the whole tenant, so hold back other requests too
+      if (error.response?.status === 429) {
+        tenantNextSlot.set(tenantId, Math.max(tenantNextSlot.get(tenantId) || 0, Date.now() + delayMs));
+      }
+
+      retryListeners.forEach((listener) =>
+        listener({ attempt: attempt + 1, maxRetries, delayMs, reason, url })
+      );
+
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * Returns the fixture file path for a request URL
+ */
+function getFixturePath(url) {
+  const relativeUrl = getRelativeUrl(url);
+  const hash = crypto.createHash('sha256').update(relativeUrl).digest('hex').substring(0, 24);
+  return { relativeUrl, fixturePath: path.join(fixtureMode.dir, `${hash}.json`) };
+}
+
+/**
+ * Strips the Graph endpoint so fixtures replay regardless of the configured cloud
+ */
+function getRelativeUrl(url) {
+  const graphEndpoint = getGraphEndpoint();
+  if (url.startsWith(graphEndpoint)) {
+    return url.substring(graphEndpoint.length);
+  }
+
+  const parsed = new URL(url);
+  return `${parsed.pathname}${parsed.search}`;
+}
+
+/**
+ * Writes a response to its fixture file when recording
+ */
+function recordResponse(url, response) {
+  if (fixtureMode?.mode !== 'record') {
+    return;
+  }
+
+  const { relativeUrl, fixturePath } = getFixturePath(url);
+  const fixture = {
+    url: relativeUrl,
+    status: response.status,
+    data: response.data,
+  };
+
+  // Binary downloads are stored as base64 along with their content type
+  if (Buffer.isBuffer(response.data) || response.data instanceof ArrayBuffer) {
+    fixture.contentType = response.headers?.['content-type'] || null;
+    fixture.encoding = 'base64';
+    fixture.data = Buffer.from(response.data).toString('base64');
+  }
+
+  fs.writeFileSync(fixturePath, JSON.stringify(fixture, null, 2), 'utf8');
+}
+
+/**
+ * Serves a recorded response, rejecting like axios for recorded error statuses
+ */
+function replayResponse(url) {
+  const { relativeUrl, fixturePath } = getFixturePath(url);
+
+  if (!fs.existsSync(fixturePath)) {
+    throw new Error(`No recorded Graph response for ${relativeUrl} in ${fixtureMode.dir}`);
+  }
+
+  const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  const response = fixture.encoding === 'base64'
+    ? { status: fixture.status, headers: { 'content-type': fixture.contentType }, data: Buffer.from(fixture.data, 'base64') }
+    : { status: fixture.status, headers: {}, data: fixture.data };
+
+  if (fixture.status >= 400) {
+    const error = new Error(`Request failed with status code ${fixture.status}`);
+    error.response = response;
+    throw error;
+  }
+
+  return response;
+}
+
+/**
+ * Returns a short description if the error is worth retrying, otherwise null
+ */
+function getRetryReason(error) {
+  if (error.response) {
+    const status = error.response.status;
+    return RETRYABLE_STATUS_CODES.includes(status) ? `HTTP ${status}` : null;
+  }
+
+  if (error.code && TRANSIENT_ERROR_CODES.includes(error.code)) {
+    return error.code;
+  }
+
+  return null;
+}
+
+/**
+ * Parses a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.min(Math.max(seconds, 0) * 1000, MAX_DELAY_MS * 5);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.min(Math.max(date - Date.now(), 0), MAX_DELAY_MS * 5);
+  }
+
+  return null;
+}
+
+/**
+ * Exponential backoff with jitter: half the delay is fixed, half is random
+ */
+function getBackoffDelay(attempt) {
+  const exponential = Math.min(BASE_DELAY_MS * 2 ** attempt, MAX_DELAY_MS);
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+/**
+ * Waits until the tenant's rate limiter allows the next request
+ */
+async function waitForTenantSlot(tenantId) {
+  const intervalMs = 1000 / getRequestsPerSecond();
+  const now = Date.now();
+  const slot = Math.max(now, tenantNextSlot.get(tenantId) || 0);
+
+  tenantNextSlot.set(tenantId, slot + intervalMs);
+
+  if (slot > now) {
+    await sleep(slot - now);
+  }
+}
+
+/**
+ * Maximum retries per request (GRAPH_MAX_RETRIES, default 6)
+ */
+function getMaxRetries() {
+  const value = parseInt(process.env.GRAPH_MAX_RETRIES);
+  return Number.isNaN(value) ? 6 : value;
+}
+
+/**
+ * Request rate limit per tenant (GRAPH_MAX_RPS, default 8)
+ */
+function getRequestsPerSecond() {
+  const value = parseFloat(process.env.GRAPH_MAX_RPS);
+  return value > 0 ? value : 8;
+}
+
+/**
+ * Resolves after the given number of milliseconds
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
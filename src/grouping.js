@@ -0,0 +1,122 @@
+/**
+ * Conversation grouping for exports (--group-by). Besides one section per day
+ * (date) or a single section (none), threads can be grouped into:
+ *
+ * - session: a new section wherever activity pauses for longer than the
+ *   session gap, so a conversation that runs past midnight stays together
+ * - thread: one section per conversation, made of a post with its replies,
+ *   joined with the messages it quotes and the ones quoting it
+ *
+ * Threads are { message, replies } as built from replyToId; a thread's
+ * activity runs from its post to its last reply.
+ */
+
+export const GROUP_BY_MODES = ['date', 'session', 'thread', 'none'];
+
+export const DEFAULT_SESSION_GAP_MINUTES = 30;
+
+// Session and thread headings name this many participants, then count the rest
+const MAX_HEADING_PARTICIPANTS = 5;
+
+/**
+ * Returns when a thread's activity starts and ends
+ * @param {Object} thread - { message, replies }
+ * @returns {Object} { start, end } as Dates
+ */
+export function getThreadSpan(thread) {
+  const times = [thread.message, ...thread.replies].map((msg) => new Date(msg.createdDateTime).getTime());
+  return { start: new Date(Math.min(...times)), end: new Date(Math.max(...times)) };
+}
+
+/**
+ * Splits threads into sessions wherever activity pauses for longer than the gap
+ * @param {Array} threads - Threads in chronological order of their first message
+ * @param {number} gapMinutes - Longest pause within a session
+ * @returns {Array} Sessions as { threads, start, end }
+ */
+export function groupIntoSessions(threads, gapMinutes = DEFAULT_SESSION_GAP_MINUTES) {
+  const gap = gapMinutes * 60 * 1000;
+  const sessions = [];
+  let current = null;
+
+  threads.forEach((thread) => {
+    const span = getThreadSpan(thread);
+
+    if (current && span.start - current.end <= gap) {
+      current.threads.push(thread);
+      current.end = new Date(Math.max(current.end, span.end));
+    } else {
+      current = { threads: [thread], start: span.start, end: span.end };
+      sessions.push(current);
+    }
+  });
+
+  return sessions;
+}
+
+/**
+ * Groups threads into conversations: threads are joined when a message in
+ * one quotes a message in the other
+ * @param {Array} threads - Threads in chronological order of their first message
+ * @param {Function} getQuotedIds - Returns the IDs of the messages a message quotes
+ * @returns {Array} Conversations as { threads, start, end }, by their first message
+ */
+export function groupIntoConversations(threads, getQuotedIds) {
+  const threadIndexById = new Map();
+  threads.forEach((thread, index) => {
+    [thread.message, ...thread.replies].forEach((msg) => threadIndexById.set(msg.id, index));
+  });
+
+  // Union-find over threads
+  const parents = threads.map((thread, index) => index);
+  const find = (index) => (parents[index] === index ? index : (parents[index] = find(parents[index])));
+
+  threads.forEach((thread, index) => {
+    [thread.message, ...thread.replies].forEach((msg) => {
+      getQuotedIds(msg).forEach((quotedId) => {
+        if (threadIndexById.has(quotedId)) {
+          parents[find(threadIndexById.get(quotedId))] = find(index);
+        }
+      });
+    });
+  });
+
+  const conversations = new Map();
+  threads.forEach((thread, index) => {
+    const root = find(index);
+    const span = getThreadSpan(thread);
+    const conversation = conversations.get(root);
+
+    if (conversation) {
+      conversation.threads.push(thread);
+      conversation.start = new Date(Math.min(conversation.start, span.start));
+      conversation.end = new Date(Math.max(conversation.end, span.end));
+    } else {
+      conversations.set(root, { threads: [thread], start: span.start, end: span.end });
+    }
+  });
+
+  return [...conversations.values()].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Formats the heading text of a session or conversation: its time span and participants
+ * @param {Object} group - { start, end, participants }
+ * @param {Object} dates - Date formatter (see createDateFormatter)
+ * @returns {string} e.g. '2025-10-03 09:00:00 – 09:42:10 (Alice, Bob)'
+ */
+export function formatGroupHeading({ start, end, participants }, dates) {
+  let span = dates.dateTime(start);
+
+  if (end - start > 0) {
+    span += ` – ${dates.dayKey(end) === dates.dayKey(start) ? dates.time(end) : dates.dateTime(end)}`;
+  }
+
+  if (participants.length === 0) {
+    return span;
+  }
+
+  const named = participants.slice(0, MAX_HEADING_PARTICIPANTS);
+  const others = participants.length - named.length;
+  return `${span} (${named.join(', ')}${others > 0 ? ` and ${others} other${others === 1 ? '' : 's'}` : ''})`;
+}
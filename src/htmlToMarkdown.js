@@ -0,0 +1,523 @@
+import { decodeHTML } from 'entities';
+
+/**
+ * Converts the HTML of Teams message bodies to Markdown.
+ *
+ * Teams sends a small subset of HTML: paragraphs and divs, inline formatting,
+ * links, lists, blockquotes, tables pasted from Office (`copy-paste-table`),
+ * code blocks (`<codeblock class="JavaScript"><code>...`), emoji (as `<emoji>`
+ * or as images carrying the emoji in `alt`), hosted images, mentions
+ * (`<at id="0">`) and quoted replies (`<blockquote itemtype=".../Reply">`). The HTML is
+ * parsed into a small tree first, so nesting (lists in lists, code in
+ * quotes, formatting in table cells) comes out right.
+ *
+ * Text is not Markdown-escaped: the output is meant to be read (by people and
+ * models), and a stray `*` is less noisy than escaping every one of them.
+ */
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'codeblock', 'dd', 'div', 'dl', 'dt', 'figure',
+  'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p',
+  'pre', 'section', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul',
+]);
+
+// Opening one of these closes an unclosed sibling (e.g. `<li>a<li>b`)
+const IMPLICITLY_CLOSED = {
+  li: ['li'],
+  p: ['p'],
+  td: ['td', 'th'],
+  th: ['td', 'th'],
+  tr: ['tr', 'td', 'th'],
+};
+
+/**
+ * Converts a Teams HTML message body to Markdown
+ * @param {string} html - Message body HTML
+ * @param {Object} options - Conversion options
+ * @param {Object} options.localAssets - Downloaded images, by src (become image links; others are dropped)
+ * @param {Object} options.mentions - Mentioned users, channels or apps by `<at>` id, as { name, key }
+ *   (key identifies who was mentioned, so a name split over several tags is shown once)
+ * @returns {string} Markdown text
+ */
+export function htmlToMarkdown(html, options = {}) {
+  const context = { localAssets: options.localAssets || {}, mentions: options.mentions || {} };
+  const root = parseHtml(html);
+
+  mergeSplitMentions(root, context.mentions);
+  return joinBlocks(renderBlocks(root.children, context));
+}
+
+/**
+ * Formats a quoted message as a blockquote that names its sender and links to it
+ * @param {Object} quote - Quoted message
+ * @param {string|null} quote.sender - Sender display name
+ * @param {string} quote.text - Message text (or preview)
+ * @param {string|null} quote.messageId - Message ID, linked as #msg-<id>
+ * @returns {string} Blockquote Markdown
+ */
+export function formatQuotedReply({ sender, text, messageId }) {
+  const who = sender ? `**${sender}**` : 'a message';
+  const link = messageId ? ` ([message](#msg-${messageId}))` : '';
+  const lines = [`Replying to ${who}${link}:`, ...text.trim().split('\n')];
+
+  return lines.map((line) => (line ? `> ${line}` : '>')).join('\n');
+}
+
+/**
+ * Parses HTML into a tree of { type: 'element', tag, attrs, children } and
+ * { type: 'text', text } nodes, with entities decoded
+ */
+function parseHtml(html) {
+  const root = { type: 'element', tag: '#root', attrs: {}, children: [] };
+  const stack = [root];
+  const tokenPattern = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+  const source = html.replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, '');
+  let match;
+
+  while ((match = tokenPattern.exec(source)) !== null) {
+    const [token, closing, tagName, attributes] = match;
+    const current = stack[stack.length - 1];
+
+    if (token.startsWith('<!--')) {
+      continue;
+    }
+
+    if (!tagName) {
+      current.children.push({ type: 'text', text: decodeHTML(token) });
+      continue;
+    }
+
+    const tag = tagName.toLowerCase();
+
+    if (closing) {
+      const index = stack.map((node) => node.tag).lastIndexOf(tag);
+      if (index > 0) {
+        stack.length = index;
+      }
+      continue;
+    }
+
+    while ((IMPLICITLY_CLOSED[tag] || []).includes(stack[stack.length - 1].tag)) {
+      stack.pop();
+    }
+
+    const element = { type: 'element', tag, attrs: parseAttributes(attributes), children: [] };
+    stack[stack.length - 1].children.push(element);
+
+    if (!VOID_TAGS.has(tag) && !attributes.trimEnd().endsWith('/')) {
+      stack.push(element);
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Parses the attributes of a start tag
+ */
+function parseAttributes(text) {
+  const attrs = {};
+  const attributePattern = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+
+  while ((match = attributePattern.exec(text)) !== null) {
+    attrs[match[1].toLowerCase()] = decodeHTML(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+
+  return attrs;
+}
+
+/**
+ * Teams splits a mention of "Megan Bowen" into `<at id="0">Megan</at> <at id="1">Bowen</at>`.
+ * Drops the later tags of such a run, since each one resolves to the full name.
+ */
+function mergeSplitMentions(node, mentions) {
+  const children = [];
+
+  node.children.forEach((child) => {
+    const key = child.tag === 'at' ? mentions[child.attrs.id]?.key : null;
+    const previous = children[children.length - 1];
+    const beforePrevious = children[children.length - 2];
+
+    if (key && previous?.tag === 'at' && mentions[previous.attrs.id]?.key === key) {
+      return;
+    }
+    if (key && previous?.type === 'text' && !previous.text.trim() &&
+        beforePrevious?.tag === 'at' && mentions[beforePrevious.attrs.id]?.key === key) {
+      children.pop();
+      return;
+    }
+
+    if (child.type === 'element') {
+      mergeSplitMentions(child, mentions);
+    }
+    children.push(child);
+  });
+
+  node.children = children;
+}
+
+/**
+ * Checks whether a node renders as a block (block tags, and inline tags wrapping blocks)
+ */
+function isBlock(node) {
+  return node.type === 'element' && (BLOCK_TAGS.has(node.tag) || node.children.some(isBlock));
+}
+
+/**
+ * Renders sibling nodes as a list of { tag, text } blocks. Runs of inline
+ * content become 'text' blocks.
+ */
+function renderBlocks(nodes, context) {
+  const blocks = [];
+  let inline = '';
+
+  const flush = () => {
+    const text = tidyInline(inline);
+    if (text) {
+      blocks.push({ tag: 'text', text });
+    }
+    inline = '';
+  };
+
+  nodes.forEach((node) => {
+    if (isBlock(node)) {
+      flush();
+      blocks.push(...renderBlock(node, context).filter((block) => block.text));
+    } else {
+      inline += renderInline(node, context);
+    }
+  });
+  flush();
+
+  return blocks;
+}
+
+/**
+ * Renders a block element as one or more blocks
+ */
+function renderBlock(node, context) {
+  switch (node.tag) {
+    case 'p':
+      return renderBlocks(node.children, context).map((block) =>
+        block.tag === 'text' ? { ...block, tag: 'p' } : block
+      );
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6': {
+      // Headings in a message sit below the export's own date headings
+      const level = Math.min(parseInt(node.tag.substring(1)) + 3, 6);
+      const text = joinBlocks(renderBlocks(node.children, context)).replace(/\s*\n\s*/g, ' ');
+      return [{ tag: 'heading', text: text && `${'#'.repeat(level)} ${text}` }];
+    }
+    case 'ul':
+    case 'ol':
+      return [{ tag: 'list', text: renderList(node, context) }];
+    case 'pre':
+    case 'codeblock':
+      return [{ tag: 'code', text: renderCodeBlock(node) }];
+    case 'blockquote': {
+      if (/schema\.skype\.com\/Reply/i.test(node.attrs.itemtype || '')) {
+        return [{ tag: 'quote', text: renderReplyQuote(node, context) }];
+      }
+      const text = joinBlocks(renderBlocks(node.children, context));
+      return [{ tag: 'quote', text: text && text.split('\n').map((line) => (line ? `> ${line}` : '>')).join('\n') }];
+    }
+    case 'table':
+      return [{ tag: 'table', text: renderTable(node, context) }];
+    case 'hr':
+      return [{ tag: 'hr', text: '---' }];
+    default:
+      return renderBlocks(node.children, context);
+  }
+}
+
+/**
+ * Joins blocks with blank lines. Consecutive lines of text (e.g. one div per
+ * line) stay on consecutive lines, and in tight mode so do nested lists.
+ */
+function joinBlocks(blocks, tight = false) {
+  return blocks.reduce((result, block, i) => {
+    if (i === 0) {
+      return block.text;
+    }
+    const lineBreak = (blocks[i - 1].tag === 'text' && block.tag === 'text') || (tight && block.tag === 'list');
+    return `${result}${lineBreak ? '\n' : '\n\n'}${block.text}`;
+  }, '');
+}
+
+/**
+ * Renders an inline node
+ */
+function renderInline(node, context) {
+  if (node.type === 'text') {
+    return node.text.replace(/\s+/g, ' ');
+  }
+
+  const inner = () => node.children.map((child) => renderInline(child, context)).join('');
+
+  switch (node.tag) {
+    case 'br':
+      return '\n';
+    case 'b':
+    case 'strong':
+      return wrapInline(inner(), '**');
+    case 'i':
+    case 'em':
+      return wrapInline(inner(), '*');
+    case 's':
+    case 'strike':
+    case 'del':
+      return wrapInline(inner(), '~~');
+    case 'code':
+      return renderInlineCode(getRawText(node));
+    case 'a':
+      return renderLink(node, inner());
+    case 'img':
+      return renderImage(node, context);
+    case 'emoji':
+      return node.attrs.alt || '';
+    case 'at': {
+      const name = context.mentions[node.attrs.id]?.name || tidyInline(inner());
+      return name ? `@${name}` : '';
+    }
+    case 'attachment':
+      // Attachments are listed below the message
+      return '';
+    default:
+      return inner();
+  }
+}
+
+/**
+ * Collapses the whitespace left over from joining inline content
+ */
+function tidyInline(text) {
+  return text
+    .split('\n')
+    .map((line) => line.replace(/ {2,}/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Wraps inline text in emphasis markers, keeping surrounding spaces outside them
+ */
+function wrapInline(text, marker) {
+  const [, before, content, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return content ? `${before}${marker}${content}${marker}${after}` : text;
+}
+
+/**
+ * Renders a quoted reply in the HTML form older Teams clients send: the sender
+ * (itemprop="mri"), time and a preview of the quoted message
+ */
+function renderReplyQuote(node, context) {
+  const findProp = (element, prop) => {
+    for (const child of element.children) {
+      if (child.type !== 'element') {
+        continue;
+      }
+      if (child.attrs.itemprop === prop) {
+        return child;
+      }
+      const found = findProp(child, prop);
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  };
+
+  const sender = findProp(node, 'mri');
+  const preview = findProp(node, 'preview');
+  const text = joinBlocks(renderBlocks(preview ? preview.children : node.children, context));
+
+  return formatQuotedReply({
+    sender: sender ? tidyInline(getRawText(sender)) : null,
+    text,
+    messageId: node.attrs.itemid || null,
+  });
+}
+
+/**
+ * Renders inline code, with a backtick fence longer than any run inside it
+ */
+function renderInlineCode(code) {
+  const text = code.replace(/\s*\n\s*/g, ' ');
+  if (!text.trim()) {
+    return '';
+  }
+  const fence = '`'.repeat(longestRun(text, '`') + 1);
+  const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+  return `${fence}${padding}${text}${padding}${fence}`;
+}
+
+/**
+ * Renders a link, or just its target (or address) when the text is the URL itself
+ */
+function renderLink(node, text) {
+  const href = (node.attrs.href || '').trim();
+  const [, before, content, after] = text.replace(/\n/g, ' ').match(/^(\s*)([\s\S]*?)(\s*)$/);
+
+  if (!href || /^javascript:/i.test(href)) {
+    return text;
+  }
+  if (!content || content === href) {
+    return `${before}${href}${after}`;
+  }
+  if (`mailto:${content}` === href) {
+    return text;
+  }
+
+  // Spaces and parentheses would end the link target early
+  const target = href.replace(/[ ()]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${before}[${content}](${target})${after}`;
+}
+
+/**
+ * Renders an image: emoji become their character, downloaded images a link
+ */
+function renderImage(node, context) {
+  const { alt = '', src = '', itemtype = '' } = node.attrs;
+
+  if (/emoji/i.test(itemtype)) {
+    return alt;
+  }
+
+  const localPath = context.localAssets[src];
+  return localPath ? `![${alt || 'image'}](${localPath})` : '';
+}
+
+/**
+ * Renders a code block as a fenced block, with the language if Teams recorded one
+ */
+function renderCodeBlock(node) {
+  const code = getRawText(node)
+    .replace(/\u00a0/g, ' ')
+    .replace(/^\s*\n/, '')
+    .trimEnd();
+  const fence = '`'.repeat(Math.max(3, longestRun(code, '`') + 1));
+
+  return code ? `${fence}${getCodeLanguage(node)}\n${code}\n${fence}` : '';
+}
+
+/**
+ * Finds a code block's language: Teams puts it in the codeblock class,
+ * other editors use a language-* class on pre or code
+ */
+function getCodeLanguage(node) {
+  const classes = [node, ...node.children.filter((child) => child.tag === 'code')]
+    .map((element) => element.attrs.class || '');
+  const prefixed = classes.map((name) => name.match(/\blang(?:uage)?-([\w+#-]+)/)).find(Boolean);
+  const language = prefixed ? prefixed[1] : node.tag === 'codeblock' ? classes[0] : '';
+
+  return language.toLowerCase().replace(/[^\w+#-]/g, '');
+}
+
+/**
+ * Returns the text of a node as written, with line breaks for br and block elements
+ */
+function getRawText(node) {
+  if (node.type === 'text') {
+    return node.text;
+  }
+  if (node.tag === 'br') {
+    return '\n';
+  }
+
+  const text = node.children.map(getRawText).join('');
+  return ['div', 'p', 'li', 'tr'].includes(node.tag) && !text.endsWith('\n') ? `${text}\n` : text;
+}
+
+/**
+ * Renders an ordered or unordered list, indenting nested lists under their item
+ */
+function renderList(node, context) {
+  const items = [];
+
+  node.children.forEach((child) => {
+    if (child.tag === 'ul' || child.tag === 'ol') {
+      // Some editors nest lists directly in the parent list rather than in an item
+      const nested = renderList(child, context);
+      if (items.length > 0) {
+        items[items.length - 1] += `\n${nested}`;
+      } else {
+        items.push(nested);
+      }
+    } else if (child.tag === 'li') {
+      items.push(joinBlocks(renderBlocks(child.children, context), true));
+    } else if (child.type === 'element' || child.text.trim()) {
+      items.push(joinBlocks(renderBlocks([child], context), true));
+    }
+  });
+
+  const start = parseInt(node.attrs.start);
+  let number = Number.isNaN(start) ? 1 : start;
+
+  return items
+    .map((item) => {
+      const marker = node.tag === 'ol' ? `${number++}.` : '-';
+      const indent = ' '.repeat(marker.length + 1);
+      return item
+        .split('\n')
+        .map((line, i) => (i === 0 ? `${marker} ${line}`.trimEnd() : line ? `${indent}${line}` : ''))
+        .join('\n');
+    })
+    .join('\n');
+}
+
+/**
+ * Renders a table as a GitHub-style table; the first row is the header
+ */
+function renderTable(node, context) {
+  const rows = [];
+  const collectRows = (element) => {
+    element.children.forEach((child) => {
+      if (child.tag === 'tr') {
+        rows.push(child);
+      } else if (child.type === 'element' && child.tag !== 'table') {
+        collectRows(child);
+      }
+    });
+  };
+  collectRows(node);
+
+  const cells = rows
+    .map((row) =>
+      row.children
+        .filter((cell) => cell.tag === 'td' || cell.tag === 'th')
+        .map((cell) => joinBlocks(renderBlocks(cell.children, context)).replace(/\|/g, '\\|').replace(/\n+/g, '<br>'))
+    )
+    .filter((row) => row.length > 0);
+
+  if (cells.length === 0) {
+    return '';
+  }
+
+  const width = Math.max(...cells.map((row) => row.length));
+  const formatRow = (row) => `| ${[...row, ...new Array(width - row.length).fill('')].join(' | ')} |`;
+
+  return [formatRow(cells[0]), formatRow(new Array(width).fill('---')), ...cells.slice(1).map(formatRow)].join('\n');
+}
+
+/**
+ * Returns the length of the longest run of a character in a string
+ */
+function longestRun(text, char) {
+  let longest = 0;
+  let current = 0;
+
+  for (const c of text) {
+    current = c === char ? current + 1 : 0;
+    longest = Math.max(longest, current);
+  }
+
+  return longest;
+}
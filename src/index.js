@@ -1,18 +1,23 @@
 #!/usr/bin/env node
 
-import { Command } from 'commander';
+import { Command, Option } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
 import dotenv from 'dotenv';
+import crypto from 'crypto';
+import fs from 'fs';
 import path from 'path';
-import { getAccessToken } from './auth.js';
+import readline from 'readline';
+import { getAccessToken, inspectClientCertificate } from './auth.js';
 import {
   fetchChatMessages,
   fetchChannelMessages,
+  fetchChannelMessagesDelta,
   fetchChatMetadata,
   fetchChatMembers,
   fetchTeamMetadata,
   fetchChannelMetadata,
+  fetchChannels,
 } from './teamsClient.js';
 import {
   generateRAGDocument,
@@ -21,350 +26,1710 @@ import {
   exportFileExists,
   parseExistingExport,
   appendMessagesToExport,
+  applyMessageChanges,
+  toMessageRecord,
 } from './ragGenerator.js';
+import {
+  OUTPUT_FORMATS,
+  getFormatExtension,
+  renderExport,
+  hasExportRecords,
+  saveExportRecords,
+  updateRecordExport,
+} from './exportFormats.js';
+import { loadProfiles, resolveProfile, applyProfile, getProfilesPath } from './profiles.js';
+import { findCachedTokens } from './tokenCache.js';
+import {
+  loadSyncState,
+  saveSyncState,
+  computeExportChecksum,
+  hasExportDrifted,
+  isSyncStateForSource,
+} from './syncState.js';
+import { listChats, listTeams, listChannels, formatSourceTable, formatTable } from './discovery.js';
+import { onGraphRetry, startGraphRecording, startGraphReplay } from './graphClient.js';
+import { downloadMessageAssets, getAssetsDir } from './assets.js';
+import { createDateFormatter, DEFAULT_DATE_FORMAT } from './dateFormat.js';
+import { GROUP_BY_MODES, DEFAULT_SESSION_GAP_MINUTES } from './grouping.js';
+import {
+  SPLIT_PERIODS,
+  SPLIT_INDEX_FILENAME,
+  createPeriodLookup,
+  groupByPeriod,
+  getPeriodFilename,
+  getPeriodPaths,
+  describePeriod,
+  updatePeriod,
+  havePeriodFilesDrifted,
+  removeStalePeriodFiles,
+  renderSplitIndex,
+} from './splitExport.js';
+import { createRedactor, loadRedactionRules, getPseudonymMapPath, REDACTION_LABELS } from './redaction.js';
+import { parseMessageFilters, createMessageFilter, describeFilters, resolveRunFilters } from './messageFilters.js';
+import { STATS_FORMATS, loadExport, computeExportStats, renderStatsReport } from './exportStats.js';
 
 dotenv.config();
 
-const program = new Command();
+const SYNC_OVERLAP_MS = 5 * 60 * 1000;
 
-program
-  .name('teams-to-rag')
-  .description('Generate high-quality RAG documents from Microsoft Teams chats')
-  .version('1.0.0');
+/**
+ * Applies the selected auth profile (if any), exiting on configuration errors
+ * @param {string|undefined} profileName - Value of the --profile option
+ * @returns {Object|null} Applied profile
+ */
+function applySelectedProfile(profileName) {
+  try {
+    const profile = resolveProfile(profileName);
+    if (profile) {
+      applyProfile(profile);
+    }
+    return profile;
+  } catch (error) {
+    console.error(chalk.red(`\nError: ${error.message}\n`));
+    process.exit(1);
+  }
+}
 
-program
-  .command('generate')
-  .description('Generate RAG document from a Teams chat or channel')
-  .option('-c, --chat-id <chatId>', 'Teams chat ID (for 1-on-1 or group chats)')
-  .option('-t, --team-id <teamId>', 'Teams team ID (for channel messages)')
-  .option('-ch, --channel-id <channelId>', 'Teams channel ID (for channel messages)')
-  .option('-o, --output <path>', 'Output file path')
-  .option('-m, --max-messages <number>', 'Maximum messages to fetch', parseInt)
-  .option('--no-metadata', 'Exclude metadata from document')
-  .option('--no-group-by-date', 'Do not group messages by date')
-  .option('--stats', 'Display chat statistics')
-  .action(async (options) => {
+/**
+ * Describes the cached token state for a profile
+ * @param {Object} profile - Profile from the profiles config
+ * @returns {string} Human-readable token status
+ */
+function describeProfileToken(profile) {
+  if ((profile.authMode || 'application') !== 'delegated') {
+    return chalk.gray('n/a (application auth)');
+  }
+
+  const cached = findCachedTokens(profile.tenantId, profile.clientId, profile.credentials?.account || null);
+
+  if (!cached) {
+    return chalk.yellow('sign-in required');
+  }
+
+  const minutesLeft = Math.floor((cached.expiresAt - Date.now()) / 60000);
+  if (minutesLeft > 0) {
+    return chalk.green(`valid (${cached.account}, expires in ${minutesLeft}m)`);
+  }
+
+  if (cached.refreshToken) {
+    return chalk.green(`refreshable (${cached.account})`);
+  }
+
+  return chalk.yellow('expired, sign-in required');
+}
+
+/**
+ * Shows Graph retries (throttling, transient failures) in a spinner while it runs
+ * @param {Object} spinner - ora spinner
+ * @returns {Object} { stop } - stop() unsubscribes and returns a retry summary ('' if none)
+ */
+function trackGraphRetries(spinner) {
+  const baseText = spinner.text;
+  let retries = 0;
+  let waitedMs = 0;
+
+  const unsubscribe = onGraphRetry(({ attempt, maxRetries, delayMs, reason }) => {
+    retries++;
+    waitedMs += delayMs;
+    spinner.text = `${baseText} ${chalk.yellow(`(${reason}, retry ${attempt}/${maxRetries} in ${(delayMs / 1000).toFixed(1)}s)`)}`;
+  });
+
+  return {
+    stop() {
+      unsubscribe();
+      spinner.text = baseText;
+      return retries > 0
+        ? ` (${retries} ${retries === 1 ? 'retry' : 'retries'}, waited ${(waitedMs / 1000).toFixed(1)}s)`
+        : '';
+    },
+  };
+}
+
+/**
+ * Acquires an access token for the configured auth mode, showing progress and
+ * device code instructions. Exits the process if authentication fails.
+ * @param {string} authMode - 'application' or 'delegated'
+ * @param {Function} log - Where to print device code instructions
+ * @param {Object} tokenOptions - Passed to getAccessToken (readFiles)
+ * @returns {Promise<string>} Access token
+ */
+async function authenticate(authMode, log = console.log, tokenOptions = {}) {
+  let authSpinner;
+
+  if (authMode === 'delegated') {
+    authSpinner = ora('Authenticating (using cached sign-in if available)...').start();
     try {
-      // Get configuration
-      const chatId = options.chatId || process.env.TEAMS_CHAT_ID;
-      const teamId = options.teamId || process.env.TEAMS_TEAM_ID;
-      const channelId = options.channelId || process.env.TEAMS_CHANNEL_ID;
-      const maxMessages = options.maxMessages || (process.env.MAX_MESSAGES ? parseInt(process.env.MAX_MESSAGES) : null);
-      const outputDir = process.env.OUTPUT_DIR || './output';
-      const includeMetadata = options.metadata !== false && process.env.INCLUDE_METADATA !== 'false';
-      const groupByDate = options.groupByDate !== false && process.env.GROUP_BY_DATE !== 'false';
-
-      // Determine if we're fetching from chat or channel
-      const isChannel = !!(teamId && channelId);
-      const isChat = !!chatId;
-
-      if (!isChannel && !isChat) {
-        console.error(chalk.red('Error: Either chat ID or (team ID + channel ID) is required.\n'));
-        console.error(chalk.white('For chats: --chat-id or TEAMS_CHAT_ID in .env'));
-        console.error(chalk.white('For channels: --team-id and --channel-id or TEAMS_TEAM_ID and TEAMS_CHANNEL_ID in .env\n'));
-        process.exit(1);
-      }
+      const accessToken = await getAccessToken((deviceCodeInfo) => {
+        authSpinner.stop();
+        log(chalk.yellow.bold('\n🔐 User Authentication Required\n'));
+        log(chalk.white(`1. Open your browser to: ${chalk.cyan(deviceCodeInfo.verificationUrl)}`));
+        log(chalk.white(`2. Enter this code: ${chalk.green.bold(deviceCodeInfo.userCode)}\n`));
+        authSpinner = ora('Waiting for authentication...').start();
+      }, tokenOptions);
+      authSpinner.succeed('Authentication successful');
+      return accessToken;
+    } catch (error) {
+      authSpinner.fail('Failed to authenticate');
+      console.error(chalk.red(`\n${error.message}\n`));
+      process.exit(1);
+    }
+  }
 
-      if (isChannel && !channelId) {
-        console.error(chalk.red('Error: Both team ID and channel ID are required for channel messages.\n'));
-        process.exit(1);
-      }
+  authSpinner = ora('Acquiring access token...').start();
+  try {
+    const accessToken = await getAccessToken();
+    authSpinner.succeed('Access token acquired');
+    return accessToken;
+  } catch (error) {
+    authSpinner.fail('Failed to acquire access token');
+    console.error(chalk.red(`\n${error.message}\n`));
+    process.exit(1);
+  }
+}
 
-      if (isChannel && isChat) {
-        console.error(chalk.red('Error: Cannot specify both chat ID and team/channel IDs. Choose one.\n'));
-        process.exit(1);
+/**
+ * Reads the export settings shared by single and bulk generate runs, exiting
+ * on an unknown output format, grouping, split period, time zone or date
+ * format, or on invalid redaction rules or message filters
+ * @param {Object} options - generate command options
+ * @returns {Object} Export settings (message limit, output directory, formatting and change handling)
+ */
+function getExportSettings(options) {
+  const format = options.format || process.env.OUTPUT_FORMAT || 'markdown';
+  if (!OUTPUT_FORMATS.includes(format)) {
+    console.error(chalk.red(`Error: Unknown output format: ${format} (use ${OUTPUT_FORMATS.join(', ')})\n`));
+    process.exit(1);
+  }
+
+  // --no-group-by-date and GROUP_BY_DATE=false predate --group-by and mean 'none'
+  const groupBy = options.groupBy ||
+    (options.groupByDate === false ? 'none' : null) ||
+    process.env.GROUP_BY ||
+    (process.env.GROUP_BY_DATE === 'false' ? 'none' : 'date');
+  if (!GROUP_BY_MODES.includes(groupBy)) {
+    console.error(chalk.red(`Error: Unknown grouping: ${groupBy} (use ${GROUP_BY_MODES.join(', ')})\n`));
+    process.exit(1);
+  }
+
+  const sessionGapMinutes = options.sessionGap ??
+    (process.env.SESSION_GAP_MINUTES ? Number(process.env.SESSION_GAP_MINUTES) : DEFAULT_SESSION_GAP_MINUTES);
+  if (!(sessionGapMinutes > 0)) {
+    console.error(chalk.red('Error: The session gap must be a positive number of minutes\n'));
+    process.exit(1);
+  }
+
+  const splitBy = options.splitBy || process.env.SPLIT_BY || null;
+  if (splitBy && !SPLIT_PERIODS.includes(splitBy)) {
+    console.error(chalk.red(`Error: Unknown split period: ${splitBy} (use ${SPLIT_PERIODS.join(', ')})\n`));
+    process.exit(1);
+  }
+
+  let dates;
+  try {
+    dates = createDateFormatter({
+      timeZone: options.timezone || process.env.TIMEZONE || null,
+      dateFormat: options.dateFormat || process.env.DATE_FORMAT || DEFAULT_DATE_FORMAT,
+    });
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}\n`));
+    process.exit(1);
+  }
+
+  // --no-system-events (INCLUDE_SYSTEM_EVENTS=false) predates --exclude-system
+  let filters;
+  try {
+    filters = parseMessageFilters({
+      ...options,
+      excludeSystem: !!options.excludeSystem || options.systemEvents === false || process.env.INCLUDE_SYSTEM_EVENTS === 'false',
+    }, dates.timeZone);
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}\n`));
+    process.exit(1);
+  }
+
+  let redactor = null;
+  if (options.redact || process.env.REDACT === 'true') {
+    try {
+      redactor = createRedactor({
+        rules: loadRedactionRules(options.redactionRules || process.env.REDACTION_RULES || null),
+        mapPath: options.pseudonymMap || getPseudonymMapPath(),
+      });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}\n`));
+      process.exit(1);
+    }
+  }
+
+  return {
+    maxMessages: options.maxMessages || (process.env.MAX_MESSAGES ? parseInt(process.env.MAX_MESSAGES) : null),
+    outputDir: process.env.OUTPUT_DIR || './output',
+    format,
+    includeMetadata: options.metadata !== false && process.env.INCLUDE_METADATA !== 'false',
+    grouping: { groupBy, sessionGapMinutes },
+    splitBy,
+    includeReplies: options.replies !== false,
+    filters,
+    downloadAssets: !!options.downloadAssets || process.env.DOWNLOAD_ASSETS === 'true',
+    deletedMode: options.deleted || 'mark',
+    keepEditHistory: !!options.keepEditHistory,
+    dates,
+    redactor,
+  };
+}
+
+/**
+ * Starts recording or replaying Graph responses if requested, exiting on errors
+ * @param {Object} options - generate command options
+ */
+function startGraphFixtures(options) {
+  try {
+    if (options.record) {
+      startGraphRecording(options.record);
+      console.log(chalk.gray(`Recording Graph responses to: ${options.record}\n`));
+    } else if (options.replay) {
+      startGraphReplay(options.replay);
+      console.log(chalk.gray(`Replaying Graph responses from: ${options.replay}\n`));
+    }
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Sanitizes a name for use in a filename (removes : < > " / \ | ? * and spaces)
+ */
+function sanitizeForFilename(str) {
+  return str
+    .replace(/[:<>"\/\\|?*]/g, '-')  // Replace invalid chars with dash
+    .replace(/\s+/g, '-')              // Replace spaces with dash
+    .replace(/-+/g, '-')               // Replace multiple dashes with single
+    .replace(/^-|-$/g, '');            // Remove leading/trailing dashes
+}
+
+/**
+ * Builds the export filename for a source, based on its name so incremental
+ * runs find the same file again
+ * @param {Object} source - { chatId } or { teamId, channelId }, optionally { disambiguate }
+ * @param {string|null} sourceName - Chat topic or channel display name
+ * @param {string} format - Output format, which sets the extension
+ * @returns {string} Filename
+ */
+function getExportFilename(source, sourceName, format = 'markdown') {
+  const isChannel = !!source.channelId;
+  let basename;
+
+  if (sourceName) {
+    // Use the chat/channel name if available
+    basename = `${isChannel ? 'channel' : 'chat'}-${sanitizeForFilename(sourceName)}`;
+  } else if (isChannel) {
+    // Fallback to using IDs if name not available
+    const teamSafe = sanitizeForFilename(source.teamId.substring(0, 8));
+    const channelSafe = sanitizeForFilename(source.channelId.substring(0, 8));
+    basename = `channel-${teamSafe}-${channelSafe}`;
+  } else {
+    basename = `chat-${sanitizeForFilename(source.chatId.substring(0, 8))}`;
+  }
+
+  // Bulk exports can contain several sources with the same name
+  if (source.disambiguate) {
+    const id = isChannel ? source.channelId : source.chatId;
+    basename += `-${crypto.createHash('sha256').update(id).digest('hex').substring(0, 8)}`;
+  }
+
+  return `${basename}${getFormatExtension(format)}`;
+}
+
+/**
+ * Returns where a source is exported to: the export file, or the index of a
+ * split export, whose directory is named like the file without its extension
+ * @param {Object} source - { chatId } or { teamId, channelId }, optionally
+ *   { output } (the --output path; a split export's directory) and { disambiguate }
+ * @param {string|null} sourceName - Name from getExportName
+ * @param {Object} settings - Settings from getExportSettings
+ * @returns {string} Export file or index path
+ */
+function getExportPath(source, sourceName, settings) {
+  const { outputDir, format, splitBy } = settings;
+  const exportFilename = getExportFilename(source, sourceName, format);
+
+  if (!splitBy) {
+    return source.output || path.join(outputDir, exportFilename);
+  }
+  const dir = source.output || path.join(outputDir, path.basename(exportFilename, getFormatExtension(format)));
+  return path.join(dir, SPLIT_INDEX_FILENAME);
+}
+
+/**
+ * Returns the name an export file is named after. With --redact, the names of
+ * the source's members, and of everyone else in the pseudonym mapping, are
+ * replaced in it; single and bulk runs both name files through here, so they
+ * find the same file.
+ * @param {string|null} sourceName - Chat topic or channel display name
+ * @param {Array} members - Members of the source (unredacted)
+ * @param {Object|null} redactor - Redactor of the run
+ * @returns {string|null} Name to build the filename from
+ */
+function getExportName(sourceName, members, redactor) {
+  if (!sourceName || !redactor) {
+    return sourceName || null;
+  }
+
+  redactor.addPeople(members);
+  return redactor.redactText(sourceName);
+}
+
+/**
+ * Checks whether an export was written with the same date format and time zone.
+ * Exports from before these were recorded used the machine's locale; their
+ * time zone is unknown, so only the format is compared.
+ * @param {Object|null} syncState - Sync state of the export
+ * @param {Object} dates - Date formatter for this run
+ * @returns {boolean} True if new messages can be merged in
+ */
+function isWrittenWithDates(syncState, dates) {
+  const dateFormat = syncState?.dateFormat || 'locale';
+  const timeZone = syncState?.timeZone || null;
+  return dateFormat === dates.dateFormat && (!timeZone || timeZone === dates.timeZone);
+}
+
+/**
+ * Checks whether an export was grouped the same way. Exports from before the
+ * grouping was recorded are assumed to match.
+ * @param {Object|null} syncState - Sync state of the export
+ * @param {Object} grouping - { groupBy, sessionGapMinutes } for this run
+ * @returns {boolean} True if new messages can be merged in
+ */
+function isWrittenWithGrouping(syncState, grouping) {
+  if (!syncState?.groupBy) {
+    return true;
+  }
+  return syncState.groupBy === grouping.groupBy &&
+    (grouping.groupBy !== 'session' || syncState.sessionGapMinutes === grouping.sessionGapMinutes);
+}
+
+/**
+ * Checks whether an export was written with the same message filters (a run
+ * without filter options has taken over the export's, see resolveRunFilters).
+ * State from before filters were recorded is of an unfiltered export.
+ * @param {Object|null} syncState - Sync state of the export
+ * @param {Object|null} filters - Filters for this run
+ * @returns {boolean} True if new messages can be merged in
+ */
+function isWrittenWithFilters(syncState, filters) {
+  return JSON.stringify(syncState?.filters || null) === JSON.stringify(filters);
+}
+
+/**
+ * Collects the values of an option that can be given more than once
+ */
+function collectValues(value, previous = []) {
+  return [...previous, value];
+}
+
+/**
+ * Prints what --redact masked: replacements by rule and people new to the mapping
+ * @param {Object|null} redactor - Redactor from getExportSettings
+ */
+function printRedactionReport(redactor) {
+  if (!redactor) {
+    return;
+  }
+
+  const { counts, newPeople, mapPath } = redactor.getReport();
+
+  console.log(chalk.blue.bold('🔒 Redaction Report\n'));
+  if (Object.keys(counts).length === 0) {
+    console.log(chalk.white('Nothing was masked'));
+  }
+  Object.entries(counts).forEach(([rule, count]) => {
+    console.log(chalk.white(`  ${REDACTION_LABELS[rule] || rule}: ${chalk.green(count)}`));
+  });
+  const added = newPeople === 1 ? '1 person' : `${newPeople} people`;
+  console.log(chalk.gray(`\nPseudonym mapping: ${mapPath} (${newPeople > 0 ? `${added} added` : 'unchanged'})\n`));
+}
+
+/**
+ * Describes how an export is grouped, e.g. 'session (30 minute gap)'
+ */
+function describeGrouping({ groupBy, sessionGapMinutes }) {
+  return groupBy === 'session' ? `session (${sessionGapMinutes} minute gap)` : groupBy;
+}
+
+/**
+ * Describes the date format and time zone recorded for an export
+ */
+function describeExportDates(syncState) {
+  const dateFormat = syncState?.dateFormat || 'locale';
+  return syncState?.timeZone ? `${dateFormat}, ${syncState.timeZone}` : dateFormat;
+}
+
+/**
+ * Returns the time from which an incremental run fetches changes: when the
+ * last fetch started, minus a margin for clock skew. Fetching some messages
+ * twice is harmless: new messages are told apart by creation time, and edits
+ * are only applied when newer than the exported version.
+ */
+function getSyncCutoff(syncState) {
+  return new Date(new Date(syncState.lastSyncDateTime).getTime() - SYNC_OVERLAP_MS);
+}
+
+/**
+ * Writes an export file from messages, or with isIncremental merges new,
+ * edited and deleted messages into an existing one
+ * @param {string} filePath - Export file path
+ * @param {Array} messages - Messages to write, or new messages to merge in
+ * @param {Array} changedMessages - Edited and deleted messages (incremental only)
+ * @param {boolean} isIncremental - Merge into the existing file
+ * @param {Object} context - { format, metadata, members, memberMap, settings, renderOptions }
+ * @returns {Object} { addedCount, changeSummary } (changeSummary is null for new files)
+ */
+function writeExportFile(filePath, messages, changedMessages, isIncremental, context) {
+  const { format, metadata, members, memberMap, settings, renderOptions } = context;
+  const { includeMetadata, grouping, dates } = settings;
+  const toRecords = (list) => list.map((msg) => toMessageRecord(msg, memberMap));
+
+  if (isIncremental && format !== 'markdown') {
+    return updateRecordExport(filePath, format, toRecords(messages), toRecords(changedMessages), renderOptions);
+  }
+
+  if (format !== 'markdown') {
+    const records = toRecords(messages);
+    saveRAGDocument(renderExport(format, records, renderOptions), filePath);
+    saveExportRecords(filePath, format, records);
+    return { addedCount: messages.length, changeSummary: null };
+  }
+
+  if (isIncremental) {
+    // Rewrite edited and deleted messages in place, then append new ones
+    const changeSummary = applyMessageChanges(filePath, changedMessages, memberMap, includeMetadata, {
+      deletedMode: settings.deletedMode,
+      keepEditHistory: settings.keepEditHistory,
+      dates,
+    });
+    const addedCount = appendMessagesToExport(filePath, messages, memberMap, includeMetadata, grouping, dates);
+    return { addedCount, changeSummary };
+  }
+
+  // Generate new document
+  const document = generateRAGDocument(messages, metadata, members, {
+    includeMetadata,
+    ...grouping,
+    format,
+    ...renderOptions.source,
+    dates,
+    filters: renderOptions.filters,
+  });
+  saveRAGDocument(document, filePath);
+  return { addedCount: messages.length, changeSummary: null };
+}
+
+/**
+ * Writes a split export: each post goes to the file of the period it was
+ * posted in, replies to the file of their post, and the index is written
+ * again when anything changed
+ * @param {string} indexPath - Index file path
+ * @param {Array} messages - Messages to write, or new messages to merge in
+ * @param {Array} changedMessages - Edited and deleted messages (incremental only)
+ * @param {Object|null} currentPeriods - Periods of the export being updated, or null to write it from scratch
+ * @param {Object} context - See writeExportFile
+ * @returns {Object} { periods, addedCount, changeSummary }
+ */
+function writeSplitExport(indexPath, messages, changedMessages, currentPeriods, context) {
+  const { format, memberMap, settings, renderOptions } = context;
+  const periods = { ...currentPeriods };
+  const findPeriod = createPeriodLookup(indexPath, currentPeriods, format);
+  const newByPeriod = groupByPeriod(messages, settings.splitBy, settings.dates, (msg) => findPeriod(msg.replyToId));
+  // Edited and deleted replies are changed in the file they were written to
+  const changedByPeriod = groupByPeriod(
+    changedMessages,
+    settings.splitBy,
+    settings.dates,
+    (msg) => findPeriod(msg.id) || findPeriod(msg.replyToId)
+  );
+  const changeSummary = { edited: 0, deleted: 0, removed: 0, missing: 0 };
+  let addedCount = 0;
+
+  new Set([...newByPeriod.keys(), ...changedByPeriod.keys()]).forEach((key) => {
+    const added = newByPeriod.get(key) || [];
+    const changed = changedByPeriod.get(key) || [];
+    const file = periods[key]?.file || getPeriodFilename(key, format);
+    const periodPath = path.join(path.dirname(indexPath), file);
+
+    if (periods[key]) {
+      const fileResult = writeExportFile(periodPath, added, changed, true, context);
+      periods[key] = updatePeriod(periods[key], added, fileResult, memberMap);
+      addedCount += fileResult.addedCount;
+      Object.keys(changeSummary).forEach((field) => {
+        changeSummary[field] += fileResult.changeSummary[field];
+      });
+    } else {
+      // Edited and deleted messages can't be in a period that has no file yet
+      changeSummary.missing += changed.length;
+      if (added.length === 0) {
+        return;
       }
+      writeExportFile(periodPath, added, [], false, context);
+      periods[key] = describePeriod(file, added, memberMap);
+      addedCount += added.length;
+    }
+
+    periods[key].checksum = computeExportChecksum(periodPath);
+  });
+
+  if (!currentPeriods || addedCount > 0 || changeSummary.edited > 0 || changeSummary.deleted > 0) {
+    saveRAGDocument(renderSplitIndex(periods, { ...renderOptions, splitBy: settings.splitBy }), indexPath);
+  }
+
+  const sorted = Object.fromEntries(Object.keys(periods).sort().map((key) => [key, periods[key]]));
+  return { periods: sorted, addedCount, changeSummary };
+}
+
+/**
+ * Creates or incrementally updates the export for one chat or channel
+ * @param {string} accessToken - OAuth2 access token
+ * @param {Object} source - { chatId } or { teamId, channelId }, optionally { output, disambiguate },
+ *   or the { outputPath } a bulk run chose (see getExportPath)
+ * @param {Object} settings - Settings from getExportSettings
+ * @param {boolean} quiet - Suppress spinners and progress output (bulk runs)
+ * @returns {Promise<Object>} { status, outputPath, messages, members, addedCount, changeSummary, assetSummary }
+ *   (addedCount leaves out messages that were already in the export)
+ *   where status is 'created', 'updated', 'up-to-date' or 'empty'
+ */
+async function exportSource(accessToken, source, settings, quiet = false) {
+  const { chatId, teamId, channelId } = source;
+  const { maxMessages, format, grouping, splitBy, includeReplies, downloadAssets, dates, redactor } = settings;
+  const isChannel = !!channelId;
+  const log = quiet ? () => {} : console.log;
+  const startSpinner = (text) => ora({ text, isSilent: quiet }).start();
+
+  // Step 2: Fetch metadata to get chat/channel name for filename
+  let metadata = {};
+  let members = [];
+  let sourceName = null;
+
+  if (!isChannel) {
+    const metadataSpinner = startSpinner('Fetching chat metadata...');
+    const retries = trackGraphRetries(metadataSpinner);
+    try {
+      [metadata, members] = await Promise.all([
+        fetchChatMetadata(accessToken, chatId),
+        fetchChatMembers(accessToken, chatId),
+      ]);
+      metadataSpinner.succeed(`Chat metadata fetched (${members.length} members)${retries.stop()}`);
+
+      // Extract chat name from metadata
+      sourceName = metadata.topic || null;
+    } catch (error) {
+      retries.stop();
+      metadataSpinner.warn('Could not fetch complete metadata');
+      metadata = {};
+      members = [];
+    }
+  } else {
+    const metadataSpinner = startSpinner('Fetching channel metadata...');
+    const retries = trackGraphRetries(metadataSpinner);
+    try {
+      const channelMetadata = await fetchChannelMetadata(accessToken, teamId, channelId);
+      metadataSpinner.succeed(`Channel metadata fetched${retries.stop()}`);
+
+      // Extract channel name from metadata
+      sourceName = channelMetadata.displayName || null;
+    } catch (error) {
+      retries.stop();
+      metadataSpinner.warn('Could not fetch channel metadata');
+    }
+  }
+
+  // Filters match senders by their real names, so they get the members from before redaction
+  const unredactedMembers = members;
 
-      const authMode = process.env.AUTH_MODE || 'application';
-      console.log(chalk.blue.bold('\n🚀 Teams to RAG Generator\n'));
-      console.log(chalk.gray(`Auth mode: ${authMode}\n`));
-
-      // Step 1: Authenticate
-      let authSpinner;
-      let accessToken;
-
-      if (authMode === 'delegated') {
-        authSpinner = ora('Requesting device code...').start();
-        try {
-          accessToken = await getAccessToken((deviceCodeInfo) => {
-            authSpinner.stop();
-            console.log(chalk.yellow.bold('\n🔐 User Authentication Required\n'));
-            console.log(chalk.white(`1. Open your browser to: ${chalk.cyan(deviceCodeInfo.verificationUrl)}`));
-            console.log(chalk.white(`2. Enter this code: ${chalk.green.bold(deviceCodeInfo.userCode)}\n`));
-            authSpinner = ora('Waiting for authentication...').start();
-          });
-          authSpinner.succeed('Authentication successful');
-        } catch (error) {
-          authSpinner.fail('Failed to authenticate');
-          console.error(chalk.red(`\n${error.message}\n`));
-          process.exit(1);
-        }
+  // Names can be personal data too, including the chat topic the file is named after
+  // (bulk runs chose their paths up front)
+  if (!source.outputPath) {
+    sourceName = getExportName(sourceName, members, redactor);
+  }
+  if (redactor) {
+    metadata = redactor.redact(metadata);
+    members = redactor.redact(members);
+  }
+
+  // Step 3: Determine output path with consistent naming for incremental updates
+  const outputPath = source.outputPath || getExportPath(source, sourceName, settings);
+
+  // Step 4: Check for existing export (incremental mode), driven by its sync state
+  let syncState = loadSyncState(outputPath);
+
+  // Without filter options, a run keeps the filters the export was written with
+  const filters = exportFileExists(outputPath) ? resolveRunFilters(settings.filters, syncState) : settings.filters;
+  const isKept = filters ? createMessageFilter(filters, unredactedMembers) : null;
+
+  log(chalk.gray(`Output: ${outputPath}`));
+  if (filters) {
+    const reused = filters !== settings.filters ? ' (as in the last run)' : '';
+    log(chalk.gray(`Filters: ${describeFilters(filters).join('; ')}${reused}`));
+  }
+  log();
+
+  // Periods of a split export; a rebuild removes the files it doesn't write again
+  const previousPeriods = syncState?.periods || null;
+  let periods = previousPeriods;
+  let sinceDate = null;
+  let lastMessageTime = null;
+  let isIncremental = false;
+
+  // Channels sync through the delta endpoint, which has no message limit
+  const useDelta = isChannel && !maxMessages;
+  const strategy = useDelta ? 'delta' : isChannel ? 'full' : 'modified-since';
+
+  if (exportFileExists(outputPath)) {
+    if (syncState && !isSyncStateForSource(syncState, source)) {
+      throw new Error(`${outputPath} is the export of a different ${syncState.source.type}. Choose another --output path.`);
+    }
+
+    if (syncState && (hasExportDrifted(outputPath, syncState) || havePeriodFilesDrifted(outputPath, syncState))) {
+      // Hand edits can't be merged with, so rebuild the export from the source
+      log(chalk.yellow('⚠️  The export was changed outside generate since the last run'));
+      log(chalk.yellow('   Rebuilding it from the full history...\n'));
+      syncState = null;
+    } else if (syncState && !!syncState.redacted !== !!redactor) {
+      // Masked and unmasked messages must not end up in the same file
+      log(chalk.yellow(`⚠️  The export was written ${syncState.redacted ? 'with' : 'without'} --redact`));
+      log(chalk.yellow(`   Rebuilding it ${redactor ? 'with' : 'without'} redaction...\n`));
+      syncState = null;
+    } else if (syncState && (syncState.format || 'markdown') !== format) {
+      log(chalk.yellow(`⚠️  The export was written as ${syncState.format || 'markdown'}`));
+      log(chalk.yellow(`   Rebuilding it as ${format}...\n`));
+      syncState = null;
+    } else if (syncState && (syncState.splitBy || null) !== splitBy) {
+      log(chalk.yellow(`⚠️  The export is split by ${syncState.splitBy || 'nothing'}`));
+      log(chalk.yellow(`   Rebuilding it split by ${splitBy}...\n`));
+      syncState = null;
+    } else if (syncState && !(splitBy ? getPeriodPaths(outputPath, syncState) : [outputPath]).every((file) => hasExportRecords(file, format))) {
+      // HTML and text exports are updated from the records file next to them
+      log(chalk.yellow('⚠️  The export\'s message records are missing'));
+      log(chalk.yellow('   Rebuilding it from the full history...\n'));
+      syncState = null;
+    } else if (!isWrittenWithGrouping(syncState, grouping)) {
+      // Sections can only be extended the way they were cut
+      log(chalk.yellow(`⚠️  The export is grouped by ${describeGrouping(syncState)}`));
+      log(chalk.yellow(`   Rebuilding it grouped by ${describeGrouping(grouping)}...\n`));
+      syncState = null;
+    } else if (syncState && !isWrittenWithFilters(syncState, filters)) {
+      // Messages the new filters keep may be missing, or ones they leave out present
+      const written = describeFilters(syncState.filters);
+      log(chalk.yellow(`⚠️  The export was written ${written.length > 0 ? `with filters: ${written.join('; ')}` : 'without filters'}`));
+      log(chalk.yellow(`   Rebuilding it ${filters ? `with filters: ${describeFilters(filters).join('; ')}` : 'without filters'}...\n`));
+      syncState = null;
+    } else if (!isWrittenWithDates(syncState, dates)) {
+      // Headings and times in another format can't be merged with either
+      log(chalk.yellow(`⚠️  The export's dates are in another format or time zone (${describeExportDates(syncState)})`));
+      log(chalk.yellow(`   Rebuilding it with ${dates.dateFormat} dates in ${dates.timeZone}...\n`));
+      syncState = null;
+    } else if (isChannel) {
+      if (useDelta && syncState?.deltaLink) {
+        isIncremental = true;
+        lastMessageTime = new Date(syncState.lastMessageDateTime || 0);
+        sinceDate = getSyncCutoff(syncState);
+        log(chalk.cyan(`📄 Found existing export (last synced ${new Date(syncState.lastSyncDateTime).toLocaleString()})`));
+        log(chalk.cyan(`   Fetching channel changes (delta query)...\n`));
+      } else if (useDelta) {
+        log(chalk.cyan('📄 Found existing export without sync state'));
+        log(chalk.cyan('   Refreshing full channel history...\n'));
       } else {
-        authSpinner = ora('Acquiring access token...').start();
-        try {
-          accessToken = await getAccessToken();
-          authSpinner.succeed('Access token acquired');
-        } catch (error) {
-          authSpinner.fail('Failed to acquire access token');
-          console.error(chalk.red(`\n${error.message}\n`));
-          process.exit(1);
-        }
+        log(chalk.cyan('📄 Found existing export'));
+        log(chalk.cyan('   Refreshing channel history (--max-messages disables delta sync)...\n'));
+      }
+    } else if (syncState?.lastSyncDateTime) {
+      isIncremental = true;
+      lastMessageTime = new Date(syncState.lastMessageDateTime || 0);
+      sinceDate = getSyncCutoff(syncState);
+      log(chalk.cyan(`📄 Found existing export (last synced ${new Date(syncState.lastSyncDateTime).toLocaleString()})`));
+      log(chalk.cyan(`   Fetching new and edited messages (server-side filtering)...\n`));
+    } else if (format === 'markdown' && !splitBy && !redactor && !filters) {
+      // Exports from before sync state files (never redacted or filtered): start from the Last Run header once
+      const existingExport = parseExistingExport(outputPath);
+      if (existingExport && existingExport.lastRun) {
+        isIncremental = true;
+        sinceDate = existingExport.lastRun;
+        lastMessageTime = existingExport.lastRun;
+        log(chalk.cyan(`📄 Found existing export from ${existingExport.lastRun.toLocaleString()} (no sync state yet)`));
+        log(chalk.cyan(`   Fetching new and edited messages (server-side filtering)...\n`));
       }
+    }
+  }
+
+  // The next run fetches changes from here, so messages posted while this one runs aren't skipped
+  const fetchStartedAt = new Date().toISOString();
+
+  // Step 4: Fetch messages
+  let messages;
+  let nextDeltaLink = null;
+  let changedMessages = [];
+  const fetchType = isIncremental ? 'new' : 'all';
+
+  if (useDelta) {
+    const messagesSpinner = startSpinner(isIncremental ? 'Fetching channel changes...' : 'Fetching all channel messages...');
+    const retries = trackGraphRetries(messagesSpinner);
+    try {
+      const result = await fetchChannelMessagesDelta(
+        accessToken,
+        teamId,
+        channelId,
+        isIncremental ? syncState.deltaLink : null,
+        includeReplies,
+        log
+      );
+      nextDeltaLink = result.deltaLink;
 
-      // Step 2: Fetch metadata to get chat/channel name for filename
-      let metadata = {};
-      let members = [];
-      let sourceName = null;
-
-      if (isChat) {
-        const metadataSpinner = ora('Fetching chat metadata...').start();
-        try {
-          [metadata, members] = await Promise.all([
-            fetchChatMetadata(accessToken, chatId),
-            fetchChatMembers(accessToken, chatId),
-          ]);
-          metadataSpinner.succeed(`Chat metadata fetched (${members.length} members)`);
-
-          // Extract chat name from metadata
-          sourceName = metadata.topic || null;
-        } catch (error) {
-          metadataSpinner.warn('Could not fetch complete metadata');
-          metadata = {};
-          members = [];
-        }
-      } else if (isChannel) {
-        const metadataSpinner = ora('Fetching channel metadata...').start();
-        try {
-          const channelMetadata = await fetchChannelMetadata(accessToken, teamId, channelId);
-          metadataSpinner.succeed('Channel metadata fetched');
-
-          // Extract channel name from metadata
-          sourceName = channelMetadata.displayName || null;
-        } catch (error) {
-          metadataSpinner.warn('Could not fetch channel metadata');
-        }
+      if (isIncremental && result.fullSync) {
+        // Expired delta token: the result is the full history, so rewrite the export
+        isIncremental = false;
       }
 
-      // Step 3: Determine output path with consistent naming for incremental updates
-      let outputPath;
-      if (options.output) {
-        outputPath = options.output;
+      if (isIncremental) {
+        // Messages newer than the last exported one are appended;
+        // edits and deletions of exported messages are applied in place
+        const isNew = (msg) => new Date(msg.createdDateTime) > lastMessageTime;
+        messages = result.messages.filter((msg) => !msg.deletedDateTime && isNew(msg));
+        // Replies of a changed post are re-fetched too; only keep real changes
+        changedMessages = result.messages.filter((msg) =>
+          !isNew(msg) &&
+          (msg.deletedDateTime || new Date(msg.lastModifiedDateTime || msg.createdDateTime) > sinceDate)
+        );
+        messagesSpinner.succeed(`Fetched ${messages.length} new and ${changedMessages.length} changed messages${retries.stop()}`);
       } else {
-        // Sanitize name to remove invalid filename characters (: < > " / \ | ? *)
-        const sanitizeForFilename = (str) => {
-          return str
-            .replace(/[:<>"\/\\|?*]/g, '-')  // Replace invalid chars with dash
-            .replace(/\s+/g, '-')              // Replace spaces with dash
-            .replace(/-+/g, '-')               // Replace multiple dashes with single
-            .replace(/^-|-$/g, '');            // Remove leading/trailing dashes
-        };
-
-        let filename;
-        if (sourceName) {
-          // Use the chat/channel name if available
-          const nameSafe = sanitizeForFilename(sourceName);
-          const prefix = isChannel ? 'channel' : 'chat';
-          filename = `${prefix}-${nameSafe}.md`;
-        } else {
-          // Fallback to using IDs if name not available
-          if (isChannel) {
-            const teamSafe = sanitizeForFilename(teamId.substring(0, 8));
-            const channelSafe = sanitizeForFilename(channelId.substring(0, 8));
-            filename = `channel-${teamSafe}-${channelSafe}.md`;
-          } else {
-            const chatSafe = sanitizeForFilename(chatId.substring(0, 8));
-            filename = `chat-${chatSafe}.md`;
-          }
-        }
-        outputPath = path.join(outputDir, filename);
+        messages = result.messages.filter((msg) => !msg.deletedDateTime);
+        messagesSpinner.succeed(`Fetched ${messages.length} all messages${retries.stop()}`);
       }
+    } catch (error) {
+      messagesSpinner.fail(`Failed to fetch messages${retries.stop()}`);
+      throw error;
+    }
+  } else if (isChannel) {
+    const messagesSpinner = startSpinner(`Fetching ${fetchType} channel messages...`);
+    const retries = trackGraphRetries(messagesSpinner);
+    try {
+      messages = await fetchChannelMessages(accessToken, teamId, channelId, maxMessages, includeReplies, log);
+      messagesSpinner.succeed(`Fetched ${messages.length} ${fetchType} messages${retries.stop()}`);
+    } catch (error) {
+      messagesSpinner.fail(`Failed to fetch messages${retries.stop()}`);
+      throw error;
+    }
+  } else {
+    const messagesSpinner = startSpinner(`Fetching ${fetchType} chat messages...`);
+    const retries = trackGraphRetries(messagesSpinner);
+    try {
+      // --since and --until narrow the fetch where Graph can filter (see fetchChatMessages)
+      const since = filters?.since ? new Date(filters.since) : null;
+      const fetched = await fetchChatMessages(
+        accessToken,
+        chatId,
+        maxMessages,
+        since && (!sinceDate || since > sinceDate) ? since : sinceDate,
+        filters?.until ? new Date(filters.until) : null,
+        log
+      );
 
-      console.log(chalk.gray(`Output: ${outputPath}\n`));
-
-      // Step 4: Check for existing export (incremental mode)
-      let existingExport = null;
-      let sinceDate = null;
-      let isIncremental = false;
-
-      if (exportFileExists(outputPath)) {
-        existingExport = parseExistingExport(outputPath);
-        if (existingExport && existingExport.lastRun) {
-          isIncremental = true;
-          sinceDate = existingExport.lastRun;
-          console.log(chalk.cyan(`📄 Found existing export from ${existingExport.lastRun.toLocaleString()}`));
-          console.log(chalk.cyan(`   Fetching new messages (client-side filtering)...\n`));
-        }
+      if (isIncremental) {
+        // The server-side filter also returns messages edited or deleted since the last run
+        const isNew = (msg) => new Date(msg.createdDateTime) > lastMessageTime;
+        messages = fetched.filter((msg) => !msg.deletedDateTime && isNew(msg));
+        changedMessages = fetched.filter((msg) => !isNew(msg));
+        messagesSpinner.succeed(`Fetched ${messages.length} new and ${changedMessages.length} changed messages${retries.stop()}`);
+      } else {
+        messages = fetched.filter((msg) => !msg.deletedDateTime);
+        messagesSpinner.succeed(`Fetched ${messages.length} ${fetchType} messages${retries.stop()}`);
       }
+    } catch (error) {
+      messagesSpinner.fail(`Failed to fetch messages${retries.stop()}`);
+      throw error;
+    }
+  }
 
-      // Step 4: Fetch messages
-      let messages;
-      const fetchType = isIncremental ? 'new' : 'all';
-
-      if (isChannel) {
-        const messagesSpinner = ora(`Fetching ${fetchType} channel messages...`).start();
-        try {
-          messages = await fetchChannelMessages(accessToken, teamId, channelId, maxMessages, sinceDate);
-          messagesSpinner.succeed(`Fetched ${messages.length} ${fetchType} messages`);
-        } catch (error) {
-          messagesSpinner.fail('Failed to fetch messages');
-          console.error(chalk.red(`\n${error.message}\n`));
-          process.exit(1);
-        }
-      } else {
-        const messagesSpinner = ora(`Fetching ${fetchType} chat messages...`).start();
-        try {
-          messages = await fetchChatMessages(accessToken, chatId, maxMessages, sinceDate);
-          messagesSpinner.succeed(`Fetched ${messages.length} ${fetchType} messages`);
-        } catch (error) {
-          messagesSpinner.fail('Failed to fetch messages');
-          console.error(chalk.red(`\n${error.message}\n`));
-          process.exit(1);
-        }
+  // Deletions always go through: a deleted message has no text left to match
+  if (isKept) {
+    messages = messages.filter(isKept);
+    changedMessages = changedMessages.filter((msg) => msg.deletedDateTime || isKept(msg));
+  }
+
+  // Download inline images and shared files so the export can link to local copies.
+  // Before redaction, which would mask any name or address in their URLs.
+  let assetSummary = null;
+  if (downloadAssets && (messages.length > 0 || changedMessages.length > 0)) {
+    const assetsSpinner = startSpinner('Downloading images and attachments...');
+    const retries = trackGraphRetries(assetsSpinner);
+    const editedMessages = changedMessages.filter((msg) => !msg.deletedDateTime);
+    assetSummary = await downloadMessageAssets(accessToken, [...messages, ...editedMessages], outputPath);
+    const { downloaded, reused, failed } = assetSummary;
+    const reusedNote = reused > 0 ? ` (${reused} already stored)` : '';
+    if (failed > 0) {
+      assetsSpinner.warn(`Downloaded ${downloaded} assets${reusedNote}, ${failed} failed${retries.stop()}`);
+    } else {
+      assetsSpinner.succeed(`Downloaded ${downloaded} assets${reusedNote} to ${getAssetsDir(outputPath)}${retries.stop()}`);
+    }
+  }
+
+  // Mask personal data before anything is written (see redaction.js)
+  if (redactor) {
+    messages = redactor.redact(messages);
+    changedMessages = redactor.redact(changedMessages);
+    redactor.saveMap();
+  }
+
+  // Remember where this sync left off, even if nothing new arrived
+  const saveExportSyncState = () => {
+    // Replies can be newer than later root posts, so look at every message
+    const candidates = messages.map((msg) => ({ id: msg.id, dateTime: msg.createdDateTime }));
+    if (isIncremental && syncState?.lastMessageDateTime) {
+      candidates.push({ id: syncState.lastMessageId, dateTime: syncState.lastMessageDateTime });
+    }
+    const newest = candidates.reduce(
+      (latest, candidate) => (!latest || new Date(candidate.dateTime) > new Date(latest.dateTime) ? candidate : latest),
+      null
+    );
+
+    saveSyncState(outputPath, {
+      source: isChannel ? { type: 'channel', teamId, channelId } : { type: 'chat', chatId },
+      strategy,
+      deltaLink: nextDeltaLink,
+      lastMessageId: newest?.id || null,
+      lastMessageDateTime: newest ? new Date(newest.dateTime).toISOString() : null,
+      lastSyncDateTime: fetchStartedAt,
+      format,
+      redacted: !!redactor,
+      filters,
+      splitBy,
+      periods: splitBy ? periods : null,
+      groupBy: grouping.groupBy,
+      sessionGapMinutes: grouping.sessionGapMinutes,
+      dateFormat: dates.dateFormat,
+      timeZone: dates.timeZone,
+      checksum: computeExportChecksum(outputPath),
+    });
+  };
+
+  const result = { status: null, outputPath, messages, members, addedCount: messages.length, changeSummary: null, assetSummary };
+
+  if (messages.length === 0 && !isIncremental) {
+    return { ...result, status: 'empty' };
+  }
+
+  if (messages.length === 0 && changedMessages.length === 0 && isIncremental) {
+    saveExportSyncState();
+    return { ...result, status: 'up-to-date' };
+  }
+
+  // Step 5: Generate or update RAG document
+  const generateSpinner = startSpinner(isIncremental ? 'Updating export...' : 'Generating RAG document...');
+  try {
+    // Create member lookup for appending
+    const memberMap = {};
+    members.forEach((member) => {
+      if (member.userId) {
+        memberMap[member.userId] = member.displayName || 'Unknown User';
       }
+    });
+
+    const context = {
+      format,
+      metadata,
+      members,
+      memberMap,
+      settings,
+      // JSON, JSONL, HTML and text exports are rendered from message records
+      renderOptions: {
+        metadata,
+        source: { chatId, teamId, channelId },
+        includeMetadata: settings.includeMetadata,
+        ...grouping,
+        dates,
+        filters,
+        deletedMode: settings.deletedMode,
+        keepEditHistory: settings.keepEditHistory,
+      },
+    };
 
-      if (messages.length === 0 && !isIncremental) {
-        console.log(chalk.yellow(`\n⚠️  No messages found in this ${isChannel ? 'channel' : 'chat'}.\n`));
-        process.exit(0);
+    if (splitBy) {
+      const split = writeSplitExport(outputPath, messages, changedMessages, isIncremental ? periods : null, context);
+      if (!isIncremental) {
+        removeStalePeriodFiles(outputPath, previousPeriods, split.periods);
       }
+      periods = split.periods;
+      Object.assign(result, { addedCount: split.addedCount, changeSummary: split.changeSummary });
+    } else {
+      Object.assign(result, writeExportFile(outputPath, messages, changedMessages, isIncremental, context));
+    }
+
+    if (isIncremental) {
+      const { edited, deleted } = result.changeSummary;
+      const verb = format === 'markdown' && !splitBy ? 'Appended' : 'Added';
+      generateSpinner.succeed(`${verb} ${result.addedCount} new messages, updated ${edited} edited and ${deleted} deleted`);
+    } else if (splitBy) {
+      const count = Object.keys(periods).length;
+      generateSpinner.succeed(`Export split by ${splitBy} into ${count} file${count === 1 ? '' : 's'}`);
+    } else {
+      generateSpinner.succeed(format === 'markdown' ? 'RAG document generated' : `${format.toUpperCase()} export generated`);
+    }
+  } catch (error) {
+    generateSpinner.fail(isIncremental ? 'Failed to update export' : 'Failed to generate document');
+    throw error;
+  }
+
+  saveExportSyncState();
+
+  if (isIncremental && result.addedCount === 0 && !result.changeSummary.edited && !result.changeSummary.deleted) {
+    return { ...result, status: 'up-to-date' };
+  }
+
+  return { ...result, status: isIncremental ? 'updated' : 'created' };
+}
+
+/**
+ * Generates or incrementally updates the export for one chat or channel,
+ * or for every chat or channel with --all-chats / --all-channels
+ * @param {Object} options - generate command options
+ */
+async function runGenerate(options) {
+  try {
+    const profile = applySelectedProfile(options.profile);
+
+    if (options.record && options.replay) {
+      console.error(chalk.red('Error: Cannot use --record and --replay together.\n'));
+      process.exit(1);
+    }
+
+    if (options.allChats || options.allChannels) {
+      await runBulkGenerate(options, profile);
+      return;
+    }
+
+    // Get configuration
+    const chatId = options.chatId || process.env.TEAMS_CHAT_ID;
+    const teamId = options.teamId || options.team || process.env.TEAMS_TEAM_ID;
+    const channelId = options.channelId || process.env.TEAMS_CHANNEL_ID;
+    const settings = getExportSettings(options);
+
+    // Determine if we're fetching from chat or channel
+    const isChannel = !!(teamId && channelId);
+    const isChat = !!chatId;
+
+    if (!isChannel && !isChat) {
+      console.error(chalk.red('Error: Either chat ID or (team ID + channel ID) is required.\n'));
+      console.error(chalk.white('For chats: --chat-id or TEAMS_CHAT_ID in .env'));
+      console.error(chalk.white('For channels: --team-id and --channel-id or TEAMS_TEAM_ID and TEAMS_CHANNEL_ID in .env'));
+      console.error(chalk.white('For everything: --all-chats, or --team-id with --all-channels\n'));
+      process.exit(1);
+    }
 
-      if (messages.length === 0 && isIncremental) {
-        console.log(chalk.green(`\n✅ No new messages since last run. Export is up to date!\n`));
-        process.exit(0);
+    if (isChannel && !channelId) {
+      console.error(chalk.red('Error: Both team ID and channel ID are required for channel messages.\n'));
+      process.exit(1);
+    }
+
+    if (isChannel && isChat) {
+      console.error(chalk.red('Error: Cannot specify both chat ID and team/channel IDs. Choose one.\n'));
+      process.exit(1);
+    }
+
+    const authMode = process.env.AUTH_MODE || 'application';
+    console.log(chalk.blue.bold('\n🚀 Teams to RAG Generator\n'));
+    if (profile) {
+      console.log(chalk.gray(`Profile: ${profile.name}`));
+    }
+    console.log(chalk.gray(`Auth mode: ${authMode}\n`));
+
+    startGraphFixtures(options);
+
+    // Step 1: Authenticate
+    // Recorded responses need no token
+    const accessToken = options.replay ? 'replay' : await authenticate(authMode, console.log, { readFiles: settings.downloadAssets });
+
+    const source = isChannel ? { teamId, channelId } : { chatId };
+    let result;
+    try {
+      result = await exportSource(accessToken, { ...source, output: options.output }, settings);
+    } catch (error) {
+      console.error(chalk.red(`\n${error.message}\n`));
+      process.exit(1);
+    }
+
+    const { status, outputPath, messages, members, addedCount, changeSummary, assetSummary } = result;
+    // Changes to messages the export doesn't contain (exported before change tracking, or beyond --max-messages)
+    const changesNotFound = changeSummary?.missing > 0;
+
+    if (status === 'empty') {
+      console.log(chalk.yellow(`\n⚠️  No messages found in this ${isChannel ? 'channel' : 'chat'}.\n`));
+      return;
+    }
+
+    if (status === 'up-to-date') {
+      if (changesNotFound) {
+        console.log(chalk.yellow(`\n⚠️  ${changeSummary.missing} edited or deleted messages were not found in the export and are not reflected.`));
       }
+      console.log(chalk.green(`\n✅ No new messages since last run. Export is up to date!\n`));
+      printRedactionReport(settings.redactor);
+      return;
+    }
+
+    if (changesNotFound) {
+      console.log(chalk.yellow(`⚠️  ${changeSummary.missing} edited or deleted messages were not found in the export and are not reflected.`));
+    }
+
+    if (assetSummary?.failed > 0) {
+      console.log(chalk.yellow('⚠️  Some images or attachments could not be downloaded and are listed without a link:'));
+      assetSummary.errors.forEach((error) => console.log(chalk.yellow(`   - ${error}`)));
+    }
 
-      // Step 5: Generate or update RAG document
-      const generateSpinner = ora(isIncremental ? 'Appending new messages...' : 'Generating RAG document...').start();
-      try {
-        // Create member lookup for appending
-        const memberMap = {};
-        members.forEach((member) => {
-          if (member.userId) {
-            memberMap[member.userId] = member.displayName || 'Unknown User';
-          }
+    // Step 5: Display statistics (if requested)
+    if (options.stats) {
+      console.log(chalk.blue.bold('\n📊 Chat Statistics\n'));
+      const stats = generateStatistics(messages, members, settings.dates);
+
+      console.log(chalk.white(`Total Messages: ${stats.totalMessages}`));
+      console.log(chalk.white(`Participants: ${stats.totalParticipants}`));
+      console.log(
+        chalk.white(
+          `Date Range: ${stats.dateRange.start ? settings.dates.date(stats.dateRange.start) : ''} - ${stats.dateRange.end ? settings.dates.date(stats.dateRange.end) : ''}`
+        )
+      );
+
+      console.log(chalk.blue('\nMessages by User:'));
+      Object.entries(stats.messagesByUser)
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([user, count]) => {
+          console.log(chalk.white(`  ${user}: ${count}`));
         });
+    }
 
-        if (isIncremental) {
-          // Append to existing file (both chats and channels)
-          const appendedCount = appendMessagesToExport(
-            outputPath,
-            messages,
-            memberMap,
-            includeMetadata,
-            groupByDate
-          );
-          generateSpinner.succeed(`Appended ${appendedCount} new messages`);
-        } else {
-          // Generate new document
-          const document = generateRAGDocument(messages, metadata, members, {
-            includeMetadata,
-            groupByDate,
-            format: 'markdown',
-            chatId,
-            teamId,
-            channelId,
-          });
-
-          saveRAGDocument(document, outputPath);
-          generateSpinner.succeed('RAG document generated');
-        }
-      } catch (error) {
-        generateSpinner.fail(isIncremental ? 'Failed to append messages' : 'Failed to generate document');
-        console.error(chalk.red(`\n${error.message}\n`));
-        process.exit(1);
-      }
+    // Success
+    console.log(chalk.green.bold(`\n✅ Success!\n`));
+    if (status === 'updated') {
+      console.log(chalk.white(`Updated existing export: ${chalk.cyan(outputPath)}`));
+      console.log(chalk.white(`Added ${chalk.green(addedCount)} new messages`));
+      console.log(chalk.white(`Updated ${chalk.green(changeSummary.edited)} edited and ${chalk.green(changeSummary.deleted)} deleted messages\n`));
+    } else {
+      console.log(chalk.white(`Created new export: ${chalk.cyan(outputPath)}`));
+      console.log(chalk.white(`Total messages: ${chalk.green(messages.length)}\n`));
+    }
 
-      // Step 5: Display statistics (if requested)
-      if (options.stats) {
-        console.log(chalk.blue.bold('\n📊 Chat Statistics\n'));
-        const stats = generateStatistics(messages, members);
-
-        console.log(chalk.white(`Total Messages: ${stats.totalMessages}`));
-        console.log(chalk.white(`Participants: ${stats.totalParticipants}`));
-        console.log(
-          chalk.white(
-            `Date Range: ${stats.dateRange.start?.toLocaleDateString()} - ${stats.dateRange.end?.toLocaleDateString()}`
-          )
-        );
+    printRedactionReport(settings.redactor);
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Unexpected error: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Runs an async worker over items with at most `limit` running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} Worker results in item order
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Exports every chat of a user (--all-chats) or every channel of a team
+ * (--all-channels), each to its own file, and prints a summary table.
+ * A failing source is reported and does not stop the others.
+ * @param {Object} options - generate command options
+ * @param {Object|null} profile - Applied auth profile
+ */
+async function runBulkGenerate(options, profile) {
+  const teamId = options.teamId || options.team || process.env.TEAMS_TEAM_ID;
+  const settings = getExportSettings(options);
+  const concurrency = options.concurrency || 3;
+  const authMode = process.env.AUTH_MODE || 'application';
+  const kind = options.allChats ? 'chats' : 'channels';
+
+  if (options.allChats && options.allChannels) {
+    console.error(chalk.red('Error: Cannot use --all-chats and --all-channels together.\n'));
+    process.exit(1);
+  }
+
+  if (options.allChannels && !teamId) {
+    console.error(chalk.red('Error: --all-channels requires --team-id (or TEAMS_TEAM_ID in .env).\n'));
+    process.exit(1);
+  }
+
+  if (options.chatId || options.channelId || options.output) {
+    console.error(chalk.red(`Error: --all-${kind} cannot be combined with --chat-id, --channel-id or --output.\n`));
+    process.exit(1);
+  }
+
+  // Application permissions have no signed-in user, so /me is unavailable
+  if (options.allChats && authMode === 'application' && !options.user && !options.replay) {
+    console.error(chalk.red('Error: --all-chats with application auth requires --user <id or UPN>.\n'));
+    process.exit(1);
+  }
+
+  if (!(concurrency >= 1)) {
+    console.error(chalk.red('Error: --concurrency must be a positive number.\n'));
+    process.exit(1);
+  }
+
+  console.log(chalk.blue.bold('\n🚀 Teams to RAG Generator\n'));
+  if (profile) {
+    console.log(chalk.gray(`Profile: ${profile.name}`));
+  }
+  console.log(chalk.gray(`Auth mode: ${authMode}\n`));
+
+  startGraphFixtures(options);
+
+  const accessToken = options.replay ? 'replay' : await authenticate(authMode, console.log, { readFiles: settings.downloadAssets });
+
+  // Discover the sources to export
+  const discoverySpinner = ora(`Fetching ${kind}...`).start();
+  const discoveryRetries = trackGraphRetries(discoverySpinner);
+  let sources;
+  try {
+    if (options.allChats) {
+      const rows = await listChats(accessToken, options.user || null, { includeMembers: !!settings.redactor });
+      sources = rows.map((row) => ({
+        chatId: row.chatId,
+        label: row.name,
+        name: getExportName(row.topic, row.members || [], settings.redactor),
+      }));
+    } else {
+      const channels = await fetchChannels(accessToken, teamId);
+      sources = channels.map((channel) => ({
+        teamId,
+        channelId: channel.id,
+        label: channel.displayName || channel.id,
+        name: getExportName(channel.displayName, [], settings.redactor),
+      }));
+    }
+    discoverySpinner.succeed(`Found ${sources.length} ${kind}${discoveryRetries.stop()}`);
+  } catch (error) {
+    discoverySpinner.fail(`Failed to fetch ${kind}${discoveryRetries.stop()}`);
+    console.error(chalk.red(`\n${error.message}\n`));
+    process.exit(1);
+  }
+
+  if (sources.length === 0) {
+    console.log(chalk.yellow(`\nNo ${kind} found.\n`));
+    return;
+  }
+
+  // Output paths are fixed up front so concurrent exports never share a file;
+  // sources sharing a name get an ID-based suffix
+  const pathCounts = {};
+  sources.forEach((source) => {
+    const outputPath = getExportPath(source, source.name, settings);
+    pathCounts[outputPath] = (pathCounts[outputPath] || 0) + 1;
+  });
+  sources.forEach((source) => {
+    source.disambiguate = pathCounts[getExportPath(source, source.name, settings)] > 1;
+    source.outputPath = getExportPath(source, source.name, settings);
+  });
+
+  // Progress and throttling are reported on one spinner for the whole run
+  let done = 0;
+  let failed = 0;
+  let retries = 0;
+  const progressText = () =>
+    `Exporting ${kind}: ${done}/${sources.length} done` +
+    (failed > 0 ? `, ${failed} failed` : '') +
+    (retries > 0 ? chalk.yellow(` (${retries} throttled/failed requests retried)`) : '');
+
+  const spinner = ora(progressText()).start();
+  const unsubscribe = onGraphRetry(() => {
+    retries++;
+    spinner.text = progressText();
+  });
+
+  const results = await mapWithConcurrency(sources, concurrency, async (source) => {
+    let result;
+    try {
+      result = await exportSource(accessToken, source, settings, true);
+    } catch (error) {
+      failed++;
+      result = { status: 'failed', error };
+    }
+    done++;
+    spinner.text = progressText();
+    return { ...result, source };
+  });
+
+  unsubscribe();
+  if (failed > 0) {
+    spinner.warn(`Exported ${done - failed}/${sources.length} ${kind} (${failed} failed)`);
+  } else {
+    spinner.succeed(`Exported ${sources.length} ${kind}`);
+  }
+
+  // Summary table
+  const statusLabels = {
+    created: 'created',
+    updated: 'updated',
+    'up-to-date': 'up to date',
+    empty: 'no messages',
+    failed: 'FAILED',
+  };
+  const lines = results.map((result) => {
+    let messageCount = '-';
+    if (result.status === 'created') {
+      messageCount = String(result.messages.length);
+    } else if (result.status === 'updated') {
+      const { edited, deleted } = result.changeSummary;
+      messageCount = `+${result.addedCount}` + (edited || deleted ? ` (${edited} edited, ${deleted} deleted)` : '');
+    }
+
+    return [
+      result.source.label.length > 40 ? `${result.source.label.substring(0, 39)}…` : result.source.label,
+      statusLabels[result.status],
+      messageCount,
+      result.status === 'failed' ? result.error.message : result.outputPath,
+    ];
+  });
+
+  console.log(`\n${formatTable(['Source', 'Status', 'Messages', 'File / Error'], lines)}\n`);
+
+  const withUnreflectedChanges = results.filter((result) => result.changeSummary?.missing > 0);
+  if (withUnreflectedChanges.length > 0) {
+    console.log(chalk.yellow(`⚠️  ${withUnreflectedChanges.length} exports have edited or deleted messages that were not found in the export.\n`));
+  }
+
+  const failedAssets = results.reduce((sum, result) => sum + (result.assetSummary?.failed || 0), 0);
+  if (failedAssets > 0) {
+    console.log(chalk.yellow(`⚠️  ${failedAssets} images or attachments could not be downloaded and are listed without a link.\n`));
+  }
+
+  printRedactionReport(settings.redactor);
+
+  if (failed > 0) {
+    console.log(chalk.red(`❌ ${failed} of ${sources.length} ${kind} failed.\n`));
+    process.exitCode = 1;
+  } else {
+    console.log(chalk.green.bold(`✅ Success!\n`));
+  }
+}
+
+/**
+ * Fetches discovery rows for a list subcommand
+ * @param {string} kind - 'chats', 'teams' or 'channels'
+ * @param {string} accessToken - OAuth2 access token
+ * @param {Object} options - { user, team }
+ * @returns {Promise<Array>} Rows
+ */
+async function loadSourceRows(kind, accessToken, options) {
+  const spinner = ora(`Fetching ${kind}...`).start();
+  const retries = trackGraphRetries(spinner);
+
+  try {
+    let rows;
+    if (kind === 'chats') {
+      rows = await listChats(accessToken, options.user || null);
+    } else if (kind === 'teams') {
+      rows = await listTeams(accessToken, options.user || null);
+    } else {
+      rows = await listChannels(accessToken, options.team);
+    }
+    spinner.succeed(`Found ${rows.length} ${kind}${retries.stop()}`);
+    return rows;
+  } catch (error) {
+    spinner.fail(`Failed to fetch ${kind}${retries.stop()}`);
+    console.error(chalk.red(`\n${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Creates a line prompt on stdin. Lines are queued as they arrive, so answers
+ * piped in ahead of time are not lost while the next table is being fetched.
+ * @returns {Object} { ask(question), close() } - ask resolves null once stdin ends
+ */
+function createPrompt() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const lines = [];
+  const waiting = [];
+  let closed = false;
+
+  rl.on('line', (line) => (waiting.length > 0 ? waiting.shift()(line) : lines.push(line)));
+  rl.on('close', () => {
+    closed = true;
+    waiting.splice(0).forEach((resolve) => resolve(null));
+  });
 
-        console.log(chalk.blue('\nMessages by User:'));
-        Object.entries(stats.messagesByUser)
-          .sort((a, b) => b[1] - a[1])
-          .forEach(([user, count]) => {
-            console.log(chalk.white(`  ${user}: ${count}`));
-          });
+  return {
+    ask(question) {
+      process.stdout.write(question);
+      if (lines.length > 0) {
+        return Promise.resolve(lines.shift());
       }
+      return closed ? Promise.resolve(null) : new Promise((resolve) => waiting.push(resolve));
+    },
+    close: () => rl.close(),
+  };
+}
 
-      // Success
-      console.log(chalk.green.bold(`\n✅ Success!\n`));
-      if (isIncremental) {
-        console.log(chalk.white(`Updated existing export: ${chalk.cyan(outputPath)}`));
-        console.log(chalk.white(`Added ${chalk.green(messages.length)} new messages\n`));
-      } else {
-        console.log(chalk.white(`Created new export: ${chalk.cyan(outputPath)}`));
-        console.log(chalk.white(`Total messages: ${chalk.green(messages.length)}\n`));
+/**
+ * Asks the user to pick a row by number
+ * @param {Object} prompt - Prompt from createPrompt
+ * @param {Array} rows - Rows shown in a numbered table
+ * @returns {Promise<Object|null>} Picked row, or null if cancelled
+ */
+async function pickRow(prompt, rows) {
+  while (true) {
+    const answer = ((await prompt.ask(chalk.cyan(`\nSelect [1-${rows.length}] (Enter to cancel): `))) || '').trim();
+    if (!answer) {
+      return null;
+    }
+
+    const index = parseInt(answer, 10);
+    if (index >= 1 && index <= rows.length) {
+      return rows[index - 1];
+    }
+    console.log(chalk.yellow(`Please enter a number between 1 and ${rows.length}.`));
+  }
+}
+
+/**
+ * Runs a list subcommand: prints chats, teams or channels as a table or JSON,
+ * and in interactive mode exports the picked source with generate
+ * @param {string} kind - 'chats', 'teams' or 'channels'
+ * @param {Object} options - list command options
+ */
+async function runList(kind, options) {
+  applySelectedProfile(options.profile);
+
+  if (options.json && options.interactive) {
+    console.error(chalk.red('Error: Cannot use --json and --interactive together.\n'));
+    process.exit(1);
+  }
+
+  const authMode = process.env.AUTH_MODE || 'application';
+
+  // Application permissions have no signed-in user, so /me is unavailable
+  if (kind !== 'channels' && authMode === 'application' && !options.user) {
+    console.error(chalk.red(`Error: Listing ${kind} with application auth requires --user <id or UPN>.\n`));
+    process.exit(1);
+  }
+
+  // Keep stdout clean for --json
+  const log = options.json ? console.error : console.log;
+  log(chalk.blue.bold(`\n🔎 Teams ${kind}\n`));
+
+  const accessToken = await authenticate(authMode, log);
+  const rows = await loadSourceRows(kind, accessToken, options);
+
+  if (options.json) {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+
+  if (rows.length === 0) {
+    console.log(chalk.yellow(`\nNo ${kind} found.\n`));
+    return;
+  }
+
+  console.log(`\n${formatSourceTable(rows, options.interactive)}\n`);
+
+  if (!options.interactive) {
+    return;
+  }
+
+  const prompt = createPrompt();
+  let picked;
+
+  try {
+    picked = await pickRow(prompt, rows);
+
+    // A team is not exportable by itself; pick one of its channels next
+    if (picked && kind === 'teams') {
+      const channelRows = await loadSourceRows('channels', accessToken, { team: picked.teamId });
+      if (channelRows.length === 0) {
+        console.log(chalk.yellow('\nThis team has no channels.\n'));
+        return;
       }
-    } catch (error) {
-      console.error(chalk.red(`\n❌ Unexpected error: ${error.message}\n`));
-      process.exit(1);
+      console.log(`\n${formatSourceTable(channelRows, true)}\n`);
+      picked = await pickRow(prompt, channelRows);
     }
+  } finally {
+    prompt.close();
+  }
+
+  if (!picked) {
+    console.log(chalk.gray('\nCancelled.\n'));
+    return;
+  }
+
+  // The picked source replaces any chat/channel configured in .env
+  delete process.env.TEAMS_CHAT_ID;
+  delete process.env.TEAMS_TEAM_ID;
+  delete process.env.TEAMS_CHANNEL_ID;
+
+  await runGenerate({
+    chatId: picked.chatId,
+    teamId: picked.teamId,
+    channelId: picked.channelId,
+    profile: options.profile,
   });
+}
+
+/**
+ * Runs the stats command: reports the activity of an existing export, offline
+ * @param {string} exportPath - Export file, split export directory or sync state
+ * @param {Object} options - stats command options
+ */
+function runStats(exportPath, options) {
+  let report;
+  try {
+    if (options.top !== undefined && (!Number.isInteger(options.top) || options.top < 1)) {
+      throw new Error('--top must be a positive whole number');
+    }
+
+    const exported = loadExport(exportPath);
+    const stats = computeExportStats(exported.records, {
+      timeZone: options.timezone || exported.timeZone,
+      sourceType: exported.sourceType,
+      top: options.top,
+    });
+
+    report = options.format === 'json'
+      ? `${JSON.stringify({ export: { path: exported.path, format: exported.format, topic: exported.topic }, ...stats }, null, 2)}\n`
+      : renderStatsReport(stats, { title: exported.topic || path.basename(exported.path) });
+  } catch (error) {
+    console.error(chalk.red(`\nError: ${error.message}\n`));
+    process.exit(1);
+  }
+
+  if (!options.output) {
+    process.stdout.write(report);
+    return;
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(path.resolve(options.output)), { recursive: true });
+    fs.writeFileSync(options.output, report, 'utf8');
+  } catch (error) {
+    console.error(chalk.red(`\nFailed to write report: ${error.message}\n`));
+    process.exit(1);
+  }
+  console.log(chalk.green(`✅ Statistics written to ${chalk.cyan(options.output)}`));
+}
+
+const program = new Command();
+
+program
+  .name('teams-to-rag')
+  .description('Generate high-quality RAG documents from Microsoft Teams chats')
+  .version('1.0.0');
+
+program
+  .command('generate')
+  .description('Generate RAG document from a Teams chat or channel')
+  .option('-c, --chat-id <chatId>', 'Teams chat ID (for 1-on-1 or group chats)')
+  .option('-t, --team-id <teamId>', 'Teams team ID (for channel messages)')
+  .option('--team <teamId>', 'Same as --team-id')
+  .option('-ch, --channel-id <channelId>', 'Teams channel ID (for channel messages)')
+  .option('--all-chats', 'Export every chat you are a member of, each to its own file')
+  .option('--all-channels', 'Export every channel of the team, each to its own file')
+  .option('-u, --user <user>', 'User ID or UPN for --all-chats (required for application auth)')
+  .option('--concurrency <number>', 'Sources exported in parallel with --all-chats / --all-channels (default: 3)', parseInt)
+  .option('-o, --output <path>', 'Output file path')
+  .addOption(
+    new Option('-f, --format <format>', 'Output format (default: markdown)')
+      .choices(OUTPUT_FORMATS)
+  )
+  .option('-m, --max-messages <number>', 'Maximum messages to fetch', parseInt)
+  .option('--no-metadata', 'Exclude metadata from document')
+  .addOption(
+    new Option('--split-by <period>', 'Write one file per day, week or month into a directory, with an index')
+      .choices(SPLIT_PERIODS)
+  )
+  .addOption(
+    new Option('--group-by <mode>', 'Group messages by date (default), session, thread or none')
+      .choices(GROUP_BY_MODES)
+  )
+  .option('--session-gap <minutes>', 'Pause that starts a new session with --group-by session (default: 30)', parseFloat)
+  .option('--no-group-by-date', 'Do not group messages by date (same as --group-by none)')
+  .option('--no-replies', 'Do not fetch channel thread replies')
+  .option('--no-system-events', 'Leave out system events (members added, meetings, renames, ...)')
+  .option('--since <date>', 'Only messages sent on or after this day (YYYY-MM-DD) or time (ISO)')
+  .option('--until <date>', 'Only messages sent up to this day (included) or before this time')
+  .option('--from <sender>', 'Only messages from this sender, by name, email or ID (repeatable)', collectValues)
+  .option('--exclude-from <sender>', 'Leave out messages from this sender, by name, email or ID (repeatable)', collectValues)
+  .option('--exclude-bots', 'Leave out messages sent by bots and other apps')
+  .option('--exclude-system', 'Leave out system events (same as --no-system-events)')
+  .option('--match <regex>', 'Only messages whose text matches this regular expression (ignoring case)')
+  .option('--min-words <number>', 'Leave out messages with fewer words than this', parseInt)
+  .option('--timezone <zone>', 'Time zone for dates and times, e.g. Europe/Berlin or UTC (default: this machine\'s)')
+  .option('--date-format <format>', 'Date format: iso (default), locale, or a locale such as en-GB')
+  .option('--redact', 'Pseudonymize people and mask emails, phone and card numbers before writing (see --redaction-rules)')
+  .option('--redaction-rules <file>', 'JSON file with regex and dictionary redaction rules')
+  .option('--pseudonym-map <file>', 'Private file mapping people to pseudonyms (default: ~/.teams-to-rag/pseudonyms.json)')
+  .option('--download-assets', 'Download inline images and shared files into an assets folder next to the export')
+  .addOption(
+    new Option('--deleted <mode>', 'How incremental runs show deleted messages')
+      .choices(['mark', 'remove'])
+      .default('mark')
+  )
+  .option('--keep-edit-history', 'Keep previous versions of edited and deleted messages in incremental runs')
+  .option('--stats', 'Display chat statistics')
+  .option('-p, --profile <name>', 'Named auth profile to use')
+  .option('--record <dir>', 'Record Graph responses to fixture files in this directory')
+  .option('--replay <dir>', 'Serve Graph responses from recorded fixtures (no network or sign-in)')
+  .action(runGenerate);
 
 program
   .command('validate')
   .description('Validate configuration and authentication')
-  .action(async () => {
+  .option('-p, --profile <name>', 'Named auth profile to use')
+  .action(async (options) => {
     console.log(chalk.blue.bold('\n🔍 Validating Configuration\n'));
 
+    const profile = applySelectedProfile(options.profile);
     const authMode = process.env.AUTH_MODE || 'application';
+    if (profile) {
+      console.log(chalk.gray(`Profile: ${profile.name}`));
+    }
     console.log(chalk.gray(`Auth mode: ${authMode}\n`));
 
     // Check environment variables based on auth mode
+    const useCertificate = authMode === 'application' && !!process.env.CLIENT_CERT_PATH;
     let requiredVars = ['TENANT_ID', 'CLIENT_ID'];
     if (authMode === 'application') {
-      requiredVars.push('CLIENT_SECRET');
+      requiredVars.push(useCertificate ? 'CLIENT_CERT_PATH' : 'CLIENT_SECRET');
     }
 
     const missing = requiredVars.filter((v) => !process.env[v]);
 
     if (missing.length > 0) {
       console.log(chalk.red(`❌ Missing environment variables: ${missing.join(', ')}\n`));
+      if (authMode === 'application') {
+        console.log(chalk.white('Application auth needs either CLIENT_SECRET or CLIENT_CERT_PATH (+ CLIENT_CERT_THUMBPRINT)\n'));
+      }
       process.exit(1);
     }
 
     console.log(chalk.green('✅ All required environment variables present'));
 
-    // Test authentication
-    let authSpinner;
-
-    if (authMode === 'delegated') {
-      authSpinner = ora('Requesting device code...').start();
-      try {
-        await getAccessToken((deviceCodeInfo) => {
-          authSpinner.stop();
-          console.log(chalk.yellow.bold('\n🔐 User Authentication Required\n'));
-          console.log(chalk.white(`1. Open your browser to: ${chalk.cyan(deviceCodeInfo.verificationUrl)}`));
-          console.log(chalk.white(`2. Enter this code: ${chalk.green.bold(deviceCodeInfo.userCode)}\n`));
-          authSpinner = ora('Waiting for authentication...').start();
-        });
-        authSpinner.succeed('Authentication successful');
-        console.log(chalk.green.bold('\n✅ Configuration is valid!\n'));
-      } catch (error) {
-        authSpinner.fail('Authentication failed');
-        console.error(chalk.red(`\n${error.message}\n`));
-        process.exit(1);
+    // Check the client certificate locally before trying to sign in with it
+    if (useCertificate) {
+      const cert = inspectClientCertificate();
+
+      if (cert.thumbprint) {
+        console.log(chalk.gray(`   Certificate thumbprint: ${cert.thumbprint}`));
       }
-    } else {
-      authSpinner = ora('Testing authentication...').start();
-      try {
-        await getAccessToken();
-        authSpinner.succeed('Authentication successful');
-        console.log(chalk.green.bold('\n✅ Configuration is valid!\n'));
-      } catch (error) {
-        authSpinner.fail('Authentication failed');
-        console.error(chalk.red(`\n${error.message}\n`));
+      if (cert.keyType) {
+        console.log(chalk.gray(`   Private key: ${cert.keyType.toUpperCase()}${cert.keySize ? ` ${cert.keySize}-bit` : ''}`));
+      }
+      if (cert.validTo) {
+        console.log(chalk.gray(`   Valid: ${cert.validFrom.toISOString()} → ${cert.validTo.toISOString()}`));
+      }
+
+      cert.warnings.forEach((warning) => console.log(chalk.yellow(`⚠️  ${warning}`)));
+
+      if (cert.errors.length > 0) {
+        cert.errors.forEach((error) => console.log(chalk.red(`❌ ${error}`)));
+        console.log();
         process.exit(1);
       }
+
+      console.log(chalk.green('✅ Client certificate is valid'));
     }
+
+    // Test authentication (exits on failure)
+    await authenticate(authMode);
+    console.log(chalk.green.bold('\n✅ Configuration is valid!\n'));
+  });
+
+program
+  .command('stats')
+  .description('Report the activity of an existing export, offline')
+  .argument('<export>', 'Export file or split export directory (or its .sync.json)')
+  .addOption(
+    new Option('-f, --format <format>', 'Report format')
+      .choices(STATS_FORMATS)
+      .default('markdown')
+  )
+  .option('-o, --output <file>', 'Write the report to a file instead of printing it')
+  .option('--timezone <zone>', 'Time zone for the heatmap and days (default: the export\'s)')
+  .option('--top <number>', 'Number of busiest days and attachments to list (default: 10)', parseInt)
+  .action(runStats);
+
+const listCommand = program
+  .command('list')
+  .description('Discover chats, teams and channels to export');
+
+listCommand
+  .command('chats')
+  .description('List chats you are a member of')
+  .option('-u, --user <user>', 'User ID or UPN (required for application auth)')
+  .option('--json', 'Print results as JSON')
+  .option('-i, --interactive', 'Pick a chat and export it')
+  .option('-p, --profile <name>', 'Named auth profile to use')
+  .action((options) => runList('chats', options));
+
+listCommand
+  .command('teams')
+  .description('List teams you have joined')
+  .option('-u, --user <user>', 'User ID or UPN (required for application auth)')
+  .option('--json', 'Print results as JSON')
+  .option('-i, --interactive', 'Pick a team, then a channel, and export it')
+  .option('-p, --profile <name>', 'Named auth profile to use')
+  .action((options) => runList('teams', options));
+
+listCommand
+  .command('channels')
+  .description('List the channels of a team')
+  .requiredOption('-t, --team <teamId>', 'Teams team ID')
+  .option('--json', 'Print results as JSON')
+  .option('-i, --interactive', 'Pick a channel and export it')
+  .option('-p, --profile <name>', 'Named auth profile to use')
+  .action((options) => runList('channels', options));
+
+const profilesCommand = program
+  .command('profiles')
+  .description('Manage named auth profiles');
+
+profilesCommand
+  .command('list')
+  .description('List configured profiles and their cached token status')
+  .action(() => {
+    let config;
+    try {
+      config = loadProfiles();
+    } catch (error) {
+      console.error(chalk.red(`\nError: ${error.message}\n`));
+      process.exit(1);
+    }
+
+    const names = Object.keys(config.profiles);
+    console.log(chalk.blue.bold('\n👤 Auth Profiles\n'));
+    console.log(chalk.gray(`Config: ${getProfilesPath()}\n`));
+
+    if (names.length === 0) {
+      console.log(chalk.yellow('No profiles defined.\n'));
+      return;
+    }
+
+    names.forEach((name) => {
+      const profile = config.profiles[name];
+      const marker = name === config.defaultProfile ? chalk.green(' (default)') : '';
+
+      console.log(chalk.white.bold(`${name}${marker}`));
+      console.log(chalk.white(`  Tenant:    ${profile.tenantId || chalk.red('missing')}`));
+      console.log(chalk.white(`  Client:    ${profile.clientId || chalk.red('missing')}`));
+      console.log(chalk.white(`  Auth mode: ${profile.authMode || 'application'}`));
+      console.log(chalk.white(`  Output:    ${profile.outputDir || '(OUTPUT_DIR)'}`));
+      console.log(chalk.white(`  Token:     ${describeProfileToken(profile)}\n`));
+    });
   });
 
 program.parse();
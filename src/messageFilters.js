@@ -0,0 +1,260 @@
+import { htmlToMarkdown } from './htmlToMarkdown.js';
+import { isSystemEventMessage } from './systemEvents.js';
+import { parseZonedDateTime } from './dateFormat.js';
+
+/**
+ * Message filters for exports (--since, --until, --from, --exclude-from,
+ * --exclude-bots, --exclude-system, --match, --min-words).
+ *
+ * Filters are normalized into a plain object that is stored in the export's
+ * sync state and front matter, so an export is only ever updated with the
+ * filters it was written with:
+ *
+ * {
+ *   "since": "2025-03-01T00:00:00.000Z",   // sent at or after
+ *   "until": "2025-04-01T00:00:00.000Z",   // sent before (a day given as --until is included)
+ *   "from": ["Alice", "bob@contoso.com"],  // only these senders, by name, email or ID
+ *   "excludeFrom": ["Jira Cloud"],         // not these senders
+ *   "excludeBots": true,                   // no messages sent by apps
+ *   "excludeSystem": true,                 // no system events
+ *   "match": "deploy",                     // text matches this regex (ignoring case)
+ *   "minWords": 3                          // text has at least this many words
+ * }
+ *
+ * Only the filters in use are stored. A run without filter options keeps the
+ * filters of the export it updates; only other filters given explicitly
+ * rebuild it. System events have no sender or text, so sender and text
+ * filters leave them out too.
+ */
+
+/**
+ * Reads the filters of a generate run
+ * @param {Object} options - Filter options
+ * @param {string} options.since - Day (YYYY-MM-DD, in the export's time zone) or ISO date-time
+ * @param {string} options.until - Day (included) or ISO date-time (excluded)
+ * @param {Array} options.from - Senders to keep
+ * @param {Array} options.excludeFrom - Senders to leave out
+ * @param {boolean} options.excludeBots - Leave out messages sent by apps
+ * @param {boolean} options.excludeSystem - Leave out system events
+ * @param {string} options.match - Regex the message text must match
+ * @param {number} options.minWords - Minimum number of words
+ * @param {string} timeZone - Time zone days are read in
+ * @returns {Object|null} Normalized filters, or null if none are set
+ * @throws {Error} On an invalid date, regex or word count
+ */
+export function parseMessageFilters(options, timeZone) {
+  const filters = {};
+
+  if (options.since) {
+    filters.since = parseFilterDate(options.since, timeZone, false).toISOString();
+  }
+  if (options.until) {
+    filters.until = parseFilterDate(options.until, timeZone, true).toISOString();
+  }
+  if (filters.since && filters.until && filters.since >= filters.until) {
+    throw new Error(`--since ${options.since} is not before --until ${options.until}`);
+  }
+
+  if (options.from?.length > 0) {
+    filters.from = [...options.from];
+  }
+  if (options.excludeFrom?.length > 0) {
+    filters.excludeFrom = [...options.excludeFrom];
+  }
+  if (options.excludeBots) {
+    filters.excludeBots = true;
+  }
+  if (options.excludeSystem) {
+    filters.excludeSystem = true;
+  }
+
+  if (options.match) {
+    try {
+      new RegExp(options.match, 'iu');
+    } catch (error) {
+      throw new Error(`Invalid --match pattern: ${error.message}`);
+    }
+    filters.match = options.match;
+  }
+
+  if (options.minWords !== undefined && options.minWords !== null) {
+    if (!Number.isInteger(options.minWords) || options.minWords < 1) {
+      throw new Error('--min-words must be a positive whole number');
+    }
+    filters.minWords = options.minWords;
+  }
+
+  return Object.keys(filters).length > 0 ? filters : null;
+}
+
+/**
+ * Chooses the filters of a run on an existing export: the ones given, or
+ * without filter options, the ones the export was written with
+ * @param {Object|null} filters - Filters from parseMessageFilters
+ * @param {Object|null} syncState - Sync state of the export, if any
+ * @returns {Object|null} Filters to apply
+ */
+export function resolveRunFilters(filters, syncState) {
+  return filters || syncState?.filters || null;
+}
+
+/**
+ * Creates the check a message has to pass to be exported
+ * @param {Object} filters - Filters from parseMessageFilters
+ * @param {Array} members - Chat members, so senders can be named by email too
+ * @returns {Function} (msg) => true if the message is kept
+ */
+export function createMessageFilter(filters, members = []) {
+  const since = filters.since ? new Date(filters.since).getTime() : null;
+  const until = filters.until ? new Date(filters.until).getTime() : null;
+  const from = filters.from ? new Set(filters.from.map(normalizeSender)) : null;
+  const excludeFrom = new Set((filters.excludeFrom || []).map(normalizeSender));
+  const match = filters.match ? new RegExp(filters.match, 'iu') : null;
+
+  // Names and emails of members, for messages that only carry a user ID
+  const memberNames = {};
+  members.forEach((member) => {
+    if (member.userId) {
+      memberNames[member.userId] = [member.displayName, member.email].filter(Boolean);
+    }
+  });
+
+  return (msg) => {
+    const sentAt = new Date(msg.createdDateTime).getTime();
+    if ((since !== null && sentAt < since) || (until !== null && sentAt >= until)) {
+      return false;
+    }
+
+    const isSystemEvent = isSystemEventMessage(msg);
+    if (filters.excludeSystem && isSystemEvent) {
+      return false;
+    }
+    if (filters.excludeBots && isBotMessage(msg)) {
+      return false;
+    }
+
+    if (from || excludeFrom.size > 0) {
+      const sender = isSystemEvent ? [] : getSenderKeys(msg, memberNames);
+      if (from && !sender.some((key) => from.has(key))) {
+        return false;
+      }
+      if (sender.some((key) => excludeFrom.has(key))) {
+        return false;
+      }
+    }
+
+    if (match || filters.minWords) {
+      const text = isSystemEvent ? '' : getMessageText(msg);
+      if (match && !match.test(text)) {
+        return false;
+      }
+      if (filters.minWords && countWords(text) < filters.minWords) {
+        return false;
+      }
+    }
+
+    return true;
+  };
+}
+
+/**
+ * Describes filters in a few words each, for front matter and run output
+ * @param {Object|null} filters - Filters from parseMessageFilters
+ * @returns {Array} e.g. ['since 2025-03-01T00:00:00.000Z', 'excluding bots']
+ */
+export function describeFilters(filters) {
+  if (!filters) {
+    return [];
+  }
+
+  const descriptions = [];
+  if (filters.since) {
+    descriptions.push(`since ${filters.since}`);
+  }
+  if (filters.until) {
+    descriptions.push(`until ${filters.until}`);
+  }
+  if (filters.from) {
+    descriptions.push(`from ${filters.from.join(', ')}`);
+  }
+  if (filters.excludeFrom) {
+    descriptions.push(`excluding ${filters.excludeFrom.join(', ')}`);
+  }
+  if (filters.excludeBots) {
+    descriptions.push('excluding bots');
+  }
+  if (filters.excludeSystem) {
+    descriptions.push('excluding system events');
+  }
+  if (filters.match) {
+    descriptions.push(`matching /${filters.match}/i`);
+  }
+  if (filters.minWords) {
+    descriptions.push(`at least ${filters.minWords} word${filters.minWords === 1 ? '' : 's'}`);
+  }
+  return descriptions;
+}
+
+/**
+ * Parses a --since or --until value; a day starts at midnight in the time
+ * zone, and with endOfDay the following midnight is returned, so the day is
+ * included
+ */
+function parseFilterDate(value, timeZone, endOfDay) {
+  const option = endOfDay ? '--until' : '--since';
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const day = new Date(`${value}T00:00:00Z`);
+    if (Number.isNaN(day.getTime()) || day.toISOString().slice(0, 10) !== value) {
+      throw new Error(`Invalid ${option} date: ${value}`);
+    }
+    if (endOfDay) {
+      day.setUTCDate(day.getUTCDate() + 1);
+    }
+    return parseZonedDateTime(day.toISOString().slice(0, 10), '00:00:00', timeZone);
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${option} date: ${value} (use YYYY-MM-DD or an ISO date-time)`);
+  }
+  return date;
+}
+
+/**
+ * Checks whether a message was sent by an app rather than a person
+ */
+function isBotMessage(msg) {
+  return !!msg.from?.application && !msg.from?.user;
+}
+
+/**
+ * Returns everything a message's sender can be named by: IDs, names and emails
+ */
+function getSenderKeys(msg, memberNames) {
+  const { user, application } = msg.from || {};
+  const keys = [
+    user?.id,
+    user?.displayName,
+    ...(user?.id ? memberNames[user.id] || [] : []),
+    application?.id,
+    application?.displayName,
+  ];
+  return keys.filter(Boolean).map(normalizeSender);
+}
+
+function normalizeSender(value) {
+  return String(value).trim().toLowerCase();
+}
+
+/**
+ * Returns the text of a message, as Markdown for HTML messages
+ */
+function getMessageText(msg) {
+  const content = msg.body?.content || '';
+  return msg.body?.contentType === 'html' ? htmlToMarkdown(content) : content;
+}
+
+function countWords(text) {
+  return text.split(/\s+/).filter((word) => /[\p{L}\p{N}]/u.test(word)).length;
+}
@@ -5,6 +5,8 @@ import dotenv from 'dotenv';
 import chalk from 'chalk';
 import ora from 'ora';
 import { runCLI } from './ragOptimizer.js';
+import { resolveProfile, applyProfile } from './profiles.js';
+import { createRedactor, loadRedactionRules, getPseudonymMapPath, REDACTION_LABELS } from './redaction.js';
 import path from 'path';
 
 // Load environment variables
@@ -17,7 +19,7 @@ program
   .description('Optimize Teams chat exports for RAG using Claude AI')
   .version('1.0.0')
   .argument('<input>', 'Path to the Teams export markdown file')
-  .option('-o, --output <dir>', 'Output directory', './output/rag')
+  .option('-o, --output <dir>', 'Output directory (default: "./output/rag", or the profile\'s output dir + "/rag")')
   .option('-k, --api-key <key>', 'Anthropic API key (or set ANTHROPIC_API_KEY env var)')
   .option('-m, --model <model>', 'Claude model to use', 'claude-3-5-sonnet-20241022')
   .option('-f, --format <format>', 'Output format: structured or semantic', 'structured')
@@ -26,10 +28,19 @@ program
   .option('--no-action-items', 'Exclude action items extraction')
   .option('--no-summary', 'Exclude summary generation')
   .option('-c, --chunk-size <size>', 'Maximum chunk size in characters', '100000')
+  .option('-p, --profile <name>', 'Named profile (supplies the default output directory)')
+  .option('--redact', 'Mask personal data in the input before it is sent to Claude, and in the outputs')
+  .option('--redaction-rules <file>', 'JSON file with regex and dictionary redaction rules')
+  .option('--pseudonym-map <file>', 'Pseudonym mapping of the export (default: ~/.teams-to-rag/pseudonyms.json)')
   .action(async (input, options) => {
     const spinner = ora('Initializing RAG optimizer...').start();
 
     try {
+      const profile = resolveProfile(options.profile);
+      if (profile) {
+        applyProfile(profile);
+      }
+
       // Validate API key
       const apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
       if (!apiKey) {
@@ -42,6 +53,15 @@ program
         process.exit(1);
       }
 
+      // Names known to the pseudonym mapping are replaced too
+      let redactor = null;
+      if (options.redact || process.env.REDACT === 'true') {
+        redactor = createRedactor({
+          rules: loadRedactionRules(options.redactionRules || process.env.REDACTION_RULES || null),
+          mapPath: options.pseudonymMap || getPseudonymMapPath(),
+        });
+      }
+
       spinner.text = 'Processing with Claude AI...';
 
       const optimizeOptions = {
@@ -53,15 +73,21 @@ program
         includeDecisions: options.decisions !== false,
         includeActionItems: options.actionItems !== false,
         includeSummary: options.summary !== false,
+        redactor,
       };
 
       // Resolve paths
       const inputPath = path.resolve(input);
-      const outputDir = path.resolve(options.output);
+      const outputDir = path.resolve(
+        options.output || path.join(process.env.OUTPUT_DIR || './output', 'rag')
+      );
 
       spinner.stop();
 
       console.log(chalk.blue('\n📊 RAG Optimization Configuration:'));
+      if (profile) {
+        console.log(chalk.gray('  Profile:'), profile.name);
+      }
       console.log(chalk.gray('  Input:'), inputPath);
       console.log(chalk.gray('  Output:'), outputDir);
       console.log(chalk.gray('  Model:'), options.model);
@@ -70,6 +96,7 @@ program
       console.log(chalk.gray('  Decisions:'), optimizeOptions.includeDecisions ? '✓' : '✗');
       console.log(chalk.gray('  Action Items:'), optimizeOptions.includeActionItems ? '✓' : '✗');
       console.log(chalk.gray('  Summary:'), optimizeOptions.includeSummary ? '✓' : '✗');
+      console.log(chalk.gray('  Redact:'), redactor ? '✓' : '✗');
       console.log();
 
       const result = await runCLI(inputPath, outputDir, optimizeOptions);
@@ -88,6 +115,17 @@ program
         console.log(chalk.gray('  Topic:'), result.metadata.topic);
       }
 
+      if (redactor) {
+        const { counts } = redactor.getReport();
+        console.log(chalk.blue('\n🔒 Redaction Report:'));
+        if (Object.keys(counts).length === 0) {
+          console.log(chalk.gray('  Nothing was masked'));
+        }
+        Object.entries(counts).forEach(([rule, count]) => {
+          console.log(chalk.gray(`  ${REDACTION_LABELS[rule] || rule}:`), count);
+        });
+      }
+
       console.log(chalk.green('\n✨ RAG-optimized documents are ready for embedding and retrieval!'));
 
     } catch (error) {
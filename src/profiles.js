@@ -0,0 +1,169 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Named auth profiles, so one installation can export from several tenants and
+ * app registrations without swapping .env files.
+ *
+ * Profiles live in ~/.teams-to-rag/profiles.json (or TEAMS_TO_RAG_PROFILES):
+ *
+ * {
+ *   "defaultProfile": "contoso",
+ *   "profiles": {
+ *     "contoso": {
+ *       "tenantId": "...",
+ *       "clientId": "...",
+ *       "authMode": "delegated",
+ *       "credentials": { "account": "me@contoso.com" },
+ *       "outputDir": "./output/contoso"
+ *     }
+ *   }
+ * }
+ *
+ * Credentials are references, never secrets: `clientSecretEnv` names the
+ * environment variable holding the secret, `certificatePath` and
+ * `certificateThumbprint` point at a client certificate, and `account` picks a
+ * cached delegated sign-in. `graphEndpoint` and `authorityHost` select a
+ * national cloud.
+ */
+
+const AUTH_MODES = ['application', 'delegated'];
+
+// Environment variables owned by a profile; cleared first so .env values don't leak in
+const PROFILE_ENV_VARS = [
+  'TENANT_ID',
+  'CLIENT_ID',
+  'AUTH_MODE',
+  'CLIENT_SECRET',
+  'CLIENT_CERT_PATH',
+  'CLIENT_CERT_THUMBPRINT',
+  'AUTH_ACCOUNT',
+  'GRAPH_ENDPOINT',
+  'AUTHORITY_HOST',
+];
+
+/**
+ * Returns the profiles config file location
+ * @returns {string} Path to profiles.json
+ */
+export function getProfilesPath() {
+  return process.env.TEAMS_TO_RAG_PROFILES || path.join(os.homedir(), '.teams-to-rag', 'profiles.json');
+}
+
+/**
+ * Loads the profiles config file
+ * @returns {Object} { defaultProfile, profiles } (empty if no config file exists)
+ */
+export function loadProfiles() {
+  const profilesPath = getProfilesPath();
+
+  if (!fs.existsSync(profilesPath)) {
+    return { defaultProfile: null, profiles: {} };
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(profilesPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read profiles from ${profilesPath}: ${error.message}`);
+  }
+
+  return {
+    defaultProfile: config.defaultProfile || null,
+    profiles: config.profiles || {},
+  };
+}
+
+/**
+ * Looks up a profile by name and checks it is complete
+ * @param {string} name - Profile name
+ * @returns {Object} Profile (with its name)
+ */
+export function getProfile(name) {
+  const { profiles } = loadProfiles();
+  const profile = profiles[name];
+
+  if (!profile) {
+    const available = Object.keys(profiles);
+    throw new Error(
+      `Profile not found: ${name}. ` +
+      (available.length > 0
+        ? `Available profiles: ${available.join(', ')}`
+        : `No profiles defined in ${getProfilesPath()}`)
+    );
+  }
+
+  const missing = ['tenantId', 'clientId'].filter((field) => !profile[field]);
+  if (missing.length > 0) {
+    throw new Error(`Profile '${name}' is missing: ${missing.join(', ')}`);
+  }
+
+  const authMode = profile.authMode || 'application';
+  if (!AUTH_MODES.includes(authMode)) {
+    throw new Error(`Profile '${name}' has unknown authMode '${authMode}' (expected ${AUTH_MODES.join(' or ')})`);
+  }
+
+  return { ...profile, name, authMode, credentials: profile.credentials || {} };
+}
+
+/**
+ * Resolves the profile to use from the --profile option or the configured default
+ * @param {string|undefined} name - Profile name given on the command line
+ * @returns {Object|null} Profile, or null to use plain .env configuration
+ */
+export function resolveProfile(name) {
+  const profileName = name || process.env.TEAMS_TO_RAG_PROFILE || loadProfiles().defaultProfile;
+  return profileName ? getProfile(profileName) : null;
+}
+
+/**
+ * Applies a profile to the process environment so auth and output settings
+ * are read from it instead of .env
+ * @param {Object} profile - Profile from getProfile
+ */
+export function applyProfile(profile) {
+  const { credentials } = profile;
+
+  // Read before clearing, as the secret may live in one of the cleared variables
+  const secret = credentials.clientSecretEnv ? process.env[credentials.clientSecretEnv] : null;
+  if (credentials.clientSecretEnv && !secret) {
+    throw new Error(
+      `Profile '${profile.name}' reads its client secret from ${credentials.clientSecretEnv}, which is not set`
+    );
+  }
+
+  PROFILE_ENV_VARS.forEach((name) => delete process.env[name]);
+
+  process.env.TENANT_ID = profile.tenantId;
+  process.env.CLIENT_ID = profile.clientId;
+  process.env.AUTH_MODE = profile.authMode;
+
+  if (secret) {
+    process.env.CLIENT_SECRET = secret;
+  }
+
+  if (credentials.certificatePath) {
+    process.env.CLIENT_CERT_PATH = credentials.certificatePath;
+  }
+
+  if (credentials.certificateThumbprint) {
+    process.env.CLIENT_CERT_THUMBPRINT = credentials.certificateThumbprint;
+  }
+
+  if (credentials.account) {
+    process.env.AUTH_ACCOUNT = credentials.account;
+  }
+
+  if (profile.graphEndpoint) {
+    process.env.GRAPH_ENDPOINT = profile.graphEndpoint;
+  }
+
+  if (profile.authorityHost) {
+    process.env.AUTHORITY_HOST = profile.authorityHost;
+  }
+
+  if (profile.outputDir) {
+    process.env.OUTPUT_DIR = profile.outputDir;
+  }
+}
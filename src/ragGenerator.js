@@ -1,5 +1,30 @@
 import fs from 'fs';
 import path from 'path';
+import { htmlToMarkdown, formatQuotedReply } from './htmlToMarkdown.js';
+import { isCardAttachment, renderCard } from './cards.js';
+import { isSystemEventMessage, describeSystemEvent } from './systemEvents.js';
+import { createDateFormatter, parseZonedDateTime } from './dateFormat.js';
+import { renderExport } from './exportFormats.js';
+import { formatFrontMatter, parseFrontMatter, updateFrontMatter } from './frontMatter.js';
+import { describeFilters } from './messageFilters.js';
+import {
+  DEFAULT_SESSION_GAP_MINUTES,
+  formatGroupHeading,
+  getThreadSpan,
+  groupIntoConversations,
+  groupIntoSessions,
+} from './grouping.js';
+
+// Every message is preceded by a marker line recording its ID and last change,
+// so incremental runs can find it again to apply edits and deletions. The
+// anchor after it (missing in older exports) lets links point at the message.
+const MESSAGE_MARKER_PATTERN = /^<!-- msg:(\S+) (modified|deleted):(\S+) -->(?:<a id="msg-\S+"><\/a>)?$/;
+const EDIT_HISTORY_PATTERN = /^\*Before (?:edit|deletion) on .+:\*$/;
+// Session and conversation headings are followed by a line recording the
+// group's time span, which incremental runs extend as messages join it
+const GROUP_MARKER_PATTERN = /^<!-- group start:(\S+) end:(\S+) -->$/;
+// The sender at the start of a message header (replies are quoted)
+const SENDER_PATTERN = /^(?:> ↳ )?\*\*(.+?)\*\*/;
 
 /**
  * Generates a high-quality RAG document from Teams chat messages
@@ -13,10 +38,14 @@ export function generateRAGDocument(messages, metadata, members, options = {}) {
   const {
     includeMetadata = true,
     groupByDate = true,
+    groupBy = groupByDate ? 'date' : 'none',
+    sessionGapMinutes = DEFAULT_SESSION_GAP_MINUTES,
     format = 'markdown',
     chatId = null,
     teamId = null,
     channelId = null,
+    dates = createDateFormatter(),
+    filters = null,
   } = options;
 
   // Create member lookup
@@ -27,93 +56,275 @@ export function generateRAGDocument(messages, metadata, members, options = {}) {
     }
   });
 
+  // JSON, JSONL, HTML and text exports are rendered from normalized message records
+  if (format !== 'markdown') {
+    return renderExport(format, messages.map((msg) => toMessageRecord(msg, memberMap)), {
+      metadata,
+      source: { chatId, teamId, channelId },
+      includeMetadata,
+      groupBy,
+      sessionGapMinutes,
+      dates,
+      filters,
+    });
+  }
+
   let document = '';
 
   // Add document header
   if (includeMetadata) {
-    document += generateHeader(metadata, messages.length, { chatId, teamId, channelId });
-    document += '\n\n---\n\n';
+    document += generateFrontMatter(metadata, messages, memberMap, dates, { chatId, teamId, channelId, filters });
+    document += '\n\n# Teams Chat Export for RAG\n\n';
   }
 
   // Process messages
-  if (groupByDate) {
-    document += generateGroupedByDate(messages, memberMap, includeMetadata);
-  } else {
-    document += generateSequential(messages, memberMap, includeMetadata);
-  }
+  document += generateMessages(messages, memberMap, includeMetadata, dates, { groupBy, sessionGapMinutes });
 
   return document;
 }
 
 /**
- * Generates document header with metadata
+ * Generates the message sections of an export, grouped as configured
  */
-function generateHeader(metadata, messageCount, options = {}) {
-  const header = [];
+function generateMessages(messages, memberMap, includeMetadata, dates, grouping) {
+  switch (grouping.groupBy) {
+    case 'session':
+    case 'thread':
+      return generateGroupedByConversation(messages, memberMap, includeMetadata, dates, grouping);
+    case 'none':
+      return generateSequential(messages, memberMap, includeMetadata, dates);
+    default:
+      return generateGroupedByDate(messages, memberMap, includeMetadata, dates);
+  }
+}
 
-  header.push('# Teams Chat Export for RAG');
-  header.push('');
+/**
+ * Generates the YAML front matter that heads an export: full source IDs,
+ * topic, participants, date range, message count and the filters it was written with
+ */
+function generateFrontMatter(metadata, messages, memberMap, dates, options = {}) {
+  const fields = options.teamId && options.channelId
+    ? { source: 'channel', team_id: options.teamId, channel_id: options.channelId }
+    : { source: 'chat', chat_id: options.chatId };
 
   if (metadata.topic) {
-    header.push(`**Topic:** ${metadata.topic}`);
+    fields.topic = metadata.topic;
   }
-
   if (metadata.chatType) {
-    header.push(`**Chat Type:** ${metadata.chatType}`);
+    fields.chat_type = metadata.chatType;
   }
 
-  // Add source info (chat vs channel)
-  if (options.teamId && options.channelId) {
-    header.push(`**Source:** Channel (Team: ${options.teamId.substring(0, 8)}..., Channel: ${options.channelId.substring(0, 8)}...)`);
-  } else if (options.chatId) {
-    header.push(`**Source:** Chat (${options.chatId.substring(0, 8)}...)`);
+  const range = getDateRange(messages);
+  Object.assign(fields, {
+    participants: getParticipants(messages, memberMap),
+    message_count: messages.length,
+    date_start: range.start,
+    date_end: range.end,
+  });
+
+  if (metadata.createdDateTime) {
+    fields.created = new Date(metadata.createdDateTime).toISOString();
   }
 
-  header.push(`**Total Messages:** ${messageCount}`);
+  fields.last_run = new Date().toISOString();
+  fields.time_zone = dates.timeZone;
 
-  if (metadata.createdDateTime) {
-    header.push(`**Created:** ${new Date(metadata.createdDateTime).toLocaleString()}`);
+  if (options.filters) {
+    fields.filters = describeFilters(options.filters);
   }
 
-  const now = new Date();
-  header.push(`**Last Run:** ${now.toISOString()}`);
-  header.push(`**Last Run (Local):** ${now.toLocaleString()}`);
+  return formatFrontMatter(fields);
+}
 
-  return header.join('\n');
+/**
+ * Lists the names of everyone who posted one of the messages, sorted
+ * (system events don't count)
+ * @param {Array} messages - Messages
+ * @param {Object} memberMap - Member name mapping
+ * @returns {Array} Display names
+ */
+export function getParticipants(messages, memberMap) {
+  const names = new Set(
+    messages.filter((msg) => !isSystemEventMessage(msg)).map((msg) => getSenderName(msg, memberMap))
+  );
+  return [...names].sort((a, b) => a.localeCompare(b));
 }
 
 /**
- * Generates messages grouped by date
+ * Returns when the first and last of the messages were sent (ISO, UTC)
  */
-function generateGroupedByDate(messages, memberMap, includeMetadata) {
-  const grouped = {};
-  const dateObjects = {};
+function getDateRange(messages) {
+  const times = messages.map((msg) => new Date(msg.createdDateTime).getTime());
+  return times.length === 0
+    ? { start: null, end: null }
+    : { start: new Date(Math.min(...times)).toISOString(), end: new Date(Math.max(...times)).toISOString() };
+}
+
+/**
+ * Returns the display name of a message's sender
+ */
+function getSenderName(msg, memberMap) {
+  return msg.from?.user?.displayName ||
+         (msg.from?.user?.id ? memberMap[msg.from.user.id] : null) ||
+         msg.from?.application?.displayName ||
+         'Unknown User';
+}
+
+/**
+ * Groups channel replies under their root posts
+ * @param {Array} messages - Chronological messages (replies carry replyToId)
+ * @returns {Array} Threads as { message, replies } in order of the root message;
+ *   replies whose root is not in the list are treated as standalone messages
+ */
+export function buildThreads(messages) {
+  const messageIds = new Set(messages.map((msg) => msg.id));
+  const repliesByParent = {};
 
-  // Group messages by date, keeping track of date objects for sorting
   messages.forEach((msg) => {
-    const dateObj = new Date(msg.createdDateTime);
-    const dateStr = dateObj.toLocaleDateString();
+    if (msg.replyToId && messageIds.has(msg.replyToId)) {
+      (repliesByParent[msg.replyToId] = repliesByParent[msg.replyToId] || []).push(msg);
+    }
+  });
+
+  return messages
+    .filter((msg) => !(msg.replyToId && messageIds.has(msg.replyToId)))
+    .map((msg) => ({
+      message: msg,
+      replies: (repliesByParent[msg.id] || []).sort(
+        (a, b) => new Date(a.createdDateTime) - new Date(b.createdDateTime)
+      ),
+    }));
+}
+
+/**
+ * Formats a root message followed by its nested replies
+ */
+function formatThread(thread, memberMap, includeMetadata, dates) {
+  return formatThreadBlocks(thread, memberMap, includeMetadata, dates).join('\n');
+}
+
+/**
+ * Formats a thread as one block per message (root post first). Messages sent
+ * on another day than the section starts on (by default, than the post) show
+ * their full date.
+ */
+function formatThreadBlocks(thread, memberMap, includeMetadata, dates, sectionStart = thread.message.createdDateTime) {
+  const sectionDay = dates.dayKey(sectionStart);
+  const showDate = (msg) => dates.dayKey(msg.createdDateTime) !== sectionDay;
+
+  return [
+    formatMessageBlock(thread.message, memberMap, includeMetadata, dates, false, showDate(thread.message)),
+    ...thread.replies.map((reply) => formatMessageBlock(reply, memberMap, includeMetadata, dates, true, showDate(reply))),
+  ];
+}
+
+/**
+ * Formats a message preceded by its marker line, quoted when it is a reply
+ */
+function formatMessageBlock(msg, memberMap, includeMetadata, dates, isReply = false, showDate = false) {
+  const text = formatMessage(msg, memberMap, includeMetadata, dates, showDate);
+  return `${formatMarker(msg)}\n${isReply ? formatReply(text) : text}`;
+}
+
+/**
+ * Formats a formatted reply as a blockquote nested under its root post
+ */
+function formatReply(text) {
+  const formatted = text
+    .trimEnd()
+    .split('\n')
+    .map((line) => (line ? `> ${line}` : '>'));
+
+  formatted[0] = formatted[0].replace(/^> /, '> ↳ ');
+  formatted.push('');
+
+  return formatted.join('\n');
+}
+
+/**
+ * Builds the marker line that precedes a message, with an anchor for links
+ * such as the ones in quoted replies (#msg-<id>)
+ */
+function formatMarker(msg) {
+  const marker = msg.deletedDateTime
+    ? `<!-- msg:${msg.id} deleted:${msg.deletedDateTime} -->`
+    : `<!-- msg:${msg.id} modified:${msg.lastModifiedDateTime || msg.createdDateTime} -->`;
+  return `${marker}<a id="msg-${msg.id}"></a>`;
+}
+
+/**
+ * Reads the IDs of the messages in a markdown export from their markers
+ * @param {string} content - Export content
+ * @returns {Array} Message IDs, in export order
+ */
+export function readMessageIds(content) {
+  return splitMessageBlocks(content).filter((segment) => segment.id).map((segment) => segment.id);
+}
+
+/**
+ * Removes message marker lines, for consumers that read the export as plain text
+ * @param {string} content - Export content
+ * @returns {string} Content without marker lines
+ */
+export function stripMessageMarkers(content) {
+  return content
+    .split('\n')
+    .filter((line) => !MESSAGE_MARKER_PATTERN.test(line))
+    .join('\n');
+}
+
+/**
+ * Generates messages grouped by date (threads are grouped by their root post's date)
+ */
+function generateGroupedByDate(messages, memberMap, includeMetadata, dates) {
+  const grouped = {};
+  const headings = {};
 
-    if (!grouped[dateStr]) {
-      grouped[dateStr] = [];
-      dateObjects[dateStr] = dateObj;
+  // Group threads by day (ISO day keys sort chronologically), keeping the heading to show
+  buildThreads(messages).forEach((thread) => {
+    const day = dates.dayKey(thread.message.createdDateTime);
+
+    if (!grouped[day]) {
+      grouped[day] = [];
+      headings[day] = dates.date(thread.message.createdDateTime);
     }
-    grouped[dateStr].push(msg);
+    grouped[day].push(thread);
   });
 
   const parts = [];
 
-  // Sort dates chronologically (oldest first)
-  const sortedDates = Object.keys(grouped).sort((a, b) => {
-    return dateObjects[a] - dateObjects[b];
+  // Generate output for each date in chronological order (oldest first)
+  Object.keys(grouped).sort().forEach((day) => {
+    parts.push(`## ${headings[day]}\n`);
+
+    grouped[day].forEach((thread) => {
+      parts.push(formatThread(thread, memberMap, includeMetadata, dates));
+    });
+
+    parts.push('');
   });
 
-  // Generate output for each date in chronological order
-  sortedDates.forEach((date) => {
-    parts.push(`## ${date}\n`);
+  return parts.join('\n');
+}
 
-    grouped[date].forEach((msg) => {
-      parts.push(formatMessage(msg, memberMap, includeMetadata));
+/**
+ * Generates one section per session or conversation (see grouping.js), headed
+ * by its time span and participants
+ */
+function generateGroupedByConversation(messages, memberMap, includeMetadata, dates, grouping) {
+  const threads = buildThreads(messages);
+  const groups = grouping.groupBy === 'session'
+    ? groupIntoSessions(threads, grouping.sessionGapMinutes)
+    : groupIntoConversations(threads, (msg) => getQuotedMessageIds(msg, memberMap));
+
+  const parts = [];
+
+  groups.forEach((group) => {
+    const groupMessages = group.threads.flatMap((thread) => [thread.message, ...thread.replies]);
+    parts.push(`${formatGroupHeadingLines(group, getParticipants(groupMessages, memberMap), dates).join('\n')}\n`);
+
+    group.threads.forEach((thread) => {
+      parts.push(formatThreadBlocks(thread, memberMap, includeMetadata, dates, group.start).join('\n'));
     });
 
     parts.push('');
@@ -122,14 +333,33 @@ function generateGroupedByDate(messages, memberMap, includeMetadata) {
   return parts.join('\n');
 }
 
+/**
+ * Formats the heading of a session or conversation and the marker line after it
+ */
+function formatGroupHeadingLines({ start, end }, participants, dates) {
+  return [
+    `## ${formatGroupHeading({ start, end, participants }, dates)}`,
+    `<!-- group start:${start.toISOString()} end:${end.toISOString()} -->`,
+  ];
+}
+
+/**
+ * Returns the IDs of the messages a message quotes
+ */
+function getQuotedMessageIds(msg, memberMap) {
+  return getMessageReferences(msg, memberMap)
+    .map((reference) => reference.messageId)
+    .filter(Boolean);
+}
+
 /**
  * Generates messages sequentially
  */
-function generateSequential(messages, memberMap, includeMetadata) {
+function generateSequential(messages, memberMap, includeMetadata, dates) {
   const parts = ['## Chat Messages\n'];
 
-  messages.forEach((msg) => {
-    parts.push(formatMessage(msg, memberMap, includeMetadata));
+  buildThreads(messages).forEach((thread) => {
+    parts.push(formatThread(thread, memberMap, includeMetadata, dates));
   });
 
   return parts.join('\n');
@@ -138,34 +368,46 @@ function generateSequential(messages, memberMap, includeMetadata) {
 /**
  * Formats a single message
  */
-function formatMessage(msg, memberMap, includeMetadata) {
+function formatMessage(msg, memberMap, includeMetadata, dates, includeDate = false) {
+  if (isSystemEventMessage(msg)) {
+    return formatSystemEvent(msg, memberMap, includeMetadata, dates, includeDate);
+  }
+
   const parts = [];
 
-  // Get sender name
-  const senderName = msg.from?.user?.displayName ||
-                     (msg.from?.user?.id ? memberMap[msg.from.user.id] : null) ||
-                     'Unknown User';
+  const senderName = getSenderName(msg, memberMap);
 
   // Format timestamp
+  const createdAt = new Date(msg.createdDateTime);
   const timestamp = includeMetadata
-    ? ` - ${new Date(msg.createdDateTime).toLocaleTimeString()}`
+    ? ` - ${includeDate ? dates.dateTime(createdAt) : dates.time(createdAt)}`
     : '';
 
   // Message header
   parts.push(`**${senderName}**${timestamp}`);
 
-  // Message body
-  if (msg.body?.content) {
-    const content = cleanMessageContent(msg.body.content, msg.body.contentType);
-    parts.push(content);
+  if (msg.deletedDateTime) {
+    parts.push('*This message was deleted.*');
+    parts.push('');
+    return parts.join('\n');
   }
 
-  // Attachments
-  if (msg.attachments && msg.attachments.length > 0) {
+  // Quoted replies come first, as in Teams
+  getMessageReferences(msg, memberMap).forEach((reference) => {
+    parts.push(formatQuotedReply(reference), '');
+  });
+
+  parts.push(...formatMessageBody(msg, memberMap));
+
+  // Other attachments (files, links)
+  const files = getFileAttachments(msg);
+  if (files.length > 0) {
     parts.push('');
     parts.push('*Attachments:*');
-    msg.attachments.forEach((att) => {
-      parts.push(`- ${att.name || att.contentType || 'Attachment'}`);
+    files.forEach((att) => {
+      const name = att.name || att.contentType || 'Attachment';
+      const localPath = msg.localAssets?.[att.id];
+      parts.push(localPath ? `- [${name}](${localPath})` : `- ${name}`);
     });
   }
 
@@ -183,26 +425,177 @@ function formatMessage(msg, memberMap, includeMetadata) {
 }
 
 /**
- * Cleans message content (removes HTML if present)
+ * Formats a message's text and cards as Markdown lines (without quoted replies)
+ */
+function formatMessageBody(msg, memberMap) {
+  const lines = [];
+
+  if (msg.body?.content) {
+    const content = cleanMessageContent(msg.body.content, msg.body.contentType, msg.localAssets, getMentions(msg, memberMap));
+    if (content) {
+      lines.push(content);
+    }
+  }
+
+  // Cards (usually posted by bots, with an empty body)
+  (msg.attachments || [])
+    .filter(isCardAttachment)
+    .map(renderCard)
+    .filter(Boolean)
+    .forEach((card) => lines.push(...(lines.length > 0 ? [''] : []), card));
+
+  return lines;
+}
+
+/**
+ * Returns a message's file and link attachments (not quoted replies or cards)
+ */
+function getFileAttachments(msg) {
+  return (msg.attachments || []).filter((att) => att.contentType !== 'messageReference' && !isCardAttachment(att));
+}
+
+/**
+ * Converts a message into the normalized record that JSON, JSONL, HTML and
+ * text exports are built from
+ * @param {Object} msg - Teams message (optionally with localAssets from downloadMessageAssets)
+ * @param {Object} memberMap - Member name mapping
+ * @returns {Object} Message record (see exportFormats.js)
+ */
+export function toMessageRecord(msg, memberMap = {}) {
+  const { user, application } = msg.from || {};
+  const isSystemEvent = isSystemEventMessage(msg);
+  const deleted = !!msg.deletedDateTime;
+
+  return {
+    id: msg.id,
+    threadId: msg.replyToId || msg.id,
+    replyToId: msg.replyToId || null,
+    messageType: msg.messageType || 'message',
+    createdDateTime: msg.createdDateTime,
+    lastModifiedDateTime: msg.lastModifiedDateTime || msg.createdDateTime,
+    lastEditedDateTime: msg.lastEditedDateTime || null,
+    deletedDateTime: msg.deletedDateTime || null,
+    sender: isSystemEvent || (!user && !application)
+      ? null
+      : {
+        id: user?.id || application?.id || null,
+        name: getSenderName(msg, memberMap),
+        type: user ? 'user' : 'application',
+      },
+    text: deleted ? '' : isSystemEvent ? describeSystemEvent(msg, memberMap) : formatMessageBody(msg, memberMap).join('\n'),
+    quotedMessage: deleted ? null : getMessageReferences(msg, memberMap).map(({ messageId, sender, text }) => ({
+      id: messageId,
+      senderName: sender,
+      text,
+    }))[0] || null,
+    mentions: deleted ? [] : getMentionRecords(msg, memberMap),
+    attachments: deleted ? [] : getFileAttachments(msg).map((att) => ({
+      id: att.id || null,
+      name: att.name || att.contentType || 'Attachment',
+      contentType: att.contentType || null,
+      url: att.contentUrl || null,
+      localPath: msg.localAssets?.[att.id] || null,
+    })),
+    reactions: (msg.reactions || []).map((reaction) => ({
+      type: reaction.reactionType,
+      userId: reaction.user?.user?.id || null,
+      userName: reaction.user?.user?.displayName || memberMap[reaction.user?.user?.id] || null,
+    })),
+    editHistory: [],
+  };
+}
+
+/**
+ * Lists the people, channels and apps a message mentions, once each
+ */
+function getMentionRecords(msg, memberMap) {
+  const records = new Map();
+
+  Object.entries(getMentions(msg, memberMap)).forEach(([atId, mention]) => {
+    const { user, application, conversation, tag } = msg.mentions.find((m) => String(m.id) === atId)?.mentioned || {};
+    const type = user ? 'user' : application ? 'application' : conversation ? 'conversation' : tag ? 'tag' : null;
+
+    if (!records.has(mention.key)) {
+      records.set(mention.key, { id: (user || application || conversation || tag)?.id || null, name: mention.name, type });
+    }
+  });
+
+  return [...records.values()];
+}
+
+/**
+ * Formats a system event (members added, meeting ended, ...) as a single italic line
+ */
+function formatSystemEvent(msg, memberMap, includeMetadata, dates, includeDate) {
+  const createdAt = new Date(msg.createdDateTime);
+  const timestamp = includeMetadata
+    ? ` - ${includeDate ? dates.dateTime(createdAt) : dates.time(createdAt)}`
+    : '';
+
+  return `*${describeSystemEvent(msg, memberMap)}*${timestamp}\n`;
+}
+
+/**
+ * Cleans message content (converts HTML to Markdown). Inline images that were
+ * downloaded (see localAssets) become markdown image links; others are dropped.
+ * Mentions become @ and the resolved display name.
  */
-function cleanMessageContent(content, contentType) {
+function cleanMessageContent(content, contentType, localAssets = {}, mentions = {}) {
   if (contentType === 'html') {
-    // Remove HTML tags for cleaner RAG content
-    return content
-      .replace(/<br\s*\/?>/gi, '\n')
-      .replace(/<\/p>/gi, '\n\n')
-      .replace(/<[^>]+>/g, '')
-      .replace(/&nbsp;/g, ' ')
-      .replace(/&amp;/g, '&')
-      .replace(/&lt;/g, '<')
-      .replace(/&gt;/g, '>')
-      .replace(/&quot;/g, '"')
-      .trim();
+    return htmlToMarkdown(content, { localAssets, mentions });
   }
 
   return content;
 }
 
+/**
+ * Resolves a message's mentions to display names, by the id of their `<at>` tag
+ */
+function getMentions(msg, memberMap) {
+  const mentions = {};
+
+  (msg.mentions || []).forEach((mention) => {
+    const { user, application, conversation, tag } = mention.mentioned || {};
+    const identity = user || application || conversation || tag || {};
+
+    mentions[mention.id] = {
+      name: identity.displayName || (user?.id ? memberMap[user.id] : null) || mention.mentionText,
+      key: identity.id || mention.mentionText,
+    };
+  });
+
+  return mentions;
+}
+
+/**
+ * Reads the messages a message quotes (messageReference attachments)
+ * @returns {Array} { sender, text, messageId } per quoted message
+ */
+function getMessageReferences(msg, memberMap) {
+  return (msg.attachments || [])
+    .filter((att) => att.contentType === 'messageReference')
+    .map((att) => {
+      let reference;
+      try {
+        reference = typeof att.content === 'string' ? JSON.parse(att.content) : att.content;
+      } catch {
+        return null;
+      }
+
+      if (!reference) {
+        return null;
+      }
+
+      const { user, application } = reference.messageSender || {};
+      return {
+        sender: user?.displayName || (user?.id ? memberMap[user.id] : null) || application?.displayName || null,
+        text: reference.messagePreview || '',
+        messageId: reference.messageId || att.id || null,
+      };
+    })
+    .filter(Boolean);
+}
+
 /**
  * Saves RAG document to file
  * @param {string} content - Document content
@@ -249,6 +642,18 @@ export function parseExistingExport(outputPath) {
       totalMessages: 0,
     };
 
+    const frontMatter = parseFrontMatter(content);
+    if (frontMatter) {
+      const { fields } = frontMatter;
+      metadata.lastRunISO = fields.last_run || null;
+      metadata.lastRun = fields.last_run ? new Date(fields.last_run) : null;
+      metadata.source = fields.source || null;
+      metadata.totalMessages = fields.message_count || 0;
+      return metadata;
+    }
+
+    // Exports from before front matter have a header of bold lines
+
     // Parse header for metadata
     for (const line of lines) {
       // Look for Last Run timestamp (ISO format is more reliable)
@@ -284,29 +689,594 @@ export function parseExistingExport(outputPath) {
 }
 
 /**
- * Appends new messages to an existing export file
+ * Reads the messages of a markdown export back as message records (see
+ * toMessageRecord), for reports on exports whose messages are no longer at
+ * hand. Markdown only keeps part of a message: senders are known by name,
+ * reactions by type, and sending times are read from the export's ISO dates
+ * and times (other date formats, or exports without times, fall back to the
+ * last change time of each message's marker).
+ * @param {string} content - Markdown export content
+ * @param {string} timeZone - Time zone the export's dates are in
+ * @returns {Array} Message records, in export order
+ */
+export function readMarkdownRecords(content, timeZone) {
+  const records = [];
+  let day = null;
+  let root = null;
+
+  splitMessageBlocks(content).forEach((segment) => {
+    if (!segment.id) {
+      // Date, session and conversation headings start with the day they are on
+      if (segment.lines[0].startsWith('## ')) {
+        day = segment.lines[0].match(/^## (\d{4}-\d{2}-\d{2})\b/)?.[1] || null;
+      }
+      return;
+    }
+
+    const lines = segment.isReply
+      ? segment.lines.slice(1).map((line) => line.replace(/^> ↳ |^> ?/, ''))
+      : segment.lines.slice(1);
+    const [header = '', ...body] = lines;
+    const sender = header.match(/^\*\*(.+?)\*\*(?: - (.+))?$/);
+    const systemEvent = sender ? null : header.match(/^\*(.+?)\*(?: - (.+))?$/);
+    const time = (sender || systemEvent)?.[2] || '';
+    const dateTime = time.match(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2})$/);
+
+    let createdDateTime = segment.timestamp;
+    if (dateTime) {
+      createdDateTime = parseZonedDateTime(dateTime[1], dateTime[2], timeZone).toISOString();
+    } else if (day && /^\d{2}:\d{2}:\d{2}$/.test(time)) {
+      createdDateTime = parseZonedDateTime(day, time, timeZone).toISOString();
+    }
+
+    const attachments = [];
+    const reactions = [];
+    const text = [];
+    let inAttachments = false;
+    body.forEach((line) => {
+      const reactionLine = line.match(/^\*Reactions: (.+)\*$/);
+      if (line === '*Attachments:*') {
+        inAttachments = true;
+      } else if (inAttachments && line.startsWith('- ')) {
+        attachments.push({ name: line.slice(2).replace(/^\[(.*)\]\(.*\)$/, '$1') });
+      } else if (reactionLine) {
+        reactions.push(...reactionLine[1].split(', ').map((type) => ({ type, userId: null, userName: null })));
+      } else {
+        inAttachments = false;
+        text.push(line);
+      }
+    });
+
+    const quote = body[0]?.match(/^> Replying to (?:\*\*(.+?)\*\*|a message)(?: \(\[message\]\(#msg-(\S+?)\)\))?:$/);
+    const deleted = segment.deleted || body[0] === '*This message was deleted.*';
+    const replyToId = segment.isReply && root ? root.id : null;
+
+    const record = {
+      id: segment.id,
+      threadId: replyToId || segment.id,
+      replyToId,
+      messageType: systemEvent ? 'systemEventMessage' : 'message',
+      createdDateTime,
+      deletedDateTime: deleted ? segment.timestamp : null,
+      sender: sender ? { id: null, name: sender[1], type: 'user' } : null,
+      text: deleted ? '' : systemEvent ? systemEvent[1] : text.join('\n').trim(),
+      quotedMessage: quote ? { id: quote[2] || null, senderName: quote[1] || null, text: '' } : null,
+      attachments,
+      reactions,
+    };
+
+    if (!segment.isReply) {
+      root = record;
+    }
+    records.push(record);
+  });
+
+  return records;
+}
+
+/**
+ * Merges new messages into an existing export. New posts go to the end of their
+ * section (which is created if needed) and new replies to the end of their
+ * thread, so the result reads as if the export had been generated in one go.
+ * With session grouping a post joins the last session unless the pause before
+ * it is longer than the gap; with thread grouping it joins the conversation of
+ * a message it quotes.
+ * Messages already in the export are skipped, and the file is left untouched
+ * when there is nothing to add, so repeating a run doesn't change it.
  * @param {string} outputPath - Output file path
  * @param {Array} newMessages - New messages to append
  * @param {Object} memberMap - Member name mapping
  * @param {boolean} includeMetadata - Include timestamps
- * @param {boolean} groupByDate - Group by date
+ * @param {Object} grouping - How the export is grouped
+ * @param {string} grouping.groupBy - 'date', 'session', 'thread' or 'none'
+ * @param {number} grouping.sessionGapMinutes - Longest pause within a session
+ * @param {Object} dates - Date formatter the export was written with (see createDateFormatter)
  * @returns {number} Number of messages appended
  */
-export function appendMessagesToExport(outputPath, newMessages, memberMap, includeMetadata, groupByDate) {
+export function appendMessagesToExport(outputPath, newMessages, memberMap, includeMetadata, grouping, dates = createDateFormatter()) {
+  const { groupBy = 'date', sessionGapMinutes = DEFAULT_SESSION_GAP_MINUTES } = grouping;
+
   if (newMessages.length === 0) {
     return 0;
   }
 
   const existingContent = fs.readFileSync(outputPath, 'utf8');
+  const segments = splitMessageBlocks(existingContent);
+  const existingIds = new Set(segments.filter((segment) => segment.id).map((segment) => segment.id));
+
+  // Exports written before message markers can't be merged into, only appended to
+  if (existingIds.size === 0) {
+    const newContent = generateMessages(newMessages, memberMap, includeMetadata, dates, { groupBy, sessionGapMinutes });
+    fs.writeFileSync(outputPath, `${updateExportHeader(existingContent, newMessages.length, dates, newMessages, memberMap)}\n${newContent}`, 'utf8');
+    return newMessages.length;
+  }
+
+  // Overlapping runs can fetch a message again
+  const seenIds = new Set(existingIds);
+  const messages = newMessages
+    .filter((msg) => {
+      if (seenIds.has(msg.id)) {
+        return false;
+      }
+      seenIds.add(msg.id);
+      return true;
+    })
+    .sort((a, b) => new Date(a.createdDateTime) - new Date(b.createdDateTime));
+
+  if (messages.length === 0) {
+    return 0;
+  }
+
+  buildThreads(messages).forEach((thread) => {
+    const { message } = thread;
+    const threadEnd = message.replyToId ? findThreadEnd(segments, message.replyToId) : -1;
+
+    // A new reply to an exported post joins the end of that thread
+    if (threadEnd !== -1) {
+      const headingIndex = findSectionHeadingIndex(segments, threadEnd);
+      const group = parseGroupMarker(segments[headingIndex]);
+      const showDate = group
+        ? dates.dayKey(message.createdDateTime) !== dates.dayKey(group.start)
+        : segments[headingIndex]?.lines[0] !== `## ${dates.date(message.createdDateTime)}`;
+      insertBlocks(segments, threadEnd, [formatMessageBlock(message, memberMap, includeMetadata, dates, true, showDate)]);
+      if (group) {
+        updateGroupHeading(segments, headingIndex, getThreadSpan(thread).end, dates);
+      }
+      return;
+    }
+
+    if (groupBy === 'session' || groupBy === 'thread') {
+      const headingIndex = groupBy === 'session'
+        ? findSessionHeading(segments, thread, sessionGapMinutes)
+        : findConversationHeading(segments, thread, memberMap);
+
+      if (headingIndex !== -1) {
+        const group = parseGroupMarker(segments[headingIndex]);
+        insertBlocks(
+          segments,
+          findSectionEndAt(segments, headingIndex),
+          formatThreadBlocks(thread, memberMap, includeMetadata, dates, group.start)
+        );
+        updateGroupHeading(segments, headingIndex, getThreadSpan(thread).end, dates);
+        return;
+      }
+
+      const span = getThreadSpan(thread);
+      const participants = getParticipants([message, ...thread.replies], memberMap);
+      appendSection(
+        segments,
+        formatGroupHeadingLines(span, participants, dates),
+        formatThreadBlocks(thread, memberMap, includeMetadata, dates, span.start)
+      );
+      return;
+    }
+
+    const blocks = formatThreadBlocks(thread, memberMap, includeMetadata, dates);
+    const heading = groupBy === 'date' ? `## ${dates.date(message.createdDateTime)}` : '## Chat Messages';
+    const sectionEnd = findSectionEnd(segments, heading);
+
+    if (sectionEnd !== -1) {
+      insertBlocks(segments, sectionEnd, blocks);
+      return;
+    }
+
+    appendSection(segments, [heading], blocks);
+  });
+
+  const content = segments.map((segment) => segment.lines.join('\n')).join('\n');
+  fs.writeFileSync(outputPath, updateExportHeader(content, messages.length, dates, messages, memberMap), 'utf8');
+  return messages.length;
+}
+
+/**
+ * Applies edits and deletions of already exported messages in place
+ * @param {string} outputPath - Output file path
+ * @param {Array} changedMessages - Messages edited or deleted since they were exported
+ * @param {Object} memberMap - Member name mapping
+ * @param {boolean} includeMetadata - Include timestamps
+ * @param {Object} options - Change options
+ * @param {string} options.deletedMode - 'mark' to keep a placeholder, 'remove' to drop the message
+ * @param {boolean} options.keepEditHistory - Keep previous versions under the message
+ * @param {Object} options.dates - Date formatter the export was written with (see createDateFormatter)
+ * @returns {Object} { edited, deleted, removed, missing } - removed counts the deleted messages
+ *   that were dropped rather than marked, missing the messages not found in the export
+ */
+export function applyMessageChanges(outputPath, changedMessages, memberMap, includeMetadata, options = {}) {
+  const { deletedMode = 'mark', keepEditHistory = false, dates = createDateFormatter() } = options;
+  const summary = { edited: 0, deleted: 0, removed: 0, missing: 0 };
+
+  if (changedMessages.length === 0) {
+    return summary;
+  }
+
+  const segments = splitMessageBlocks(fs.readFileSync(outputPath, 'utf8'));
+  const indexById = new Map();
+  segments.forEach((segment, index) => {
+    if (segment.id) {
+      indexById.set(segment.id, index);
+    }
+  });
+
+  changedMessages.forEach((msg) => {
+    const index = indexById.get(msg.id);
+    if (index === undefined) {
+      summary.missing++;
+      return;
+    }
+
+    const block = segments[index];
+    if (block.deleted) {
+      return;
+    }
+
+    if (msg.deletedDateTime) {
+      // A removed post would leave its replies nested under the previous one, so mark it instead
+      const hasReplies = !block.isReply && segments[index + 1]?.isReply;
+      if (deletedMode === 'remove' && !hasReplies) {
+        segments[index] = { ...block, removed: true };
+        summary.removed++;
+      } else {
+        segments[index] = rewriteMessageBlock(block, msg, memberMap, includeMetadata, dates, keepEditHistory);
+      }
+      summary.deleted++;
+      return;
+    }
+
+    if (new Date(msg.lastModifiedDateTime || msg.createdDateTime) > new Date(block.timestamp)) {
+      segments[index] = rewriteMessageBlock(block, msg, memberMap, includeMetadata, dates, keepEditHistory);
+      summary.edited++;
+    }
+  });
+
+  if (summary.edited === 0 && summary.deleted === 0) {
+    return summary;
+  }
+
+  // Drop headings whose messages were all removed
+  segments.forEach((segment, index) => {
+    if (segment.id || !segment.lines[0].startsWith('## ')) {
+      return;
+    }
+    const section = [];
+    for (let i = index + 1; i < segments.length && (segments[i].id || !segments[i].lines[0].startsWith('## ')); i++) {
+      section.push(segments[i]);
+    }
+    const messageBlocks = section.filter((s) => s.id);
+    if (messageBlocks.length > 0 && messageBlocks.every((s) => s.removed)) {
+      segment.removed = true;
+    }
+  });
+
+  const kept = [];
+  segments.forEach((segment) => {
+    if (!segment.removed) {
+      kept.push(segment);
+      return;
+    }
+    // The message before a removed one takes over its spacing (e.g. at the end of a section)
+    const previous = kept[kept.length - 1];
+    if (segment.id && previous?.id) {
+      const content = trimBlankLines(previous.lines);
+      previous.lines = [...content, ...segment.lines.slice(trimBlankLines(segment.lines).length)];
+    }
+  });
+
+  const content = kept.map((segment) => segment.lines.join('\n')).join('\n');
+
+  fs.writeFileSync(outputPath, updateExportHeader(content, -summary.removed, dates), 'utf8');
+  return summary;
+}
+
+/**
+ * Splits an export into segments: one per message (starting at its marker line)
+ * and one per heading or other text between them
+ */
+function splitMessageBlocks(content) {
+  const segments = [];
+  let current = null;
+  let fence = null;
+
+  content.split('\n').forEach((line) => {
+    // Code blocks in a message may contain anything, including lines that look like headings
+    if (fence) {
+      current.lines.push(line);
+      if (line.startsWith(fence) && /^([`~])\1*\s*$/.test(line)) {
+        fence = null;
+      }
+      return;
+    }
+
+    const marker = line.match(MESSAGE_MARKER_PATTERN);
+
+    if (marker) {
+      current = { id: marker[1], deleted: marker[2] === 'deleted', timestamp: marker[3], isReply: false, lines: [line] };
+      segments.push(current);
+    } else if (!current || line.startsWith('## ')) {
+      current = { id: null, lines: [line] };
+      segments.push(current);
+    } else {
+      if (current.id && current.lines.length === 1) {
+        current.isReply = line.startsWith('> ↳ ');
+      }
+      current.lines.push(line);
+      fence = current.id ? line.match(/^(`{3,}|~{3,})/)?.[1] || null : null;
+    }
+  });
 
-  // Update the header with new stats
-  let updatedContent = existingContent;
+  return segments;
+}
+
+/**
+ * Parses one formatted message block into a segment
+ */
+function toMessageSegment(block) {
+  return splitMessageBlocks(block)[0];
+}
+
+/**
+ * Removes the blank lines at the end of a segment
+ */
+function trimBlankLines(lines) {
+  let end = lines.length;
+  while (end > 1 && lines[end - 1] === '') {
+    end--;
+  }
+  return lines.slice(0, end);
+}
+
+/**
+ * Inserts formatted message blocks after a segment. The new blocks take over
+ * the blank lines that followed it, so section spacing stays the same.
+ */
+function insertBlocks(segments, index, blocks) {
+  const content = trimBlankLines(segments[index].lines);
+  const trailing = segments[index].lines.slice(content.length);
+
+  segments[index].lines = [...content, ''];
+  segments.splice(
+    index + 1,
+    0,
+    ...blocks.map((block, i) => {
+      const segment = toMessageSegment(block.trimEnd());
+      segment.lines.push(...(i === blocks.length - 1 ? trailing : ['']));
+      return segment;
+    })
+  );
+}
+
+/**
+ * Finds the last segment of the thread started by a message
+ * @returns {number} Segment index, or -1 if the message isn't in the export
+ */
+function findThreadEnd(segments, messageId) {
+  let index = segments.findIndex((segment) => segment.id === messageId);
+  if (index === -1) {
+    return -1;
+  }
+  while (segments[index + 1]?.isReply) {
+    index++;
+  }
+  return index;
+}
+
+/**
+ * Finds the last message segment under a heading (the last one, if it
+ * appears more than once, as in exports appended to by older versions)
+ * @returns {number} Segment index, or -1 if there is no such section
+ */
+function findSectionEnd(segments, heading) {
+  const start = segments.findLastIndex((segment) => !segment.id && segment.lines[0] === heading);
+  return start === -1 ? -1 : findSectionEndAt(segments, start);
+}
+
+/**
+ * Finds the last message segment of the section headed by a segment
+ * @returns {number} Segment index, or -1 if the section has no messages
+ */
+function findSectionEndAt(segments, headingIndex) {
+  let end = -1;
+  for (let i = headingIndex + 1; i < segments.length && !isHeadingSegment(segments[i]); i++) {
+    if (segments[i].id) {
+      end = i;
+    }
+  }
+  return end;
+}
+
+/**
+ * Returns the index of the heading of the section a segment is in
+ */
+function findSectionHeadingIndex(segments, index) {
+  for (let i = index; i >= 0; i--) {
+    if (isHeadingSegment(segments[i])) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function isHeadingSegment(segment) {
+  return !segment.id && segment.lines[0].startsWith('## ');
+}
+
+/**
+ * Reads the time span recorded under a session or conversation heading
+ * @returns {Object|null} { start, end } as Dates, or null for other headings
+ */
+function parseGroupMarker(segment) {
+  const match = segment?.lines[1]?.match(GROUP_MARKER_PATTERN);
+  return match ? { start: new Date(match[1]), end: new Date(match[2]) } : null;
+}
+
+/**
+ * Finds the session a new thread continues: the last one, unless activity
+ * paused for longer than the gap since it ended
+ * @returns {number} Index of the session's heading, or -1 to start a new one
+ */
+function findSessionHeading(segments, thread, gapMinutes) {
+  const headingIndex = segments.findLastIndex(isHeadingSegment);
+  const group = parseGroupMarker(segments[headingIndex]);
+  if (!group || getThreadSpan(thread).start - group.end > gapMinutes * 60 * 1000) {
+    return -1;
+  }
+  return headingIndex;
+}
+
+/**
+ * Finds the conversation a new thread belongs to: the one of an exported
+ * message it quotes
+ * @returns {number} Index of the conversation's heading, or -1 to start a new one
+ */
+function findConversationHeading(segments, thread, memberMap) {
+  for (const msg of [thread.message, ...thread.replies]) {
+    for (const quotedId of getQuotedMessageIds(msg, memberMap)) {
+      const index = segments.findIndex((segment) => segment.id === quotedId);
+      const headingIndex = index === -1 ? -1 : findSectionHeadingIndex(segments, index);
+      if (parseGroupMarker(segments[headingIndex])) {
+        return headingIndex;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * Rewrites a session or conversation heading after messages joined it: the
+ * span runs to the newest message and the participants are read from the
+ * section's message headers
+ */
+function updateGroupHeading(segments, headingIndex, lastMessageAt, dates) {
+  const group = parseGroupMarker(segments[headingIndex]);
+  const end = new Date(Math.max(group.end, lastMessageAt));
+
+  const names = new Set();
+  for (let i = headingIndex + 1; i < segments.length && !isHeadingSegment(segments[i]); i++) {
+    const sender = segments[i].id && !segments[i].deleted ? segments[i].lines[1]?.match(SENDER_PATTERN) : null;
+    if (sender) {
+      names.add(sender[1]);
+    }
+  }
+  const participants = [...names].sort((a, b) => a.localeCompare(b));
+
+  const heading = segments[headingIndex];
+  heading.lines = [...formatGroupHeadingLines({ start: group.start, end }, participants, dates), ...heading.lines.slice(2)];
+}
+
+/**
+ * Adds a section at the end of an export: new messages are newer than
+ * everything exported
+ */
+function appendSection(segments, headingLines, blocks) {
+  const last = segments[segments.length - 1];
+  if (last.id) {
+    last.lines = [...trimBlankLines(last.lines), '', ''];
+  }
+  segments.push({ id: null, lines: [...headingLines, ''] });
+  blocks.forEach((block, i) => {
+    segments.push(toMessageSegment(`${block.trimEnd()}${i === blocks.length - 1 ? '\n\n' : '\n'}`));
+  });
+}
+
+/**
+ * Re-renders an exported message from its current version, carrying over
+ * (and with keepEditHistory extending) its edit history
+ */
+function rewriteMessageBlock(block, msg, memberMap, includeMetadata, dates, keepEditHistory) {
+  const oldLines = block.lines.slice(1);
+  let trailingBlankLines = 0;
+  while (trailingBlankLines < oldLines.length && oldLines[oldLines.length - 1 - trailingBlankLines] === '') {
+    trailingBlankLines++;
+  }
+
+  // Back to the unquoted message text: header, body, then any edit history
+  const unquoted = oldLines
+    .slice(0, oldLines.length - trailingBlankLines)
+    .map((line) => (block.isReply ? line.replace(/^> ↳ /, '').replace(/^> ?/, '') : line));
+  const historyStart = unquoted.findIndex((line) => EDIT_HISTORY_PATTERN.test(line));
+  const oldBody = unquoted.slice(1, historyStart === -1 ? undefined : historyStart).join('\n').trim();
+  const oldHistory = historyStart === -1 ? [] : unquoted.slice(historyStart);
+
+  // A header shows its full date when it fell on a later day than its post or section
+  const showDate = (unquoted[0] || '').includes(dates.dateTime(msg.createdDateTime));
+  let text = formatMessage(msg, memberMap, includeMetadata, dates, showDate).trimEnd();
+  const newBody = text.split('\n').slice(1).join('\n').trim();
+
+  const history = [];
+  if (keepEditHistory && oldBody && oldBody !== newBody) {
+    const changedAt = new Date(msg.deletedDateTime || msg.lastEditedDateTime || msg.lastModifiedDateTime);
+    history.push(`*Before ${msg.deletedDateTime ? 'deletion' : 'edit'} on ${dates.dateTime(changedAt)}:*`);
+    history.push(...oldBody.split('\n').map((line) => (line ? `> ${line}` : '>')));
+    history.push('');
+  }
+  history.push(...oldHistory);
+
+  if (history.length > 0) {
+    text += `\n\n${history.join('\n').trimEnd()}`;
+  }
+
+  const rendered = block.isReply ? formatReply(text).trimEnd() : text;
+
+  return {
+    ...block,
+    deleted: !!msg.deletedDateTime,
+    lines: [formatMarker(msg), ...rendered.split('\n'), ...new Array(trailingBlankLines).fill('')],
+  };
+}
+
+/**
+ * Updates the message count, participants, date range and last run time in
+ * an export's front matter (or the Total Messages and Last Run lines of older
+ * exports' headers)
+ * @param {string} content - Export content
+ * @param {number} countChange - Change in the number of messages
+ * @param {Object} dates - Date formatter for the local Last Run time
+ * @param {Array} addedMessages - Messages added to the export
+ * @param {Object} memberMap - Member name mapping, for the added messages' senders
+ * @returns {string} Updated content
+ */
+function updateExportHeader(content, countChange, dates, addedMessages = [], memberMap = {}) {
+  if (parseFrontMatter(content)) {
+    return updateFrontMatter(content, (fields) => {
+      const participants = new Set([...(fields.participants || []), ...getParticipants(addedMessages, memberMap)]);
+      const range = getDateRange(addedMessages);
+
+      return {
+        ...fields,
+        participants: [...participants].sort((a, b) => a.localeCompare(b)),
+        message_count: Math.max((fields.message_count || 0) + countChange, 0),
+        date_start: [fields.date_start, range.start].filter(Boolean).sort()[0] || null,
+        date_end: [fields.date_end, range.end].filter(Boolean).sort().pop() || null,
+        last_run: new Date().toISOString(),
+      };
+    });
+  }
+
+  let updatedContent = content;
 
   // Update Total Messages count
-  const totalMessagesMatch = existingContent.match(/\*\*Total Messages:\*\*\s+(\d+)/);
+  const totalMessagesMatch = content.match(/\*\*Total Messages:\*\*\s+(\d+)/);
   if (totalMessagesMatch) {
-    const oldCount = parseInt(totalMessagesMatch[1]);
-    const newCount = oldCount + newMessages.length;
+    const newCount = Math.max(parseInt(totalMessagesMatch[1]) + countChange, 0);
     updatedContent = updatedContent.replace(
       /\*\*Total Messages:\*\*\s+\d+/,
       `**Total Messages:** ${newCount}`
@@ -321,34 +1291,25 @@ export function appendMessagesToExport(outputPath, newMessages, memberMap, inclu
   );
   updatedContent = updatedContent.replace(
     /\*\*Last Run \(Local\):\*\*\s+.+/,
-    `**Last Run (Local):** ${now.toLocaleString()}`
+    `**Last Run (Local):** ${dates.dateTime(now)}`
   );
 
-  // Generate new message content
-  let newContent = '';
-  if (groupByDate) {
-    newContent = generateGroupedByDate(newMessages, memberMap, includeMetadata);
-  } else {
-    newContent = generateSequential(newMessages, memberMap, includeMetadata);
-  }
-
-  // Append new messages
-  updatedContent += '\n' + newContent;
-
-  fs.writeFileSync(outputPath, updatedContent, 'utf8');
-  return newMessages.length;
+  return updatedContent;
 }
 
 /**
- * Generates statistics about the chat
+ * Generates statistics about the chat. Senders are counted by ID, so people
+ * who share a display name are counted apart (and named with their ID); the
+ * participants are the people and apps that sent any of the messages.
  * @param {Array} messages - Array of messages
- * @param {Array} members - Array of members
+ * @param {Array} members - Array of members (names senders whose messages carry only an ID)
+ * @param {Object} dates - Date formatter (messagesPerDay is keyed by ISO day in its time zone)
  * @returns {Object} Statistics object
  */
-export function generateStatistics(messages, members) {
+export function generateStatistics(messages, members, dates = createDateFormatter()) {
   const stats = {
     totalMessages: messages.length,
-    totalParticipants: members.length,
+    totalParticipants: 0,
     dateRange: {
       start: null,
       end: null,
@@ -361,19 +1322,41 @@ export function generateStatistics(messages, members) {
     return stats;
   }
 
+  const memberMap = {};
+  members.forEach((member) => {
+    if (member.userId) {
+      memberMap[member.userId] = member.displayName || 'Unknown User';
+    }
+  });
+
   // Date range
   stats.dateRange.start = new Date(messages[0].createdDateTime);
   stats.dateRange.end = new Date(messages[messages.length - 1].createdDateTime);
 
-  // Count messages by user and by day
+  // Count messages by sender and by day (system events have no author)
+  const senders = new Map();
   messages.forEach((msg) => {
-    const userName = msg.from?.user?.displayName || 'Unknown';
-    const date = new Date(msg.createdDateTime).toLocaleDateString();
-
-    stats.messagesByUser[userName] = (stats.messagesByUser[userName] || 0) + 1;
+    const date = dates.dayKey(msg.createdDateTime);
+
+    if (!isSystemEventMessage(msg)) {
+      const name = getSenderName(msg, memberMap);
+      const key = msg.from?.user?.id || msg.from?.application?.id || name;
+      const sender = senders.get(key) || { name, count: 0 };
+      sender.count += 1;
+      senders.set(key, sender);
+    }
     stats.messagesPerDay[date] = (stats.messagesPerDay[date] || 0) + 1;
   });
 
+  const nameCounts = {};
+  senders.forEach(({ name }) => {
+    nameCounts[name] = (nameCounts[name] || 0) + 1;
+  });
+  senders.forEach(({ name, count }, key) => {
+    stats.messagesByUser[nameCounts[name] > 1 && key !== name ? `${name} (${key})` : name] = count;
+  });
+  stats.totalParticipants = senders.size;
+
   return stats;
 }
 
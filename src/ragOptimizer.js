@@ -1,6 +1,8 @@
 import fs from 'fs';
 import path from 'path';
 import axios from 'axios';
+import { stripMessageMarkers } from './ragGenerator.js';
+import { formatFrontMatter, parseFrontMatter } from './frontMatter.js';
 
 /**
  * RAG Optimizer - Uses Claude AI to transform Teams chat exports into RAG-optimized documents
@@ -10,6 +12,9 @@ const CLAUDE_API_ENDPOINT = 'https://api.anthropic.com/v1/messages';
 const DEFAULT_MODEL = 'claude-3-5-sonnet-20241022';
 const MAX_CHUNK_SIZE = 100000; // Characters per chunk to send to Claude
 
+// Front matter fields with names in them; the others hold IDs, counts and timestamps
+const FRONT_MATTER_TEXT_FIELDS = ['topic', 'chat_type', 'participants', 'filters'];
+
 /**
  * Main function to optimize a Teams export for RAG
  * @param {string} inputPath - Path to the Teams export markdown file
@@ -27,6 +32,7 @@ export async function optimizeForRAG(inputPath, outputDir, options = {}) {
     includeDecisions = true,
     includeActionItems = true,
     includeSummary = true,
+    redactor = null, // Redactor from redaction.js, for --redact
   } = options;
 
   if (!apiKey) {
@@ -37,8 +43,13 @@ export async function optimizeForRAG(inputPath, outputDir, options = {}) {
     throw new Error(`Input file not found: ${inputPath}`);
   }
 
-  // Read the input file
-  const content = fs.readFileSync(inputPath, 'utf8');
+  // Read the input file (message markers only matter to incremental exports)
+  // and, when redacting, mask it before any of it is sent to Claude
+  const raw = stripMessageMarkers(fs.readFileSync(inputPath, 'utf8'));
+  const content = redactor ? redactExport(raw, redactor) : raw;
+
+  // Outputs are masked again, in case Claude brings something back
+  const save = (filePath, text) => saveFile(filePath, redactor ? redactor.redactText(text) : text);
 
   // Extract metadata from the file
   const metadata = extractMetadata(content);
@@ -72,34 +83,34 @@ export async function optimizeForRAG(inputPath, outputDir, options = {}) {
   if (includeSummary) {
     const summary = await generateSummary(processedChunks, metadata, apiKey, model);
     outputFiles.summary = path.join(outputDir, `${metadata.fileBaseName}_summary.md`);
-    saveFile(outputFiles.summary, summary);
+    save(outputFiles.summary, summary);
   }
 
   if (outputFormat === 'structured') {
     // Create structured output with separate sections
     const structured = generateStructuredOutput(processedChunks, metadata);
     outputFiles.main = path.join(outputDir, `${metadata.fileBaseName}_rag_structured.md`);
-    saveFile(outputFiles.main, structured.main);
+    save(outputFiles.main, structured.main);
 
     if (includeTopics && structured.topics) {
       outputFiles.topics = path.join(outputDir, `${metadata.fileBaseName}_topics.md`);
-      saveFile(outputFiles.topics, structured.topics);
+      save(outputFiles.topics, structured.topics);
     }
 
     if (includeDecisions && structured.decisions) {
       outputFiles.decisions = path.join(outputDir, `${metadata.fileBaseName}_decisions.md`);
-      saveFile(outputFiles.decisions, structured.decisions);
+      save(outputFiles.decisions, structured.decisions);
     }
 
     if (includeActionItems && structured.actionItems) {
       outputFiles.actionItems = path.join(outputDir, `${metadata.fileBaseName}_action_items.md`);
-      saveFile(outputFiles.actionItems, structured.actionItems);
+      save(outputFiles.actionItems, structured.actionItems);
     }
   } else {
     // Create semantic chunks for RAG embedding
     const semantic = generateSemanticChunks(processedChunks, metadata);
     outputFiles.main = path.join(outputDir, `${metadata.fileBaseName}_rag_semantic.jsonl`);
-    saveFile(outputFiles.main, semantic);
+    save(outputFiles.main, semantic);
   }
 
   return {
@@ -110,11 +121,33 @@ export async function optimizeForRAG(inputPath, outputDir, options = {}) {
   };
 }
 
+/**
+ * Masks an export for --redact, leaving the source IDs, counts and timestamps
+ * of its front matter as they are
+ */
+function redactExport(content, redactor) {
+  const frontMatter = parseFrontMatter(content);
+  if (!frontMatter) {
+    return redactor.redactText(content);
+  }
+
+  const redactValue = (value) => (typeof value === 'string' ? redactor.redactText(value) : value);
+  const fields = Object.fromEntries(
+    Object.entries(frontMatter.fields).map(([key, value]) => {
+      if (!FRONT_MATTER_TEXT_FIELDS.includes(key)) {
+        return [key, value];
+      }
+      return [key, Array.isArray(value) ? value.map(redactValue) : redactValue(value)];
+    })
+  );
+
+  return `${formatFrontMatter(fields)}\n${redactor.redactText(content.slice(frontMatter.length))}`;
+}
+
 /**
  * Extract metadata from the Teams export file
  */
 function extractMetadata(content) {
-  const lines = content.split('\n');
   const metadata = {
     topic: null,
     chatType: null,
@@ -125,26 +158,40 @@ function extractMetadata(content) {
     fileBaseName: 'chat',
   };
 
-  for (const line of lines) {
-    const topicMatch = line.match(/\*\*Topic:\*\*\s+(.+)/);
-    if (topicMatch) metadata.topic = topicMatch[1].trim();
+  const frontMatter = parseFrontMatter(content);
+  if (frontMatter) {
+    const { fields } = frontMatter;
+    metadata.topic = fields.topic || null;
+    metadata.chatType = fields.chat_type || null;
+    metadata.source = fields.source === 'channel'
+      ? `Channel (Team: ${fields.team_id}, Channel: ${fields.channel_id})`
+      : `Chat (${fields.chat_id})`;
+    metadata.totalMessages = fields.message_count || 0;
+    metadata.created = fields.created || null;
+    metadata.lastRun = fields.last_run || null;
+  } else {
+    // Exports from before front matter have a header of bold lines
+    for (const line of content.split('\n')) {
+      const topicMatch = line.match(/\*\*Topic:\*\*\s+(.+)/);
+      if (topicMatch) metadata.topic = topicMatch[1].trim();
 
-    const chatTypeMatch = line.match(/\*\*Chat Type:\*\*\s+(.+)/);
-    if (chatTypeMatch) metadata.chatType = chatTypeMatch[1].trim();
+      const chatTypeMatch = line.match(/\*\*Chat Type:\*\*\s+(.+)/);
+      if (chatTypeMatch) metadata.chatType = chatTypeMatch[1].trim();
 
-    const sourceMatch = line.match(/\*\*Source:\*\*\s+(.+)/);
-    if (sourceMatch) metadata.source = sourceMatch[1].trim();
+      const sourceMatch = line.match(/\*\*Source:\*\*\s+(.+)/);
+      if (sourceMatch) metadata.source = sourceMatch[1].trim();
 
-    const messagesMatch = line.match(/\*\*Total Messages:\*\*\s+(\d+)/);
-    if (messagesMatch) metadata.totalMessages = parseInt(messagesMatch[1]);
+      const messagesMatch = line.match(/\*\*Total Messages:\*\*\s+(\d+)/);
+      if (messagesMatch) metadata.totalMessages = parseInt(messagesMatch[1]);
 
-    const createdMatch = line.match(/\*\*Created:\*\*\s+(.+)/);
-    if (createdMatch) metadata.created = createdMatch[1].trim();
+      const createdMatch = line.match(/\*\*Created:\*\*\s+(.+)/);
+      if (createdMatch) metadata.created = createdMatch[1].trim();
 
-    const lastRunMatch = line.match(/\*\*Last Run:\*\*\s+(.+)/);
-    if (lastRunMatch) metadata.lastRun = lastRunMatch[1].trim();
+      const lastRunMatch = line.match(/\*\*Last Run:\*\*\s+(.+)/);
+      if (lastRunMatch) metadata.lastRun = lastRunMatch[1].trim();
 
-    if (line.trim() === '---') break;
+      if (line.trim() === '---') break;
+    }
   }
 
   if (metadata.topic) {
@@ -161,8 +208,10 @@ function extractMetadata(content) {
  * Split content into manageable chunks for Claude processing
  */
 function splitIntoChunks(content, maxChunkSize) {
-  // Split by date sections to maintain context
-  const dateSectionRegex = /^## \d+\/\d+\/\d+$/gm;
+  // Split by date sections to maintain context: ISO (2025-10-03) or locale
+  // headings from --date-format and older exports (10/3/2025, 3.10.2025, ...),
+  // or session and conversation headings, which start with a date and time
+  const dateSectionRegex = /^## \d{1,4}[-/.] ?\d{1,2}[-/.] ?\d{1,4}\.?(?:[ ,].*)?$/gm;
   const sections = [];
   let currentPos = 0;
   let match;
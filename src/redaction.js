@@ -0,0 +1,512 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Redaction of personal data before exports are written (--redact).
+ *
+ * People are pseudonymized consistently: every user gets a pseudonym such as
+ * "Person-07", kept in a private mapping file so the same person has the same
+ * pseudonym in every export and run. Their names are replaced wherever they
+ * appear: sender and mention names, member lists, system events and message
+ * text. Text is also masked with rules:
+ *
+ * - built in: email addresses, credit card numbers (Luhn-checked) and phone numbers
+ * - configured in a rules file (--redaction-rules), regex and dictionary rules:
+ *
+ * {
+ *   "builtins": ["email", "card", "phone"],
+ *   "rules": [
+ *     { "name": "employee-id", "pattern": "EMP-\\d{6}", "replacement": "[EMPLOYEE-ID]" },
+ *     { "name": "codename", "terms": ["Falcon", "Osprey"], "replacement": "[PROJECT]" }
+ *   ]
+ * }
+ *
+ * IDs, types and timestamps are left as they are, so incremental runs keep
+ * working. Of URLs only the scheme, host and the Graph and Teams IDs in them
+ * are kept: names and email addresses in their paths and queries are masked,
+ * including the account a OneDrive or SharePoint personal site is named after
+ * (/personal/john_doe_contoso_com/). In message HTML, tags keep their markup
+ * and IDs; their alt and title text is masked, and their href and src like
+ * any other URL.
+ */
+
+const MAP_VERSION = 1;
+
+const BUILTIN_RULES = {
+  email: {
+    regex: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g,
+    replacement: '[EMAIL]',
+    validate: (match) => !TEAMS_THREAD_ID_DOMAIN_PATTERN.test(match.slice(match.lastIndexOf('@') + 1)),
+  },
+  // Digit groups that aren't part of a word, path or query (message IDs in links)
+  card: {
+    regex: /(?<![\w/=:.#&?+-])(?:\d[ -]?){12,18}\d(?![\w/=:&?#-])/g,
+    replacement: '[CARD]',
+    validate: (match) => passesLuhnCheck(match.replace(/\D/g, '')),
+  },
+  phone: {
+    regex: /(?<![\w/=:.#&?+-])(?:\+|\(\+?)?\d[\d ().-]{6,}\d(?![\w/=:&?#-])/g,
+    replacement: '[PHONE]',
+    validate: isPhoneNumber,
+  },
+};
+
+export const BUILTIN_RULE_NAMES = Object.keys(BUILTIN_RULES);
+
+// How redaction reports name what was replaced, by rule
+export const REDACTION_LABELS = {
+  pseudonym: 'Sender and member names',
+  person: 'Names in text',
+  email: 'Email addresses',
+  phone: 'Phone numbers',
+  card: 'Card numbers',
+};
+
+// Teams chat and channel IDs look like addresses: 19:...@thread.tacv2, 19:...@unq.gbl.spaces
+const TEAMS_THREAD_ID_DOMAIN_PATTERN = /^(?:thread\.[a-z0-9]+|unq\.gbl\.spaces)$/i;
+
+// Tags and URLs in text, which are masked in parts (see maskTag and maskUrl)
+const PROTECTED_TEXT_PATTERN = /<\/?[a-z][\w:-]*(?:\s[^<>]*)?\/?>|\b(?:https?:\/\/|mailto:)[^\s<>"]+/gi;
+
+// Keys whose values are identifiers, types or times rather than text
+const SKIPPED_KEY_PATTERN = /^(?:id|.*Id|@odata\..*|.*Type|.*DateTime|etag)$/;
+
+// Keys whose values are URLs
+const URL_KEY_PATTERN = /Url$/;
+
+// A URL's scheme and host, kept as they are, and the path, query and fragment after them
+const URL_PARTS_PATTERN = /^([a-z][\w+.-]*:(?:\/\/[^/?#]*)?)(.*)$/is;
+
+// Path segments and query values that are IDs: GUIDs, numbers, Teams IDs
+// (19:...@thread.tacv2, 8:orgid:...), drive IDs (b!...) and base64 IDs
+const URL_ID_PATTERN = /^(?:[0-9a-f]{8}(?:-[0-9a-f]{4}){3}-[0-9a-f]{12}|\d+|\d+:\S+|b!\S+|(?=\S*\d)[A-Za-z0-9+]{16,}={0,2})$/i;
+
+/**
+ * Returns the default location of the pseudonym mapping file
+ * @returns {string} File path (PSEUDONYM_MAP_PATH or ~/.teams-to-rag/pseudonyms.json)
+ */
+export function getPseudonymMapPath() {
+  return process.env.PSEUDONYM_MAP_PATH || path.join(os.homedir(), '.teams-to-rag', 'pseudonyms.json');
+}
+
+/**
+ * Reads redaction rules from a JSON file
+ * @param {string|null} filePath - Rules file, or null for the built-in rules only
+ * @returns {Array} Compiled rules as { name, regex, replacement, validate }
+ * @throws {Error} If the file can't be read or a rule is invalid
+ */
+export function loadRedactionRules(filePath) {
+  let config = {};
+
+  if (filePath) {
+    try {
+      config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read redaction rules from ${filePath}: ${error.message}`);
+    }
+  }
+
+  const builtins = config.builtins || BUILTIN_RULE_NAMES;
+  const unknown = builtins.filter((name) => !BUILTIN_RULES[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown built-in redaction rule: ${unknown.join(', ')} (use ${BUILTIN_RULE_NAMES.join(', ')})`);
+  }
+
+  const custom = (config.rules || []).map((rule, index) => compileRule(rule, index));
+
+  // Custom rules first, so they can mask something more specific than a built-in would
+  return [...custom, ...builtins.map((name) => ({ name, ...BUILTIN_RULES[name] }))];
+}
+
+/**
+ * Creates a redactor for one run
+ * @param {Object} options - Redaction options
+ * @param {Array} options.rules - Rules from loadRedactionRules
+ * @param {string} options.mapPath - Pseudonym mapping file (created if missing)
+ * @returns {Object} { redact, addPeople, redactText, saveMap, getReport }
+ * @throws {Error} If the mapping file can't be read
+ */
+export function createRedactor({ rules = loadRedactionRules(null), mapPath = getPseudonymMapPath() } = {}) {
+  const map = loadPseudonymMap(mapPath);
+  const counts = {};
+  const newPeople = new Set();
+  let namePattern = null;
+  let changed = false;
+
+  let counting = true;
+
+  const count = (name, n = 1) => {
+    if (counting) {
+      counts[name] = (counts[name] || 0) + n;
+    }
+  };
+
+  /**
+   * Returns the pseudonym of a person, assigning the next free one to newcomers
+   */
+  const pseudonymize = (key, name) => {
+    // People seen without an ID (only by name) are matched up by name
+    let entry = map.people[key] || map.people[`name:${name}`] ||
+      (key.startsWith('name:') ? Object.values(map.people).find((person) => person.name === name) : null);
+
+    if (!entry) {
+      const next = new Set(Object.values(map.people).map((person) => person.pseudonym)).size + 1;
+      entry = { name, pseudonym: `Person-${String(next).padStart(2, '0')}` };
+      newPeople.add(entry.pseudonym);
+    }
+    if (map.people[key] !== entry) {
+      map.people[key] = { ...entry };
+      namePattern = null;
+      changed = true;
+    }
+    return entry.pseudonym;
+  };
+
+  /**
+   * Replaces the names of known people in text: full names, and name parts
+   * on their own (a part shared by several people becomes [PERSON])
+   */
+  const replaceNames = (text) => {
+    if (!namePattern) {
+      namePattern = buildNamePattern(map);
+    }
+    if (!namePattern) {
+      return text;
+    }
+
+    return text.replace(namePattern.regex, (match) => {
+      count('person');
+      return namePattern.replacements.get(match);
+    });
+  };
+
+  const maskText = (text) => {
+    let result = replaceNames(text);
+
+    rules.forEach((rule) => {
+      result = result.replace(rule.regex, (match) => {
+        if (rule.validate && !rule.validate(match)) {
+          return match;
+        }
+        count(rule.name);
+        return rule.replacement;
+      });
+    });
+
+    return result;
+  };
+
+  /**
+   * Masks names and email addresses in the path, query and fragment of a URL.
+   * Each segment and query value is masked decoded, and encoded again only
+   * if it changed; the segment after /personal/ is the site owner's account.
+   */
+  const maskUrl = (url) => {
+    const parts = url.match(URL_PARTS_PATTERN);
+    if (!parts) {
+      return url;
+    }
+
+    const emailRule = rules.find((rule) => rule.name === 'email');
+    const tokens = parts[2].split(/([/?#&=;])/);
+    let inQuery = false;
+
+    const masked = tokens.map((token, index) => {
+      if (/^[/?#&=;]$/.test(token) || token === '') {
+        inQuery = inQuery || token === '?';
+        return token;
+      }
+
+      const decoded = decodeUrlComponent(inQuery ? token.replace(/\+/g, ' ') : token);
+      if (URL_ID_PATTERN.test(decoded)) {
+        return token;
+      }
+      if (!inQuery && index >= 2 && tokens[index - 2].toLowerCase() === 'personal') {
+        count('email');
+        return '[EMAIL]';
+      }
+
+      let result = replaceNames(decoded);
+      if (emailRule) {
+        result = result.replace(emailRule.regex, (match) => {
+          if (emailRule.validate && !emailRule.validate(match)) {
+            return match;
+          }
+          count('email');
+          return emailRule.replacement;
+        });
+      }
+      return result === decoded ? token : result.replace(/[%\s/?#&=;"<>]/g, encodeURIComponent);
+    });
+
+    return parts[1] + masked.join('');
+  };
+
+  // Masks the text between tags and URLs, and the text attributes and URLs of tags
+  const redactText = (text) => {
+    let result = '';
+    let last = 0;
+
+    for (const match of text.matchAll(PROTECTED_TEXT_PATTERN)) {
+      result += maskText(text.slice(last, match.index));
+      result += match[0].startsWith('<') ? maskTag(match[0], redactText, maskUrl) : maskUrl(match[0]);
+      last = match.index + match[0].length;
+    }
+
+    return result + maskText(text.slice(last));
+  };
+
+  /**
+   * Masks the image URLs that key downloaded assets the same way as the src
+   * in the message body, so they still match; these masks aren't counted again
+   */
+  const redactAssetKeys = (localAssets) => {
+    counting = false;
+    const result = Object.fromEntries(Object.entries(localAssets).map(([key, file]) => [maskUrl(key), file]));
+    counting = true;
+    return result;
+  };
+
+  /**
+   * Pseudonymizes the people in a value first, so their names are known
+   * when its text is masked
+   */
+  const collectPeople = (value, parentKey = null) => {
+    if (Array.isArray(value)) {
+      value.forEach((item) => collectPeople(item, parentKey));
+    } else if (value && typeof value === 'object') {
+      const identity = getIdentity(value, parentKey);
+      if (identity) {
+        pseudonymize(identity.key, identity.name);
+      }
+      Object.entries(value).forEach(([key, item]) => collectPeople(item, key));
+    }
+  };
+
+  const redactValue = (value, parentKey = null) => {
+    if (typeof value === 'string') {
+      return redactText(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => redactValue(item, parentKey));
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    const identity = getIdentity(value, parentKey);
+    const result = {};
+
+    Object.entries(value).forEach(([key, item]) => {
+      if (identity && key === 'displayName') {
+        result[key] = pseudonymize(identity.key, identity.name);
+        count('pseudonym');
+      } else if (key === 'localAssets' && item) {
+        result[key] = redactAssetKeys(item);
+      } else if (URL_KEY_PATTERN.test(key) && typeof item === 'string') {
+        result[key] = maskUrl(item);
+      } else {
+        result[key] = SKIPPED_KEY_PATTERN.test(key) ? item : redactValue(item, key);
+      }
+    });
+
+    return result;
+  };
+
+  return {
+    /**
+     * Returns a redacted copy of metadata, members, messages or text
+     */
+    redact(value) {
+      collectPeople(value);
+      return redactValue(value);
+    },
+
+    /**
+     * Gives the people in a value their pseudonyms without redacting it, so
+     * their names are masked in text redacted later
+     */
+    addPeople(value) {
+      collectPeople(value);
+    },
+
+    redactText,
+
+    /**
+     * Saves the pseudonym mapping if people were added (owner-only access)
+     */
+    saveMap() {
+      if (!changed) {
+        return;
+      }
+      fs.mkdirSync(path.dirname(mapPath), { recursive: true, mode: 0o700 });
+      fs.writeFileSync(mapPath, JSON.stringify(map, null, 2), { encoding: 'utf8', mode: 0o600 });
+      changed = false;
+    },
+
+    /**
+     * Reports what was masked so far: replacements by rule ('person' for
+     * names in text, 'pseudonym' for sender and member names) and the number
+     * of people new to the mapping
+     * @returns {Object} { counts, newPeople, mapPath }
+     */
+    getReport() {
+      return { counts: { ...counts }, newPeople: newPeople.size, mapPath };
+    },
+  };
+}
+
+/**
+ * Reads the pseudonym mapping: { version, people: { <user ID>: { name, pseudonym } } }
+ */
+function loadPseudonymMap(mapPath) {
+  if (!fs.existsSync(mapPath)) {
+    return { version: MAP_VERSION, people: {} };
+  }
+
+  try {
+    const map = JSON.parse(fs.readFileSync(mapPath, 'utf8'));
+    return { version: MAP_VERSION, people: map.people || {} };
+  } catch (error) {
+    throw new Error(`Failed to read the pseudonym mapping ${mapPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Recognises a person in Graph data: user identities ({ id, displayName }
+ * under `user`, or with a userIdentityType) and members ({ userId, displayName })
+ * @returns {Object|null} { key, name }
+ */
+function getIdentity(value, parentKey) {
+  if (typeof value.displayName !== 'string' || !value.displayName) {
+    return null;
+  }
+  if (parentKey !== 'user' && !value.userIdentityType && !value.userId) {
+    return null;
+  }
+
+  const id = value.userId || value.id;
+  return { key: id || `name:${value.displayName}`, name: value.displayName };
+}
+
+/**
+ * Masks the alt and title text and the href and src URLs of an HTML tag; its
+ * other attributes are IDs and markup
+ */
+function maskTag(tag, mask, maskUrl) {
+  return tag.replace(/(\s(alt|title|href|src)=)(?:"([^"]*)"|'([^']*)')/gi, (match, prefix, name, double, single) => {
+    const maskValue = /^(?:href|src)$/i.test(name) ? maskUrl : mask;
+    return double !== undefined ? `${prefix}"${maskValue(double)}"` : `${prefix}'${maskValue(single)}'`;
+  });
+}
+
+/**
+ * Decodes a percent-encoded URL component, or returns it as it is if it isn't validly encoded
+ */
+function decodeUrlComponent(component) {
+  try {
+    return decodeURIComponent(component);
+  } catch {
+    return component;
+  }
+}
+
+/**
+ * Builds one pattern for every known name, longest first, with the text each
+ * match is replaced with
+ */
+function buildNamePattern(map) {
+  const replacements = new Map();
+  const partOwners = new Map();
+
+  Object.values(map.people).forEach(({ name, pseudonym }) => {
+    replacements.set(name, pseudonym);
+
+    // Parts like the first name, leaving out suffixes such as "(Contoso)"
+    name.replace(/\([^)]*\)/g, ' ').split(/[\s,]+/).forEach((part) => {
+      if (part.length >= 3 && /^\p{Lu}/u.test(part) && part !== name) {
+        (partOwners.get(part) || partOwners.set(part, new Set()).get(part)).add(pseudonym);
+      }
+    });
+  });
+
+  partOwners.forEach((owners, part) => {
+    if (!replacements.has(part)) {
+      replacements.set(part, owners.size === 1 ? [...owners][0] : '[PERSON]');
+    }
+  });
+
+  if (replacements.size === 0) {
+    return null;
+  }
+
+  const alternatives = [...replacements.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map((name) => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+  return {
+    regex: new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'gu'),
+    replacements,
+  };
+}
+
+/**
+ * Compiles a custom rule: a regex (`pattern`, optional `flags`) or a list of `terms`
+ */
+function compileRule(rule, index) {
+  const name = rule.name || `rule-${index + 1}`;
+  const replacement = rule.replacement ?? '[REDACTED]';
+
+  if (rule.pattern) {
+    try {
+      const flags = rule.flags ?? 'g';
+      return { name, regex: new RegExp(rule.pattern, flags.includes('g') ? flags : `${flags}g`), replacement };
+    } catch (error) {
+      throw new Error(`Invalid redaction rule "${name}": ${error.message}`);
+    }
+  }
+
+  if (Array.isArray(rule.terms) && rule.terms.length > 0) {
+    const terms = rule.terms.map((term) => String(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const flags = rule.caseSensitive ? 'gu' : 'giu';
+    return { name, regex: new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.join('|')})(?![\\p{L}\\p{N}])`, flags), replacement };
+  }
+
+  throw new Error(`Invalid redaction rule "${name}": it needs a pattern or a list of terms`);
+}
+
+/**
+ * Checks a card number with the Luhn algorithm
+ */
+function passesLuhnCheck(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return digits.length >= 13 && sum % 10 === 0;
+}
+
+/**
+ * Tells phone numbers from other digit runs: 8 to 15 digits, and not a date,
+ * an IP address or a version number (four or more dotted groups, like
+ * 10.0.19045.3803); a run without a + or separators longer than 12 digits is
+ * more likely an ID
+ */
+function isPhoneNumber(match) {
+  const digits = match.replace(/\D/g, '');
+  if (digits.length < 8 || digits.length > 15) {
+    return false;
+  }
+  if (/^(?:\d{4}[-./]\d{1,2}[-./]\d{1,2}|\d{1,2}[-./]\d{1,2}[-./]\d{4}|\d+(?:\.\d+){3,})$/.test(match.trim())) {
+    return false;
+  }
+  return match.includes('+') || /[\s().-]/.test(match) || digits.length <= 12;
+}
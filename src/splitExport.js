@@ -0,0 +1,292 @@
+import fs from 'fs';
+import path from 'path';
+import { formatFrontMatter } from './frontMatter.js';
+import { getFormatExtension, getRecordsPath, hasExportRecords, readExportRecords } from './exportFormats.js';
+import { computeExportChecksum } from './syncState.js';
+import { getParticipants, readMessageIds } from './ragGenerator.js';
+import { describeFilters } from './messageFilters.js';
+
+/**
+ * Exports split into one file per day, week or month (--split-by), in a
+ * directory with an index document that links the periods:
+ *
+ * output/chat-Project-Planning/
+ *   index.md         # period list with message counts and participants
+ *   2025-09.md       # a complete export of the period's messages
+ *   2025-10.md
+ *
+ * Every post goes into the period it was posted in, and its replies go with
+ * it, so a thread is never split across files. New posts land in the newest
+ * period's file, but a new reply to an older post is added to that post's
+ * period. Periods are named by ISO day (2025-10-03), ISO week (2025-W40) or
+ * month (2025-10), in the export's time zone. The sync state next to the
+ * index records each period's file, message count, participants, date range
+ * and checksum:
+ *
+ * "periods": {
+ *   "2025-10": { "file": "2025-10.md", "messageCount": 42, "participants": ["Alice"],
+ *                "start": "...", "end": "...", "checksum": "..." }
+ * }
+ */
+
+export const SPLIT_PERIODS = ['day', 'week', 'month'];
+
+export const SPLIT_INDEX_FILENAME = 'index.md';
+
+/**
+ * Returns the period a message falls into
+ * @param {string|Date} dateTime - When the message was sent
+ * @param {string} splitBy - 'day', 'week' or 'month'
+ * @param {Object} dates - Date formatter (see createDateFormatter)
+ * @returns {string} Period key, e.g. '2025-10-03', '2025-W40' or '2025-10'
+ */
+export function getPeriodKey(dateTime, splitBy, dates) {
+  const day = dates.dayKey(dateTime);
+
+  if (splitBy === 'month') {
+    return day.slice(0, 7);
+  }
+  if (splitBy === 'week') {
+    return getIsoWeek(day);
+  }
+  return day;
+}
+
+/**
+ * Groups messages by the period they were posted in. Replies go into the
+ * period of their root post: the root's among the messages, or else the one
+ * findPeriod returns. A reply whose root can't be found stays in its own
+ * period.
+ * @param {Array} messages - Messages
+ * @param {string} splitBy - 'day', 'week' or 'month'
+ * @param {Object} dates - Date formatter (see createDateFormatter)
+ * @param {Function} findPeriod - Period of a reply whose root isn't among the messages, or null
+ * @returns {Map} Period key to messages, in the messages' order
+ */
+export function groupByPeriod(messages, splitBy, dates, findPeriod = () => null) {
+  const periods = new Map();
+  const rootPeriods = new Map(
+    messages
+      .filter((msg) => !msg.replyToId)
+      .map((msg) => [msg.id, getPeriodKey(msg.createdDateTime, splitBy, dates)])
+  );
+
+  messages.forEach((msg) => {
+    const key = (msg.replyToId && (rootPeriods.get(msg.replyToId) || findPeriod(msg)))
+      || getPeriodKey(msg.createdDateTime, splitBy, dates);
+    if (!periods.has(key)) {
+      periods.set(key, []);
+    }
+    periods.get(key).push(msg);
+  });
+
+  return periods;
+}
+
+/**
+ * Looks up which period file holds a message, reading the message IDs of
+ * all period files the first time it is asked
+ * @param {string} indexPath - Index file path
+ * @param {Object|null} periods - Periods as recorded in the sync state
+ * @param {string} format - Output format
+ * @returns {Function} Message ID to period key, or null if no period file has it
+ */
+export function createPeriodLookup(indexPath, periods, format) {
+  const dir = path.dirname(indexPath);
+  let periodById = null;
+
+  return (messageId) => {
+    if (!periodById) {
+      periodById = new Map();
+      Object.entries(periods || {}).forEach(([key, period]) => {
+        const periodPath = path.join(dir, period.file);
+        if (!hasExportRecords(periodPath, format)) {
+          return;
+        }
+        const ids = format === 'markdown'
+          ? readMessageIds(fs.readFileSync(periodPath, 'utf8'))
+          : readExportRecords(periodPath, format).map((record) => record.id);
+        ids.forEach((id) => periodById.set(id, key));
+      });
+    }
+    return periodById.get(messageId) || null;
+  };
+}
+
+/**
+ * Returns the file name of a period's export
+ * @param {string} key - Period key
+ * @param {string} format - Output format
+ * @returns {string} e.g. '2025-10.md'
+ */
+export function getPeriodFilename(key, format) {
+  return `${key}${getFormatExtension(format)}`;
+}
+
+/**
+ * Describes a period written from scratch, for the sync state and index
+ * @param {string} file - Period file name
+ * @param {Array} messages - The period's messages
+ * @param {Object} memberMap - Member name mapping
+ * @returns {Object} { file, messageCount, participants, start, end }
+ */
+export function describePeriod(file, messages, memberMap) {
+  const times = messages.map((msg) => new Date(msg.createdDateTime).getTime());
+  return {
+    file,
+    messageCount: messages.length,
+    participants: getParticipants(messages, memberMap),
+    start: new Date(Math.min(...times)).toISOString(),
+    end: new Date(Math.max(...times)).toISOString(),
+  };
+}
+
+/**
+ * Updates a period after an incremental run merged messages into its file,
+ * counting like the front matter of the file does
+ * @param {Object} period - Period as recorded in the sync state
+ * @param {Array} messages - New messages merged into the file
+ * @param {Object} fileResult - { addedCount, changeSummary } of the merge
+ * @param {Object} memberMap - Member name mapping
+ * @returns {Object} Updated period
+ */
+export function updatePeriod(period, messages, fileResult, memberMap) {
+  // Deleted messages only leave the count when they were removed, not marked
+  if (messages.length === 0) {
+    return { ...period, messageCount: period.messageCount - fileResult.changeSummary.removed };
+  }
+
+  const added = describePeriod(period.file, messages, memberMap);
+  const participants = new Set([...period.participants, ...added.participants]);
+  return {
+    ...period,
+    messageCount: period.messageCount + fileResult.addedCount - fileResult.changeSummary.removed,
+    participants: [...participants].sort((a, b) => a.localeCompare(b)),
+    start: new Date(Math.min(new Date(period.start), new Date(added.start))).toISOString(),
+    end: new Date(Math.max(new Date(period.end), new Date(added.end))).toISOString(),
+  };
+}
+
+/**
+ * Returns the paths of the period files recorded in a split export's sync state
+ * @param {string} indexPath - Index file path
+ * @param {Object|null} state - Sync state
+ * @returns {Array} Period file paths
+ */
+export function getPeriodPaths(indexPath, state) {
+  const dir = path.dirname(indexPath);
+  return Object.values(state?.periods || {}).map((period) => path.join(dir, period.file));
+}
+
+/**
+ * Checks whether a period file was changed, or removed, since the sync state was saved
+ * @param {string} indexPath - Index file path
+ * @param {Object} state - Sync state
+ * @returns {boolean} True if a period file no longer matches its checksum
+ */
+export function havePeriodFilesDrifted(indexPath, state) {
+  const dir = path.dirname(indexPath);
+
+  return Object.values(state.periods || {}).some((period) => {
+    const periodPath = path.join(dir, period.file);
+    return !fs.existsSync(periodPath) || (!!period.checksum && computeExportChecksum(periodPath) !== period.checksum);
+  });
+}
+
+/**
+ * Removes the period files of an earlier split that a rebuild didn't write again
+ * @param {string} indexPath - Index file path
+ * @param {Object} previousPeriods - Periods recorded before the rebuild
+ * @param {Object} periods - Periods written by the rebuild
+ */
+export function removeStalePeriodFiles(indexPath, previousPeriods, periods) {
+  const dir = path.dirname(indexPath);
+  const kept = new Set(Object.values(periods).map((period) => period.file));
+
+  Object.values(previousPeriods || {})
+    .filter((period) => !kept.has(period.file))
+    .forEach((period) => {
+      const periodPath = path.join(dir, period.file);
+      [periodPath, getRecordsPath(periodPath)].forEach((file) => fs.rmSync(file, { force: true }));
+    });
+}
+
+/**
+ * Renders the index document of a split export
+ * @param {Object} periods - Periods by key, as recorded in the sync state
+ * @param {Object} options - Index options
+ * @param {Object} options.metadata - Chat metadata (topic, chatType, createdDateTime)
+ * @param {Object} options.source - { chatId } or { teamId, channelId }
+ * @param {boolean} options.includeMetadata - Include the front matter
+ * @param {string} options.splitBy - 'day', 'week' or 'month'
+ * @param {Object} options.dates - Date formatter the export is written with
+ * @param {Object|null} options.filters - Message filters the export is written with
+ * @returns {string} Index content (markdown)
+ */
+export function renderSplitIndex(periods, options) {
+  const { metadata = {}, source = {}, includeMetadata, splitBy, dates, filters = null } = options;
+  const keys = Object.keys(periods).sort();
+  const lines = [];
+
+  if (includeMetadata) {
+    const fields = source.teamId && source.channelId
+      ? { source: 'channel', team_id: source.teamId, channel_id: source.channelId }
+      : { source: 'chat', chat_id: source.chatId };
+
+    if (metadata.topic) {
+      fields.topic = metadata.topic;
+    }
+    if (metadata.chatType) {
+      fields.chat_type = metadata.chatType;
+    }
+
+    const participants = new Set(keys.flatMap((key) => periods[key].participants));
+    Object.assign(fields, {
+      split_by: splitBy,
+      periods: keys.length,
+      participants: [...participants].sort((a, b) => a.localeCompare(b)),
+      message_count: keys.reduce((count, key) => count + periods[key].messageCount, 0),
+      date_start: keys.length > 0 ? periods[keys[0]].start : null,
+      date_end: keys.length > 0 ? periods[keys[keys.length - 1]].end : null,
+    });
+
+    if (metadata.createdDateTime) {
+      fields.created = new Date(metadata.createdDateTime).toISOString();
+    }
+
+    fields.last_run = new Date().toISOString();
+    fields.time_zone = dates.timeZone;
+
+    if (filters) {
+      fields.filters = describeFilters(filters);
+    }
+
+    lines.push(formatFrontMatter(fields), '');
+  }
+
+  lines.push('# Teams Chat Export for RAG', '');
+  lines.push('| Period | Messages | Participants |');
+  lines.push('|--------|----------|--------------|');
+
+  keys.forEach((key) => {
+    const { file, messageCount, participants } = periods[key];
+    lines.push(`| [${key}](${encodeURI(file)}) | ${messageCount} | ${participants.join(', ').replace(/\|/g, '\\|')} |`);
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Returns the ISO week of a day, e.g. '2025-W40' (weeks start on Monday; week 1
+ * is the one with the year's first Thursday)
+ */
+function getIsoWeek(day) {
+  const date = new Date(`${day}T00:00:00Z`);
+
+  // The Thursday of the same week decides the year
+  date.setUTCDate(date.getUTCDate() + 3 - ((date.getUTCDay() + 6) % 7));
+  const year = date.getUTCFullYear();
+  const week = Math.floor((date - Date.UTC(year, 0, 1)) / (7 * 24 * 60 * 60 * 1000)) + 1;
+
+  return `${year}-W${String(week).padStart(2, '0')}`;
+}
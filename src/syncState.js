@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+/**
+ * Per-export sync state, stored next to the export as `<export>.sync.json`.
+ *
+ * Incremental runs are driven by this file rather than by the markdown header:
+ *
+ * {
+ *   "version": 1,
+ *   "source": { "type": "chat", "chatId": "..." },   // or type "channel" with teamId/channelId
+ *   "strategy": "modified-since",                    // "modified-since", "delta" or "full"
+ *   "deltaLink": null,                               // channel delta sync only
+ *   "lastMessageId": "...",                          // newest exported message
+ *   "lastMessageDateTime": "...",
+ *   "lastSyncDateTime": "...",                       // when the last fetch started
+ *   "format": "markdown",                            // output format (--format)
+ *   "groupBy": "session",                            // sections (--group-by) and the session
+ *   "sessionGapMinutes": 30,                         // gap they were cut with
+ *   "dateFormat": "iso",                             // date format and time zone the export
+ *   "timeZone": "Europe/Berlin",                     // was written with
+ *   "redacted": false,                               // written with --redact
+ *   "filters": { "excludeBots": true },              // message filters, or null (messageFilters.js)
+ *   "splitBy": "month",                              // --split-by period, or null for one file
+ *   "periods": { "2025-10": { ... } },               // split exports only: each period's file,
+ *                                                    // counts and checksum (splitExport.js)
+ *   "checksum": "...",                               // SHA-256 of the export after the last run
+ *   "updatedAt": "..."
+ * }
+ *
+ * The checksum shows whether the export was changed outside generate since
+ * the last run (drift), in which case it can no longer be updated in place;
+ * a split export's state sits next to its index, and each period keeps the
+ * checksum of its own file. State without dateFormat is from before it was
+ * recorded, when exports used the machine's locale; state without groupBy
+ * doesn't say how the export was grouped.
+ */
+
+const SYNC_STATE_VERSION = 1;
+
+/**
+ * Returns the sync state file path for an export
+ * @param {string} outputPath - Export file path
+ * @returns {string} Sync state file path
+ */
+export function getSyncStatePath(outputPath) {
+  return `${outputPath}.sync.json`;
+}
+
+/**
+ * Loads the sync state for an export
+ * @param {string} outputPath - Export file path
+ * @returns {Object|null} Sync state, or null if missing or unreadable
+ */
+export function loadSyncState(outputPath) {
+  const statePath = getSyncStatePath(outputPath);
+
+  if (!fs.existsSync(statePath)) {
+    return null;
+  }
+
+  let state;
+  try {
+    state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  } catch (error) {
+    console.warn('Failed to read sync state, ignoring it:', error.message);
+    return null;
+  }
+
+  // Channel state written before versioning only held the delta sync fields
+  if (!state.version) {
+    return {
+      version: SYNC_STATE_VERSION,
+      source: { type: 'channel', teamId: state.teamId, channelId: state.channelId },
+      strategy: 'delta',
+      deltaLink: state.deltaLink || null,
+      lastMessageId: null,
+      lastMessageDateTime: state.lastMessageDateTime || null,
+      lastSyncDateTime: state.updatedAt || null,
+      format: 'markdown',
+      groupBy: null,
+      sessionGapMinutes: null,
+      dateFormat: 'locale',
+      timeZone: null,
+      checksum: null,
+      updatedAt: state.updatedAt || null,
+    };
+  }
+
+  return state;
+}
+
+/**
+ * Saves the sync state for an export
+ * @param {string} outputPath - Export file path
+ * @param {Object} state - Sync state (version and updatedAt are filled in)
+ */
+export function saveSyncState(outputPath, state) {
+  fs.writeFileSync(
+    getSyncStatePath(outputPath),
+    JSON.stringify({ version: SYNC_STATE_VERSION, ...state, updatedAt: new Date().toISOString() }, null, 2),
+    'utf8'
+  );
+}
+
+/**
+ * Computes the checksum stored in the sync state for an export
+ * @param {string} outputPath - Export file path
+ * @returns {string} SHA-256 of the export content (hex)
+ */
+export function computeExportChecksum(outputPath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(outputPath)).digest('hex');
+}
+
+/**
+ * Checks whether an export was changed since the sync state was saved
+ * @param {string} outputPath - Export file path
+ * @param {Object} state - Sync state
+ * @returns {boolean} True if the checksum no longer matches (false if none was recorded)
+ */
+export function hasExportDrifted(outputPath, state) {
+  return !!state.checksum && computeExportChecksum(outputPath) !== state.checksum;
+}
+
+/**
+ * Checks whether a sync state belongs to a chat or channel
+ * @param {Object} state - Sync state
+ * @param {Object} source - { chatId } or { teamId, channelId }
+ * @returns {boolean} True if the state was written for this source
+ */
+export function isSyncStateForSource(state, source) {
+  if (!state.source) {
+    return true;
+  }
+
+  return source.channelId
+    ? state.source.type === 'channel' && state.source.teamId === source.teamId && state.source.channelId === source.channelId
+    : state.source.type === 'chat' && state.source.chatId === source.chatId;
+}
@@ -0,0 +1,145 @@
+/**
+ * Describes Teams system event messages (members added, chat renamed, meeting
+ * ended, ...) as one readable line, from the message's eventDetail.
+ *
+ * See https://learn.microsoft.com/en-us/graph/system-messages for the event types.
+ */
+
+const EVENT_DESCRIPTIONS = {
+  membersAdded: (detail, names) => `${names.initiator} added ${names.members}`,
+  membersDeleted: (detail, names) =>
+    names.members === names.initiator ? `${names.members} left` : `${names.initiator} removed ${names.members}`,
+  membersJoined: (detail, names) => `${names.members} joined`,
+  membersLeft: (detail, names) => `${names.members} left`,
+  chatRenamed: (detail, names) =>
+    detail.chatDisplayName
+      ? `${names.initiator} renamed the chat to "${detail.chatDisplayName}"`
+      : `${names.initiator} removed the chat name`,
+  channelRenamed: (detail, names) => `${names.initiator} renamed the channel to "${detail.channelDisplayName}"`,
+  channelAdded: (detail, names) => `${names.initiator} created the channel "${detail.channelDisplayName}"`,
+  channelDeleted: (detail, names) => `${names.initiator} deleted the channel "${detail.channelDisplayName}"`,
+  teamRenamed: (detail, names) => `${names.initiator} renamed the team to "${detail.teamDisplayName}"`,
+  callStarted: (detail, names) => `${names.initiator} started a ${describeCallType(detail.callEventType)}`,
+  callEnded: (detail) => {
+    const duration = formatDuration(detail.callDuration);
+    const participants = (detail.callParticipants || []).length;
+    return [
+      `${capitalize(describeCallType(detail.callEventType))} ended`,
+      duration ? `after ${duration}` : null,
+      participants > 0 ? `(${participants} participant${participants === 1 ? '' : 's'})` : null,
+    ].filter(Boolean).join(' ');
+  },
+  callRecording: (detail) => {
+    if (detail.callRecordingStatus && detail.callRecordingStatus !== 'success') {
+      return `Recording ${detail.callRecordingStatus === 'failure' ? 'failed' : 'is being processed'}`;
+    }
+    const name = detail.callRecordingDisplayName || 'Recording';
+    const duration = formatDuration(detail.callRecordingDuration);
+    return `${detail.callRecordingUrl ? `[${name}](${detail.callRecordingUrl})` : name} is available${duration ? ` (${duration})` : ''}`;
+  },
+  callTranscript: () => 'Transcript is available',
+  messagePinned: (detail, names) => `${names.initiator} pinned a message`,
+  messageUnpinned: (detail, names) => `${names.initiator} unpinned a message`,
+  conversationMemberRoleUpdated: (detail, names) =>
+    `${names.initiator} changed the role of ${names.member} to ${(detail.conversationMemberRoles || []).join(', ') || 'member'}`,
+};
+
+/**
+ * Checks whether a message is a system event rather than something a person posted
+ * @param {Object} msg - Teams message
+ * @returns {boolean} True for system events
+ */
+export function isSystemEventMessage(msg) {
+  return msg.messageType === 'systemEventMessage' || msg.messageType === 'chatEvent';
+}
+
+/**
+ * Describes a system event message in one line
+ * @param {Object} msg - Teams system event message
+ * @param {Object} memberMap - Member name mapping, for people Graph sends without a name
+ * @returns {string} Description, e.g. 'Alice added Bob and Carol'
+ */
+export function describeSystemEvent(msg, memberMap = {}) {
+  const detail = msg.eventDetail || {};
+  const type = (detail['@odata.type'] || '')
+    .replace(/^#?microsoft\.graph\./, '')
+    .replace(/EventMessageDetail$/, '');
+
+  const describe = EVENT_DESCRIPTIONS[type];
+  if (!describe) {
+    // Events without a description of their own are named after their type
+    return type ? `System event: ${capitalize(type.replace(/([A-Z])/g, ' $1').toLowerCase())}` : 'System event';
+  }
+
+  const members = (detail.members || []).map((member) => member.displayName || memberMap[member.id] || 'someone');
+  return describe(detail, {
+    initiator: getIdentityName(detail.initiator, memberMap),
+    members: joinNames(members),
+    member: getIdentityName({ user: detail.conversationMemberUser }, memberMap),
+  });
+}
+
+/**
+ * Returns the display name of the user or app behind an identity set
+ */
+function getIdentityName(identity, memberMap) {
+  const { user, application } = identity || {};
+  return user?.displayName || (user?.id ? memberMap[user.id] : null) || application?.displayName || 'Someone';
+}
+
+/**
+ * Joins names as "A", "A and B" or "A, B and C"
+ */
+function joinNames(names) {
+  if (names.length <= 1) {
+    return names[0] || 'someone';
+  }
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+/**
+ * Names the kind of call a call event is about
+ */
+function describeCallType(callEventType) {
+  switch (callEventType) {
+    case 'meeting':
+      return 'meeting';
+    case 'screenShare':
+      return 'screen share';
+    default:
+      return 'call';
+  }
+}
+
+/**
+ * Formats an ISO 8601 duration (e.g. PT1H5M3.2S) as "1h 5m"; seconds are shown under an hour
+ */
+function formatDuration(duration) {
+  const match = (duration || '').match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?)?$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const totalHours = parseInt(days) * 24 + parseInt(hours);
+  const parts = [];
+
+  if (totalHours > 0) {
+    parts.push(`${totalHours}h`);
+  }
+  if (parseInt(minutes) > 0) {
+    parts.push(`${parseInt(minutes)}m`);
+  }
+  if (totalHours === 0 && Math.round(parseFloat(seconds)) > 0) {
+    parts.push(`${Math.round(parseFloat(seconds))}s`);
+  }
+
+  return parts.length > 0 ? parts.join(' ') : null;
+}
+
+/**
+ * Upper-cases the first letter of a string
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
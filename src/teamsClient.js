@@ -1,69 +1,45 @@
-import axios from 'axios';
-
-const GRAPH_API_BASE = 'https://graph.microsoft.com/v1.0';
+import { graphGet } from './graphClient.js';
+import { getGraphApiBase } from './endpoints.js';
 
 /**
  * Fetches all messages from a Teams chat
+ *
+ * With a sinceDate, the chat is filtered server-side on lastModifiedDateTime, so
+ * messages edited or deleted since then are returned alongside new ones. If the
+ * tenant rejects the filter query, it falls back to paging newest-first and
+ * filtering on createdDateTime client-side (new messages only).
+ *
+ * Without a sinceDate, createdBefore filters the chat server-side on
+ * createdDateTime instead (--until); if that is rejected, all messages are
+ * fetched and the caller filters them.
  * @param {string} accessToken - OAuth2 access token
  * @param {string} chatId - Teams chat ID
  * @param {number|null} maxMessages - Maximum number of messages to fetch (null for all)
- * @param {Date|null} sinceDate - Only fetch messages created after this date
- * @returns {Promise<Array>} Array of chat messages
+ * @param {Date|null} sinceDate - Only fetch messages created or modified after this date
+ * @param {Date|null} createdBefore - Only fetch messages created before this date (when there is no sinceDate)
+ * @param {Function} log - Where to print progress notes
+ * @returns {Promise<Array>} Array of chat messages in chronological order
  */
-export async function fetchChatMessages(accessToken, chatId, maxMessages = null, sinceDate = null) {
-  const messages = [];
-
-  // Note: Despite some documentation suggesting otherwise, chat messages API
-  // does NOT reliably support $filter on createdDateTime in all scenarios
-  // We'll fetch all messages and filter client-side for now
-  let url = `${GRAPH_API_BASE}/chats/${chatId}/messages?$top=50`;
-
-  let fetchedCount = 0;
-  const sinceDateMs = sinceDate ? sinceDate.getTime() : null;
-
+export async function fetchChatMessages(accessToken, chatId, maxMessages = null, sinceDate = null, createdBefore = null, log = console.log) {
   try {
-    while (url) {
-      const response = await axios.get(url, {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          'Content-Type': 'application/json',
-        },
-      });
-
-      const batch = response.data.value;
-
-      // Client-side filtering if sinceDate provided
-      if (sinceDateMs) {
-        // Filter messages newer than sinceDate
-        const filteredBatch = batch.filter(msg => {
-          const msgDate = new Date(msg.createdDateTime).getTime();
-          return msgDate > sinceDateMs;
-        });
-
-        // If all messages in this batch are older than sinceDate, stop pagination
-        // (messages are returned newest first)
-        if (filteredBatch.length === 0 && batch.length > 0) {
-          break;
+    let messages = null;
+
+    if (sinceDate || createdBefore) {
+      try {
+        messages = sinceDate
+          ? await fetchChatMessagesModifiedSince(accessToken, chatId, maxMessages, sinceDate)
+          : await fetchChatMessagesCreatedBefore(accessToken, chatId, maxMessages, createdBefore);
+      } catch (error) {
+        if (error.response?.status !== 400) {
+          throw error;
         }
-
-        messages.push(...filteredBatch);
-        fetchedCount += filteredBatch.length;
-      } else {
-        messages.push(...batch);
-        fetchedCount += batch.length;
+        log('  Note: Server-side date filtering was rejected. Falling back to client-side filtering...');
       }
-
-      // Check if we've reached the maximum
-      if (maxMessages && fetchedCount >= maxMessages) {
-        break;
-      }
-
-      // Check for next page
-      url = response.data['@odata.nextLink'] || null;
     }
 
-    // Reverse to get chronological order (API returns newest first)
-    messages.reverse();
+    if (!messages) {
+      messages = await fetchChatMessagesClientFiltered(accessToken, chatId, maxMessages, sinceDate);
+    }
 
     // Trim to max if specified
     if (maxMessages && messages.length > maxMessages) {
@@ -93,48 +69,163 @@ export async function fetchChatMessages(accessToken, chatId, maxMessages = null,
 }
 
 /**
- * Fetches all messages from a Teams channel
- * @param {string} accessToken - OAuth2 access token
- * @param {string} teamId - Teams team ID
- * @param {string} channelId - Teams channel ID
- * @param {number|null} maxMessages - Maximum number of messages to fetch (null for all)
- * @param {Date|null} sinceDate - IGNORED for channels (not supported by API)
- * @returns {Promise<Array>} Array of channel messages
+ * Fetches chat messages modified after a date using $filter/$orderby on lastModifiedDateTime
+ * @returns {Promise<Array>} Messages in chronological order (by creation)
+ */
+async function fetchChatMessagesModifiedSince(accessToken, chatId, maxMessages, sinceDate) {
+  const messages = [];
+  const filter = encodeURIComponent(`lastModifiedDateTime gt ${sinceDate.toISOString()}`);
+  const orderBy = encodeURIComponent('lastModifiedDateTime desc');
+  let url = `${getGraphApiBase()}/chats/${chatId}/messages?$top=50&$filter=${filter}&$orderby=${orderBy}`;
+
+  while (url) {
+    const response = await graphGet(accessToken, url);
+    messages.push(...response.data.value);
+
+    // Check if we've reached the maximum
+    if (maxMessages && messages.length >= maxMessages) {
+      break;
+    }
+
+    // Check for next page
+    url = response.data['@odata.nextLink'] || null;
+  }
+
+  // Results are ordered by modification; exports are ordered by creation
+  return messages.sort(
+    (a, b) => new Date(a.createdDateTime) - new Date(b.createdDateTime)
+  );
+}
+
+/**
+ * Fetches chat messages created before a date using $filter/$orderby on createdDateTime
+ * @returns {Promise<Array>} Messages in chronological order
  */
-export async function fetchChannelMessages(accessToken, teamId, channelId, maxMessages = null, sinceDate = null) {
+async function fetchChatMessagesCreatedBefore(accessToken, chatId, maxMessages, createdBefore) {
   const messages = [];
+  const filter = encodeURIComponent(`createdDateTime lt ${createdBefore.toISOString()}`);
+  const orderBy = encodeURIComponent('createdDateTime desc');
+  let url = `${getGraphApiBase()}/chats/${chatId}/messages?$top=50&$filter=${filter}&$orderby=${orderBy}`;
+
+  while (url) {
+    const response = await graphGet(accessToken, url);
+    messages.push(...response.data.value);
 
-  // Note: Channel messages API does NOT support $filter on createdDateTime
-  // Graph API documentation states: "The other OData query parameters aren't currently supported"
-  // Only $top and $expand are supported
-  // Therefore, we always fetch ALL messages and cannot do incremental updates via API
-  let url = `${GRAPH_API_BASE}/teams/${teamId}/channels/${channelId}/messages?$top=50`;
+    // Check if we've reached the maximum
+    if (maxMessages && messages.length >= maxMessages) {
+      break;
+    }
 
-  // Warn if sinceDate was provided but will be ignored
-  if (sinceDate) {
-    console.log('  Note: Channel messages API does not support date filtering. Fetching all messages...');
+    // Check for next page
+    url = response.data['@odata.nextLink'] || null;
   }
 
+  // Reverse to get chronological order (newest first, as requested)
+  return messages.reverse();
+}
+
+/**
+ * Fetches chat messages newest-first, filtering on createdDateTime client-side
+ * @returns {Promise<Array>} Messages in chronological order
+ */
+async function fetchChatMessagesClientFiltered(accessToken, chatId, maxMessages, sinceDate) {
+  const messages = [];
+  let url = `${getGraphApiBase()}/chats/${chatId}/messages?$top=50`;
+
   let fetchedCount = 0;
+  const sinceDateMs = sinceDate ? sinceDate.getTime() : null;
+
+  while (url) {
+    const response = await graphGet(accessToken, url);
+
+    const batch = response.data.value;
+
+    // Client-side filtering if sinceDate provided
+    if (sinceDateMs) {
+      // Filter messages newer than sinceDate
+      const filteredBatch = batch.filter(msg => {
+        const msgDate = new Date(msg.createdDateTime).getTime();
+        return msgDate > sinceDateMs;
+      });
+
+      // If all messages in this batch are older than sinceDate, stop pagination
+      // (messages are returned newest first)
+      if (filteredBatch.length === 0 && batch.length > 0) {
+        break;
+      }
+
+      messages.push(...filteredBatch);
+      fetchedCount += filteredBatch.length;
+    } else {
+      messages.push(...batch);
+      fetchedCount += batch.length;
+    }
+
+    // Check if we've reached the maximum
+    if (maxMessages && fetchedCount >= maxMessages) {
+      break;
+    }
+
+    // Check for next page
+    url = response.data['@odata.nextLink'] || null;
+  }
+
+  // Reverse to get chronological order (API returns newest first)
+  return messages.reverse();
+}
+
+/**
+ * Fetches the newest messages of a Teams channel, including thread replies,
+ * for runs limited by --max-messages. Other channel runs, incremental ones
+ * included, go through the delta endpoint (see fetchChannelMessagesDelta).
+ * @param {string} accessToken - OAuth2 access token
+ * @param {string} teamId - Teams team ID
+ * @param {string} channelId - Teams channel ID
+ * @param {number|null} maxMessages - Maximum number of messages (root posts + replies) to fetch (null for all)
+ * @param {boolean} includeReplies - Fetch replies for every root post
+ * @param {Function} log - Where to print progress per page
+ * @returns {Promise<Array>} Array of channel messages; each root post is followed by its replies
+ */
+export async function fetchChannelMessages(accessToken, teamId, channelId, maxMessages = null, includeReplies = true, log = console.log) {
+  // Threads (root post + replies), newest root first as returned by the API
+  const threads = [];
+
+  // The list endpoint only supports $top and $expand, not $filter, so it
+  // always lists the whole channel; changes since a date come from delta
+  let url = `${getGraphApiBase()}/teams/${teamId}/channels/${channelId}/messages?$top=50`;
+
+  let fetchedCount = 0;
+  let replyCount = 0;
   let pageCount = 0;
 
   try {
     while (url) {
       pageCount++;
-      console.log(`  Fetching page ${pageCount}...`);
+      log(`  Fetching page ${pageCount}...`);
 
-      const response = await axios.get(url, {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          'Content-Type': 'application/json',
-        },
-      });
+      const response = await graphGet(accessToken, url);
 
       const batch = response.data.value;
-      messages.push(...batch);
-      fetchedCount += batch.length;
 
-      console.log(`  Retrieved ${batch.length} messages (total: ${fetchedCount})`);
+      for (const root of batch) {
+        // The list endpoint only returns root posts; replies live under /replies
+        const replies = includeReplies
+          ? await fetchMessageReplies(accessToken, teamId, channelId, root.id)
+          : [];
+
+        threads.push({ root, replies });
+        fetchedCount += 1 + replies.length;
+        replyCount += replies.length;
+
+        if (maxMessages && fetchedCount >= maxMessages) {
+          break;
+        }
+      }
+
+      log(
+        `  Retrieved ${batch.length} posts` +
+        (includeReplies ? ` (total: ${fetchedCount} messages, ${replyCount} replies)` : ` (total: ${fetchedCount})`)
+      );
 
       // Check if we've reached the maximum
       if (maxMessages && fetchedCount >= maxMessages) {
@@ -145,15 +236,27 @@ export async function fetchChannelMessages(accessToken, teamId, channelId, maxMe
       url = response.data['@odata.nextLink'] || null;
     }
 
-    // Reverse to get chronological order (API returns newest first)
-    messages.reverse();
+    // Keep the newest threads that fit within the maximum
+    const keptThreads = [];
+    let keptCount = 0;
+    for (const thread of threads) {
+      if (maxMessages && keptCount >= maxMessages) {
+        break;
+      }
 
-    // Trim to max if specified
-    if (maxMessages && messages.length > maxMessages) {
-      return messages.slice(-maxMessages);
+      // If the whole thread doesn't fit, keep its root and latest replies
+      const replyBudget = maxMessages ? maxMessages - keptCount - 1 : thread.replies.length;
+      const replies = thread.replies.slice(Math.max(thread.replies.length - replyBudget, 0));
+
+      keptThreads.push({ root: thread.root, replies });
+      keptCount += 1 + replies.length;
     }
 
-    return messages;
+    // Reverse to get chronological order (API returns newest first),
+    // keeping each root post directly followed by its replies
+    return keptThreads
+      .reverse()
+      .flatMap((thread) => [thread.root, ...thread.replies]);
   } catch (error) {
     if (error.response) {
       const status = error.response.status;
@@ -177,6 +280,121 @@ export async function fetchChannelMessages(accessToken, teamId, channelId, maxMe
   }
 }
 
+/**
+ * Fetches channel messages through the delta endpoint
+ *
+ * Without a deltaLink this enumerates the whole channel; with one it returns only
+ * root posts that were created, edited or deleted since that link was issued.
+ * Delta only covers root posts, so replies are fetched for every returned post.
+ * An expired deltaLink (410 Gone) falls back to a full enumeration.
+ * @param {string} accessToken - OAuth2 access token
+ * @param {string} teamId - Teams team ID
+ * @param {string} channelId - Teams channel ID
+ * @param {string|null} deltaLink - deltaLink saved from the previous sync (null for a full sync)
+ * @param {boolean} includeReplies - Fetch replies for every returned post
+ * @param {Function} log - Where to print progress per page
+ * @returns {Promise<Object>} { messages, deltaLink, fullSync } - messages are chronological,
+ *   each root post followed by its replies; deleted posts carry deletedDateTime
+ */
+export async function fetchChannelMessagesDelta(accessToken, teamId, channelId, deltaLink = null, includeReplies = true, log = console.log) {
+  const threads = [];
+  let url = deltaLink || `${getGraphApiBase()}/teams/${teamId}/channels/${channelId}/messages/delta?$top=50`;
+  let nextDeltaLink = null;
+  let fullSync = !deltaLink;
+  let pageCount = 0;
+  let messageCount = 0;
+
+  try {
+    while (url) {
+      pageCount++;
+      log(`  Fetching ${fullSync ? '' : 'changes '}page ${pageCount}...`);
+
+      let response;
+      try {
+        response = await graphGet(accessToken, url);
+      } catch (error) {
+        // Delta tokens expire; Graph then asks for a full resync
+        if (!fullSync && error.response?.status === 410) {
+          log('  Delta token expired. Fetching all messages...');
+          threads.length = 0;
+          messageCount = 0;
+          pageCount = 0;
+          fullSync = true;
+          url = `${getGraphApiBase()}/teams/${teamId}/channels/${channelId}/messages/delta?$top=50`;
+          continue;
+        }
+        throw error;
+      }
+
+      for (const root of response.data.value) {
+        const replies = includeReplies && !root.deletedDateTime
+          ? await fetchMessageReplies(accessToken, teamId, channelId, root.id)
+          : [];
+
+        threads.push({ root, replies });
+        messageCount += 1 + replies.length;
+      }
+
+      log(`  Retrieved ${response.data.value.length} posts (total: ${messageCount} messages)`);
+
+      url = response.data['@odata.nextLink'] || null;
+      nextDeltaLink = response.data['@odata.deltaLink'] || nextDeltaLink;
+    }
+
+    threads.sort((a, b) => new Date(a.root.createdDateTime) - new Date(b.root.createdDateTime));
+
+    return {
+      messages: threads.flatMap((thread) => [thread.root, ...thread.replies]),
+      deltaLink: nextDeltaLink,
+      fullSync,
+    };
+  } catch (error) {
+    if (error.response) {
+      const status = error.response.status;
+      const errorData = error.response.data;
+
+      if (status === 404) {
+        throw new Error(
+          `Channel not found. Verify the team ID (${teamId}) and channel ID (${channelId}) are correct.`
+        );
+      } else if (status === 403) {
+        throw new Error(
+          'Permission denied. For application auth, ensure ChannelMessage.Read.All permission with admin consent. For delegated auth, ensure ChannelMessage.Read permission and user is a member of the team.'
+        );
+      } else {
+        throw new Error(
+          `Graph API error: ${errorData.error?.message || error.message}`
+        );
+      }
+    }
+    throw new Error(`Failed to fetch channel changes: ${error.message}`);
+  }
+}
+
+/**
+ * Fetches all replies to a channel post
+ * @param {string} accessToken - OAuth2 access token
+ * @param {string} teamId - Teams team ID
+ * @param {string} channelId - Teams channel ID
+ * @param {string} messageId - Root post ID
+ * @returns {Promise<Array>} Array of replies in chronological order
+ */
+export async function fetchMessageReplies(accessToken, teamId, channelId, messageId) {
+  const replies = [];
+  let url = `${getGraphApiBase()}/teams/${teamId}/channels/${channelId}/messages/${messageId}/replies?$top=50`;
+
+  while (url) {
+    const response = await graphGet(accessToken, url);
+    replies.push(...response.data.value);
+    url = response.data['@odata.nextLink'] || null;
+  }
+
+  // Replies are returned newest first
+  return replies.sort(
+    (a, b) => new Date(a.createdDateTime) - new Date(b.createdDateTime)
+  );
+}
+
 /**
  * Fetches chat metadata (members, topic, etc.)
  * @param {string} accessToken - OAuth2 access token
@@ -185,12 +403,7 @@ export async function fetchChannelMessages(accessToken, teamId, channelId, maxMe
  */
 export async function fetchChatMetadata(accessToken, chatId) {
   try {
-    const response = await axios.get(`${GRAPH_API_BASE}/chats/${chatId}`, {
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        'Content-Type': 'application/json',
-      },
-    });
+    const response = await graphGet(accessToken, `${getGraphApiBase()}/chats/${chatId}`);
 
     return response.data;
   } catch (error) {
@@ -208,12 +421,7 @@ export async function fetchChatMetadata(accessToken, chatId) {
  */
 export async function fetchChatMembers(accessToken, chatId) {
   try {
-    const response = await axios.get(`${GRAPH_API_BASE}/chats/${chatId}/members`, {
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        'Content-Type': 'application/json',
-      },
-    });
+    const response = await graphGet(accessToken, `${getGraphApiBase()}/chats/${chatId}/members`);
 
     return response.data.value;
   } catch (error) {
@@ -230,12 +438,7 @@ export async function fetchChatMembers(accessToken, chatId) {
  */
 export async function fetchTeamMetadata(accessToken, teamId) {
   try {
-    const response = await axios.get(`${GRAPH_API_BASE}/teams/${teamId}`, {
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        'Content-Type': 'application/json',
-      },
-    });
+    const response = await graphGet(accessToken, `${getGraphApiBase()}/teams/${teamId}`);
 
     return response.data;
   } catch (error) {
@@ -253,12 +456,7 @@ export async function fetchTeamMetadata(accessToken, teamId) {
  */
 export async function fetchChannelMetadata(accessToken, teamId, channelId) {
   try {
-    const response = await axios.get(`${GRAPH_API_BASE}/teams/${teamId}/channels/${channelId}`, {
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        'Content-Type': 'application/json',
-      },
-    });
+    const response = await graphGet(accessToken, `${getGraphApiBase()}/teams/${teamId}/channels/${channelId}`);
 
     return response.data;
   } catch (error) {
@@ -266,3 +464,136 @@ export async function fetchChannelMetadata(accessToken, teamId, channelId) {
     return {};
   }
 }
+
+/**
+ * Follows @odata.nextLink until all pages of a collection are fetched
+ * @param {string} accessToken - OAuth2 access token
+ * @param {string} url - First page URL
+ * @returns {Promise<Array>} All items
+ */
+async function fetchAllPages(accessToken, url) {
+  const items = [];
+
+  while (url) {
+    const response = await graphGet(accessToken, url);
+    items.push(...response.data.value);
+    url = response.data['@odata.nextLink'] || null;
+  }
+
+  return items;
+}
+
+/**
+ * Returns the Graph path for a user: /me for delegated auth, /users/{id} otherwise
+ */
+function getUserPath(userId) {
+  return userId ? `users/${encodeURIComponent(userId)}` : 'me';
+}
+
+/**
+ * Fetches the chats a user is a member of, with their members
+ * @param {string} accessToken - OAuth2 access token
+ * @param {string|null} userId - User ID or UPN (required for application auth; null for the signed-in user)
+ * @returns {Promise<Array>} Array of chats
+ */
+export async function fetchChats(accessToken, userId = null) {
+  try {
+    return await fetchAllPages(
+      accessToken,
+      `${getGraphApiBase()}/${getUserPath(userId)}/chats?$expand=members&$top=50`
+    );
+  } catch (error) {
+    if (error.response?.status === 403) {
+      throw new Error(
+        'Permission denied. For application auth, ensure Chat.Read.All permission with admin consent. For delegated auth, ensure Chat.Read permission.'
+      );
+    }
+    throw new Error(`Failed to list chats: ${error.response?.data?.error?.message || error.message}`);
+  }
+}
+
+/**
+ * Fetches the teams a user has joined
+ * @param {string} accessToken - OAuth2 access token
+ * @param {string|null} userId - User ID or UPN (required for application auth; null for the signed-in user)
+ * @returns {Promise<Array>} Array of teams
+ */
+export async function fetchJoinedTeams(accessToken, userId = null) {
+  try {
+    return await fetchAllPages(accessToken, `${getGraphApiBase()}/${getUserPath(userId)}/joinedTeams`);
+  } catch (error) {
+    if (error.response?.status === 403) {
+      throw new Error(
+        'Permission denied. Listing teams requires the Team.ReadBasic.All permission (application permissions need admin consent).'
+      );
+    }
+    throw new Error(`Failed to list teams: ${error.response?.data?.error?.message || error.message}`);
+  }
+}
+
+/**
+ * Fetches the channels of a team
+ * @param {string} accessToken - OAuth2 access token
+ * @param {string} teamId - Teams team ID
+ * @returns {Promise<Array>} Array of channels
+ */
+export async function fetchChannels(accessToken, teamId) {
+  try {
+    return await fetchAllPages(accessToken, `${getGraphApiBase()}/teams/${teamId}/channels`);
+  } catch (error) {
+    if (error.response?.status === 404) {
+      throw new Error(`Team not found: ${teamId}. Verify the team ID is correct.`);
+    }
+    throw new Error(`Failed to list channels: ${error.response?.data?.error?.message || error.message}`);
+  }
+}
+
+/**
+ * Fetches team members
+ * @param {string} accessToken - OAuth2 access token
+ * @param {string} teamId - Teams team ID
+ * @returns {Promise<Array>} Array of members (empty if they can't be read)
+ */
+export async function fetchTeamMembers(accessToken, teamId) {
+  try {
+    return await fetchAllPages(accessToken, `${getGraphApiBase()}/teams/${teamId}/members`);
+  } catch (error) {
+    console.warn('Could not fetch team members:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Fetches channel members
+ * @param {string} accessToken - OAuth2 access token
+ * @param {string} teamId - Teams team ID
+ * @param {string} channelId - Teams channel ID
+ * @returns {Promise<Array>} Array of members (empty if they can't be read)
+ */
+export async function fetchChannelMembers(accessToken, teamId, channelId) {
+  try {
+    return await fetchAllPages(accessToken, `${getGraphApiBase()}/teams/${teamId}/channels/${channelId}/members`);
+  } catch (error) {
+    console.warn('Could not fetch channel members:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Fetches the most recent root post in a channel
+ * @param {string} accessToken - OAuth2 access token
+ * @param {string} teamId - Teams team ID
+ * @param {string} channelId - Teams channel ID
+ * @returns {Promise<Object|null>} Latest message, or null if none or unreadable
+ */
+export async function fetchLatestChannelMessage(accessToken, teamId, channelId) {
+  try {
+    const response = await graphGet(
+      accessToken,
+      `${getGraphApiBase()}/teams/${teamId}/channels/${channelId}/messages?$top=1`
+    );
+    return response.data.value[0] || null;
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,179 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Encrypted on-disk cache for delegated auth tokens.
+ *
+ * Entries are keyed by tenant, client and account so several users or app
+ * registrations can share one cache file. The file is encrypted with
+ * AES-256-GCM using TOKEN_CACHE_KEY when set, otherwise a random key that is
+ * generated on first use and stored next to the cache with owner-only access.
+ */
+
+const CACHE_VERSION = 1;
+const DEFAULT_CACHE_DIR = path.join(os.homedir(), '.teams-to-rag');
+
+/**
+ * Returns true unless the cache has been disabled with TOKEN_CACHE=false
+ * @returns {boolean}
+ */
+export function isTokenCacheEnabled() {
+  return process.env.TOKEN_CACHE !== 'false';
+}
+
+/**
+ * Resolves the cache and key file locations
+ */
+function getCachePaths() {
+  const cacheFile = process.env.TOKEN_CACHE_PATH || path.join(DEFAULT_CACHE_DIR, 'token-cache.json');
+  const keyFile = path.join(path.dirname(cacheFile), 'token-cache.key');
+  return { cacheFile, keyFile };
+}
+
+/**
+ * Builds the lookup key for a cache entry
+ */
+function buildEntryKey(tenantId, clientId, account) {
+  return `${tenantId}|${clientId}|${account}`.toLowerCase();
+}
+
+/**
+ * Loads (or creates) the 256-bit encryption key
+ */
+function getEncryptionKey(keyFile) {
+  if (process.env.TOKEN_CACHE_KEY) {
+    return crypto.createHash('sha256').update(process.env.TOKEN_CACHE_KEY).digest();
+  }
+
+  if (fs.existsSync(keyFile)) {
+    return Buffer.from(fs.readFileSync(keyFile, 'utf8').trim(), 'base64');
+  }
+
+  const key = crypto.randomBytes(32);
+  fs.mkdirSync(path.dirname(keyFile), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(keyFile, key.toString('base64'), { encoding: 'utf8', mode: 0o600 });
+  return key;
+}
+
+/**
+ * Reads and decrypts all cache entries
+ * @returns {Object} Map of entry key to token entry (empty if missing or unreadable)
+ */
+function readEntries() {
+  const { cacheFile, keyFile } = getCachePaths();
+
+  if (!fs.existsSync(cacheFile)) {
+    return {};
+  }
+
+  try {
+    const envelope = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    if (envelope.version !== CACHE_VERSION) {
+      return {};
+    }
+
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm',
+      getEncryptionKey(keyFile),
+      Buffer.from(envelope.iv, 'base64')
+    );
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(envelope.data, 'base64')),
+      decipher.final(),
+    ]);
+
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch (error) {
+    // A corrupt cache or a changed key only costs a fresh sign-in
+    console.warn('Could not read token cache, ignoring it:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Encrypts and writes all cache entries
+ */
+function writeEntries(entries) {
+  const { cacheFile, keyFile } = getCachePaths();
+
+  const key = getEncryptionKey(keyFile);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify(entries), 'utf8'),
+    cipher.final(),
+  ]);
+
+  const envelope = {
+    version: CACHE_VERSION,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+
+  fs.mkdirSync(path.dirname(cacheFile), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(cacheFile, JSON.stringify(envelope), { encoding: 'utf8', mode: 0o600 });
+}
+
+/**
+ * Finds cached tokens for a tenant and client
+ * @param {string} tenantId - Azure AD tenant ID
+ * @param {string} clientId - App registration client ID
+ * @param {string|null} account - Account name; when null the most recently used account is returned
+ * @returns {Object|null} Cache entry or null if none found
+ */
+export function findCachedTokens(tenantId, clientId, account = null) {
+  const entries = readEntries();
+
+  if (account) {
+    return entries[buildEntryKey(tenantId, clientId, account)] || null;
+  }
+
+  const matches = Object.values(entries)
+    .filter((entry) =>
+      entry.tenantId.toLowerCase() === tenantId.toLowerCase() &&
+      entry.clientId.toLowerCase() === clientId.toLowerCase()
+    )
+    .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+
+  return matches[0] || null;
+}
+
+/**
+ * Stores tokens for an account, replacing any previous entry
+ * @param {Object} entry - Token entry
+ * @param {string} entry.tenantId - Azure AD tenant ID
+ * @param {string} entry.clientId - App registration client ID
+ * @param {string} entry.account - Signed-in account name
+ * @param {string} entry.accessToken - Access token
+ * @param {string|null} entry.refreshToken - Refresh token
+ * @param {number} entry.expiresAt - Access token expiry (epoch milliseconds)
+ */
+export function saveCachedTokens(entry) {
+  const entries = readEntries();
+  entries[buildEntryKey(entry.tenantId, entry.clientId, entry.account)] = {
+    ...entry,
+    lastUsedAt: Date.now(),
+  };
+  writeEntries(entries);
+}
+
+/**
+ * Removes cached tokens for an account (e.g. after the refresh token was revoked)
+ * @param {string} tenantId - Azure AD tenant ID
+ * @param {string} clientId - App registration client ID
+ * @param {string} account - Account name
+ */
+export function removeCachedTokens(tenantId, clientId, account) {
+  const entries = readEntries();
+  const key = buildEntryKey(tenantId, clientId, account);
+
+  if (entries[key]) {
+    delete entries[key];
+    writeEntries(entries);
+  }
+}
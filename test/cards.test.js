@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isCardAttachment, renderCard } from '../src/cards.js';
+
+test('renders adaptive card text, facts and links', () => {
+  const attachment = {
+    contentType: 'application/vnd.microsoft.card.adaptive',
+    content: JSON.stringify({
+      type: 'AdaptiveCard',
+      body: [
+        { type: 'TextBlock', text: 'Build failed', weight: 'bolder', size: 'medium' },
+        { type: 'TextBlock', text: 'Pipeline **main** failed at the test stage.', wrap: true },
+        { type: 'FactSet', facts: [{ title: 'Commit:', value: 'a1b2c3d' }, { title: 'Author', value: 'Bob' }] },
+        { type: 'Input.Text', id: 'comment', placeholder: 'Add a comment' },
+      ],
+      actions: [
+        { type: 'Action.OpenUrl', title: 'View run', url: 'https://dev.azure.com/contoso/run/42' },
+        { type: 'Action.Submit', title: 'Retry' },
+      ],
+    }),
+  };
+
+  assert.ok(isCardAttachment(attachment));
+  assert.equal(
+    renderCard(attachment),
+    [
+      '**Build failed**',
+      '',
+      'Pipeline **main** failed at the test stage.',
+      '',
+      '- **Commit:** a1b2c3d',
+      '- **Author:** Bob',
+      '',
+      '[View run](https://dev.azure.com/contoso/run/42)',
+    ].join('\n')
+  );
+});
+
+test('renders hero cards', () => {
+  const attachment = {
+    contentType: 'application/vnd.microsoft.card.hero',
+    content: {
+      title: 'Weekly digest',
+      subtitle: '3 new articles',
+      text: 'Read about <b>Graph delta queries</b>',
+      buttons: [{ type: 'openUrl', title: 'Open', value: 'https://contoso.com/digest' }],
+    },
+  };
+
+  assert.equal(
+    renderCard(attachment),
+    '**Weekly digest**\n*3 new articles*\n\nRead about **Graph delta queries**\n\n[Open](https://contoso.com/digest)'
+  );
+});
+
+test('ignores cards that are not valid JSON', () => {
+  assert.equal(renderCard({ contentType: 'application/vnd.microsoft.card.adaptive', content: '{' }), '');
+  assert.ok(!isCardAttachment({ contentType: 'reference' }));
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDateFormatter } from '../src/dateFormat.js';
+
+// Late evening in UTC, already the next day in Tokyo
+const timestamp = '2025-10-03T22:30:05Z';
+
+test('formats ISO dates in the given time zone', () => {
+  const utc = createDateFormatter({ timeZone: 'UTC' });
+  const tokyo = createDateFormatter({ timeZone: 'Asia/Tokyo' });
+
+  assert.equal(utc.date(timestamp), '2025-10-03');
+  assert.equal(utc.time(timestamp), '22:30:05');
+  assert.equal(utc.dateTime(timestamp), '2025-10-03 22:30:05');
+  assert.equal(tokyo.dateTime(timestamp), '2025-10-04 07:30:05');
+});
+
+test('formats dates for a locale while keeping ISO day keys', () => {
+  const dates = createDateFormatter({ timeZone: 'UTC', dateFormat: 'en-GB' });
+
+  assert.equal(dates.date(timestamp), '03/10/2025');
+  assert.equal(dates.time(timestamp), '22:30:05');
+  assert.equal(dates.dayKey(timestamp), '2025-10-03');
+});
+
+test('uses midnight as 00, not 24', () => {
+  assert.equal(createDateFormatter({ timeZone: 'UTC' }).time('2025-10-03T00:15:00Z'), '00:15:00');
+});
+
+test('rejects unknown time zones and date formats', () => {
+  assert.throws(() => createDateFormatter({ timeZone: 'Mars/Base' }), /Unknown time zone: Mars\/Base/);
+  assert.throws(() => createDateFormatter({ dateFormat: 'not a locale' }), /Unknown date format: not a locale/);
+});
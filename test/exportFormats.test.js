@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { mergeMessageRecords, renderExport, saveExportRecords, updateRecordExport } from '../src/exportFormats.js';
+import { applyMessageChanges, generateRAGDocument, toMessageRecord } from '../src/ragGenerator.js';
+import { parseFrontMatter } from '../src/frontMatter.js';
+import { describePeriod, updatePeriod } from '../src/splitExport.js';
+import { createDateFormatter } from '../src/dateFormat.js';
+import { graphMessage, makeTempDir, user } from './helpers.js';
+
+const dates = createDateFormatter({ timeZone: 'UTC' });
+
+const alice = user('user-1', 'Alice');
+
+test('normalizes a message into a record', () => {
+  const record = toMessageRecord(graphMessage('2', '2025-10-01T09:05:00Z', alice, '<p><at id="0">Bob</at> see <b>this</b></p>', {
+    replyToId: '1',
+    mentions: [{ id: 0, mentionText: 'Bob', mentioned: { user: { id: 'user-2', displayName: 'Bob' } } }],
+    attachments: [{ id: 'a1', contentType: 'reference', contentUrl: 'https://example.com/plan.docx', name: 'plan.docx' }],
+    reactions: [{ reactionType: 'like', user: { user: { id: 'user-2' } } }],
+  }), { 'user-2': 'Bob' });
+
+  assert.equal(record.threadId, '1');
+  assert.deepEqual(record.sender, { id: 'user-1', name: 'Alice', type: 'user' });
+  assert.equal(record.text, '@Bob see **this**');
+  assert.deepEqual(record.mentions, [{ id: 'user-2', name: 'Bob', type: 'user' }]);
+  assert.equal(record.attachments[0].url, 'https://example.com/plan.docx');
+  assert.deepEqual(record.reactions, [{ type: 'like', userId: 'user-2', userName: 'Bob' }]);
+});
+
+test('merges new, edited and deleted messages', () => {
+  const records = [
+    toMessageRecord(graphMessage('1', '2025-10-01T09:00:00Z', alice, '<p>Hello</p>')),
+    toMessageRecord(graphMessage('2', '2025-10-01T09:05:00Z', alice, '<p>Hi</p>')),
+  ];
+  const edited = toMessageRecord(graphMessage('1', '2025-10-01T09:00:00Z', alice, '<p>Hello everyone</p>', {
+    lastModifiedDateTime: '2025-10-02T08:00:00Z',
+  }));
+  const deleted = toMessageRecord(graphMessage('2', '2025-10-01T09:05:00Z', alice, '<p></p>', {
+    deletedDateTime: '2025-10-02T08:30:00Z',
+    lastModifiedDateTime: '2025-10-02T08:30:00Z',
+  }));
+  const added = [
+    toMessageRecord(graphMessage('3', '2025-10-03T10:00:00Z', alice, '<p>Later</p>')),
+    toMessageRecord(graphMessage('2', '2025-10-01T09:05:00Z', alice, '<p>Hi</p>')),
+  ];
+
+  const result = mergeMessageRecords(records, added, [edited, deleted], { keepEditHistory: true });
+
+  assert.equal(result.addedCount, 1);
+  assert.deepEqual(result.summary, { edited: 1, deleted: 1, removed: 0, missing: 0 });
+  assert.deepEqual(result.records.map((record) => record.id), ['1', '2', '3']);
+  assert.equal(result.records[0].text, 'Hello everyone');
+  assert.deepEqual(result.records[0].editHistory, [
+    { text: 'Hello', lastModifiedDateTime: '2025-10-01T09:00:00Z', replacedDateTime: '2025-10-02T08:00:00Z' },
+  ]);
+  assert.equal(result.records[1].deletedDateTime, '2025-10-02T08:30:00Z');
+
+  const removed = mergeMessageRecords(records, [], [deleted], { deletedMode: 'remove' });
+  assert.deepEqual(removed.records.map((record) => record.id), ['1']);
+});
+
+test('counts marked deletions, but not removed ones, the same in every format and the split index', (t) => {
+  const dir = makeTempDir(t);
+  const messages = [
+    graphMessage('1', '2025-10-01T09:00:00Z', alice, '<p>Hello</p>'),
+    graphMessage('2', '2025-10-01T09:05:00Z', alice, '<p>Hi</p>'),
+    graphMessage('3', '2025-10-01T09:10:00Z', alice, '<p>Bye</p>'),
+  ];
+  const deleted = {
+    ...messages[1],
+    deletedDateTime: '2025-10-02T08:30:00Z',
+    lastModifiedDateTime: '2025-10-02T08:30:00Z',
+    body: { contentType: 'html', content: '' },
+  };
+  const options = { includeMetadata: true, metadata: {}, source: { chatId: 'chat-1' }, dates };
+
+  ['mark', 'remove'].forEach((deletedMode) => {
+    const markdownPath = path.join(dir, `${deletedMode}.md`);
+    fs.writeFileSync(markdownPath, generateRAGDocument(messages, {}, [], { chatId: 'chat-1', includeMetadata: true, dates }));
+    const changeSummary = applyMessageChanges(markdownPath, [deleted], {}, true, { dates, deletedMode });
+
+    const counts = {
+      markdown: parseFrontMatter(fs.readFileSync(markdownPath, 'utf8')).fields.message_count,
+      index: updatePeriod(describePeriod('2025-10.md', messages, {}), [], { addedCount: 0, changeSummary }, {}).messageCount,
+    };
+    ['json', 'html', 'txt'].forEach((format) => {
+      const outputPath = path.join(dir, `${deletedMode}.${format}`);
+      const records = messages.map((msg) => toMessageRecord(msg));
+      fs.writeFileSync(outputPath, renderExport(format, records, options));
+      saveExportRecords(outputPath, format, records);
+      updateRecordExport(outputPath, format, [], [toMessageRecord(deleted)], { ...options, deletedMode });
+
+      const content = fs.readFileSync(outputPath, 'utf8');
+      counts[format] = format === 'json'
+        ? JSON.parse(content).export.totalMessages
+        : Number(content.match(/Total Messages\D*(\d+)/)[1]);
+    });
+
+    const expected = deletedMode === 'mark' ? 3 : 2;
+    assert.deepEqual(counts, { markdown: expected, index: expected, json: expected, html: expected, txt: expected });
+  });
+});
+
+test('renders one JSON record per line in chronological order', () => {
+  const records = [
+    toMessageRecord(graphMessage('2', '2025-10-01T09:05:00Z', alice, '<p>Second</p>')),
+    toMessageRecord(graphMessage('1', '2025-10-01T09:00:00Z', alice, '<p>First</p>')),
+  ];
+  const lines = renderExport('jsonl', records, { dates }).trimEnd().split('\n');
+
+  assert.deepEqual(lines.map((line) => JSON.parse(line).text), ['First', 'Second']);
+});
+
+test('renders replies under their post in text exports', () => {
+  const records = [
+    toMessageRecord(graphMessage('1', '2025-10-01T09:00:00Z', alice, '<p>Release today?</p>')),
+    toMessageRecord(graphMessage('2', '2025-10-02T09:10:00Z', alice, '<p>Released</p>', { replyToId: '1' })),
+  ];
+  const text = renderExport('txt', records, { includeMetadata: false, groupByDate: true, dates });
+
+  assert.equal(text, [
+    'Teams Chat Export',
+    '',
+    '2025-10-01',
+    '----------',
+    '',
+    'Alice',
+    'Release today?',
+    '',
+    '  ↳ Alice',
+    '    Released',
+    '',
+  ].join('\n'));
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeExportStats, renderStatsReport } from '../src/exportStats.js';
+import { generateRAGDocument, generateStatistics, readMarkdownRecords, toMessageRecord } from '../src/ragGenerator.js';
+import { createDateFormatter } from '../src/dateFormat.js';
+import { graphMessage, user } from './helpers.js';
+
+const dates = createDateFormatter({ timeZone: 'UTC' });
+const alice = user('u-alice', 'Alice');
+const bob = user('u-bob', 'Bob');
+
+// Channel: a post with two replies, and a later post with an attachment and reactions
+const channelMessages = [
+  graphMessage('1', '2025-10-06T09:00:00Z', alice, '<p>Release today?</p>'),
+  graphMessage('2', '2025-10-06T09:04:00Z', bob, '<p>Yes, after lunch</p>', { replyToId: '1' }),
+  graphMessage('3', '2025-10-06T09:10:00Z', alice, '<p>Great</p>', { replyToId: '1' }),
+  graphMessage('4', '2025-10-07T14:30:00Z', bob, '<p>Release notes attached</p>', {
+    attachments: [{ id: 'a1', contentType: 'reference', contentUrl: 'https://example.com/notes.docx', name: 'notes.docx' }],
+    reactions: [
+      { reactionType: 'like', user: { user: { id: 'u-alice', displayName: 'Alice' } } },
+      { reactionType: 'heart', user: { user: { id: 'u-carol', displayName: 'Carol' } } },
+    ],
+  }),
+];
+
+test('reports participants, activity, response times and threads', () => {
+  const stats = computeExportStats(channelMessages.map((msg) => toMessageRecord(msg)), { timeZone: 'UTC', sourceType: 'channel' });
+
+  assert.deepEqual(stats.totals, {
+    messages: 4, replies: 2, systemEvents: 0, deleted: 0, participants: 2, attachments: 1, reactions: 2,
+  });
+  assert.deepEqual(stats.participants.map((user) => [user.name, user.messages, user.threadsStarted, user.reactionsGiven]), [
+    ['Alice', 2, 1, 1],
+    ['Bob', 2, 0, 0],
+    ['Carol', 0, 0, 1],
+  ]);
+  assert.deepEqual(stats.participants[1].topReactions, [{ type: 'heart', count: 1 }, { type: 'like', count: 1 }]);
+
+  // Monday 09:00 (three messages) and Tuesday 14:00
+  assert.equal(stats.activity.heatmap[0][9], 3);
+  assert.equal(stats.activity.heatmap[1][14], 1);
+  assert.deepEqual(stats.activity.busiestDays[0], { day: '2025-10-06', messages: 3, participants: 2, mostActive: 'Alice' });
+
+  // Bob answers after 4 minutes, Alice 6 minutes after Bob
+  assert.deepEqual(stats.responseTimes, { medianMinutes: 5, responses: 2, medianFirstReplyMinutes: 4, firstReplies: 1 });
+  assert.equal(stats.participants[1].medianResponseMinutes, 4);
+  assert.deepEqual(stats.threads, {
+    conversations: 2, withReplies: 1, averageMessages: 2, maxMessages: 3, maxDepth: 1, depthDistribution: { 0: 1, 1: 1 },
+  });
+  assert.deepEqual(stats.topAttachments, [{ name: 'notes.docx', count: 1, sharedBy: ['Bob'] }]);
+
+  const report = renderStatsReport(stats, { title: 'Releases' });
+  assert.match(report, /^# Chat Statistics: Releases\n/);
+  assert.match(report, /\| Alice \| 2 \| 1 \| 1 \| 0 \| 0 \| 1 \| – \| 6m 0s \|/);
+  assert.match(report, /- Median time to first reply: 4m 0s \(1 thread\)/);
+});
+
+test('reads a markdown export back, with quotes as deeper replies', () => {
+  const chatMessages = [
+    graphMessage('1', '2025-10-06T21:50:00Z', alice, '<p>Who has the budget sheet?</p>', {
+      attachments: [{ id: 'a1', contentType: 'reference', contentUrl: 'https://example.com/budget.xlsx', name: 'budget.xlsx' }],
+    }),
+    graphMessage('2', '2025-10-06T22:20:00Z', bob, '<p>I do</p>', {
+      attachments: [{ id: '1', contentType: 'messageReference', content: JSON.stringify({ messageId: '1', messagePreview: 'Who has the budget sheet?', messageSender: { user: { id: 'u-alice', displayName: 'Alice' } } }) }],
+      reactions: [{ reactionType: 'like', user: { user: { id: 'u-alice' } } }],
+    }),
+    graphMessage('3', '2025-10-07T08:00:00Z', alice, '<p>Thanks</p>'),
+  ];
+  const document = generateRAGDocument(chatMessages, { topic: 'Budget' }, [], {
+    chatId: 'chat-1',
+    dates: createDateFormatter({ timeZone: 'Europe/Berlin' }),
+  });
+
+  const records = readMarkdownRecords(document, 'Europe/Berlin');
+  assert.deepEqual(records.map((record) => [record.id, record.sender.name, record.createdDateTime]), [
+    ['1', 'Alice', '2025-10-06T21:50:00.000Z'],
+    ['2', 'Bob', '2025-10-06T22:20:00.000Z'],
+    ['3', 'Alice', '2025-10-07T08:00:00.000Z'],
+  ]);
+  assert.equal(records[1].quotedMessage.id, '1');
+  assert.deepEqual(records[0].attachments, [{ name: 'budget.xlsx' }]);
+
+  const stats = computeExportStats(records, { timeZone: 'Europe/Berlin', sourceType: 'chat' });
+  assert.equal(stats.period.activeDays, 2);
+  assert.equal(stats.threads.maxDepth, 1);
+  assert.equal(stats.threads.conversations, 2);
+  assert.equal(stats.participants[1].medianResponseMinutes, 30);
+  assert.equal(stats.participants[0].reactionsGiven, null);
+  assert.deepEqual(stats.reactions, [{ type: 'like', count: 1 }]);
+});
+
+test('counts participants of the inline statistics by sender ID', () => {
+  const stats = generateStatistics([
+    graphMessage('1', '2025-10-06T09:00:00Z', user('u-alex-1', 'Alex'), '<p>Hi</p>'),
+    graphMessage('2', '2025-10-06T09:01:00Z', user('u-alex-2', 'Alex'), '<p>Hello</p>'),
+    graphMessage('3', '2025-10-06T09:02:00Z', user('u-bob', null), '<p>Hey</p>'),
+  ], [{ userId: 'u-bob', displayName: 'Bob' }, { userId: 'u-carol', displayName: 'Carol' }], dates);
+
+  assert.equal(stats.totalParticipants, 3);
+  assert.deepEqual(stats.messagesByUser, { 'Alex (u-alex-1)': 1, 'Alex (u-alex-2)': 1, Bob: 1 });
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatFrontMatter, parseFrontMatter, updateFrontMatter } from '../src/frontMatter.js';
+
+test('writes and reads back front matter', () => {
+  const fields = {
+    source: 'chat',
+    chat_id: '19:abc@thread.v2',
+    topic: 'Launch "v2": plans',
+    participants: ['Alice', 'Bob'],
+    tags: [],
+    message_count: 42,
+    created: null,
+  };
+  const content = `${formatFrontMatter(fields)}\n\n# Export\n`;
+
+  assert.equal(content.split('\n')[2], 'chat_id: "19:abc@thread.v2"');
+  assert.deepEqual(parseFrontMatter(content).fields, fields);
+});
+
+test('reads unquoted values written by hand', () => {
+  const { fields } = parseFrontMatter('---\nsource: chat\ncount: 3\ndraft: false\nowner: ~\n---\n');
+
+  assert.deepEqual(fields, { source: 'chat', count: 3, draft: false, owner: null });
+});
+
+test('updates front matter and leaves the rest of the document alone', () => {
+  const content = '---\nmessage_count: 1\n---\n\n## 2025-10-03\n\n---\n';
+  const updated = updateFrontMatter(content, (fields) => ({ ...fields, message_count: fields.message_count + 1 }));
+
+  assert.equal(updated, '---\nmessage_count: 2\n---\n\n## 2025-10-03\n\n---\n');
+  assert.equal(parseFrontMatter('# No front matter\n'), null);
+});
@@ -0,0 +1,126 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { graphGet, onGraphRetry, startGraphRecording, startGraphReplay } from '../src/graphClient.js';
+import { makeTempDir } from './helpers.js';
+
+// Responses to send, by path, in order; the last one repeats
+const responses = {
+  '/throttled': [{ status: 429, headers: { 'Retry-After': '0' } }, { status: 200 }],
+  '/dated': [{ status: 503, headers: { 'Retry-After': new Date(Date.now() - 60000).toUTCString() } }, { status: 200 }],
+  '/far-dated': [{ status: 503, headers: { 'Retry-After': new Date(Date.now() + 86400000).toUTCString() } }, { status: 200 }],
+  '/unavailable': [{ status: 503 }],
+  '/missing': [{ status: 404 }],
+  '/v1.0/missing': [{ status: 404 }],
+  '/v1.0/chats/c1/messages?$top=50': [{ status: 200, body: { value: [{ id: '1' }], '@odata.nextLink': 'PAGE_2' } }],
+  '/v1.0/chats/c1/messages?$top=50&$skiptoken=2': [{ status: 200, body: { value: [{ id: '2' }] } }],
+};
+const requestCounts = {};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  process.env.GRAPH_MAX_RPS = '1000';
+  server = http.createServer((req, res) => {
+    const count = requestCounts[req.url] = (requestCounts[req.url] || 0) + 1;
+    const list = responses[req.url];
+    const { status, headers = {}, body = { value: [], attempt: count } } = list[Math.min(count, list.length) - 1];
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body).replace('PAGE_2', `${baseUrl}/v1.0/chats/c1/messages?$top=50&$skiptoken=2`));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+function collectRetries() {
+  const retries = [];
+  const stop = onGraphRetry((retry) => retries.push(retry));
+  return { retries, stop };
+}
+
+test('retries throttled and unavailable requests after their Retry-After', async () => {
+  const { retries, stop } = collectRetries();
+
+  const throttled = await graphGet('token', `${baseUrl}/throttled`);
+  assert.equal(throttled.data.attempt, 2);
+
+  // An HTTP date in the past means no wait
+  const dated = await graphGet('token', `${baseUrl}/dated`);
+  assert.equal(dated.data.attempt, 2);
+  stop();
+
+  assert.deepEqual(retries.map(({ attempt, delayMs, reason }) => ({ attempt, delayMs, reason })), [
+    { attempt: 1, delayMs: 0, reason: 'HTTP 429' },
+    { attempt: 1, delayMs: 0, reason: 'HTTP 503' },
+  ]);
+});
+
+test('caps a Retry-After date far in the future', async () => {
+  // Fail from the listener rather than wait out the capped delay
+  const retries = [];
+  const stop = onGraphRetry((retry) => {
+    retries.push(retry);
+    throw new Error('stop before sleeping');
+  });
+
+  await assert.rejects(graphGet('token', `${baseUrl}/far-dated`), /stop before sleeping/);
+  stop();
+
+  assert.equal(retries.length, 1);
+  assert.equal(retries[0].delayMs, 300000);
+});
+
+test('backs off with jitter and gives up after the maximum retries', async () => {
+  process.env.GRAPH_MAX_RETRIES = '1';
+  const { retries, stop } = collectRetries();
+
+  await assert.rejects(graphGet('token', `${baseUrl}/unavailable`), (error) => error.response.status === 503);
+  stop();
+  delete process.env.GRAPH_MAX_RETRIES;
+
+  // The first backoff is half fixed, half random: 500 to 1000 ms
+  assert.equal(requestCounts['/unavailable'], 2);
+  assert.equal(retries.length, 1);
+  assert.ok(retries[0].delayMs >= 500 && retries[0].delayMs <= 1000, `delay ${retries[0].delayMs}`);
+});
+
+test('does not retry client errors', async () => {
+  const { retries, stop } = collectRetries();
+
+  await assert.rejects(graphGet('token', `${baseUrl}/missing`), (error) => error.response.status === 404);
+  stop();
+
+  assert.equal(requestCounts['/missing'], 1);
+  assert.equal(retries.length, 0);
+});
+
+test('replays recorded responses by URL relative to the Graph endpoint', async (t) => {
+  const dir = makeTempDir(t);
+  const fetchAll = async (endpoint) => {
+    const ids = [];
+    let url = `${endpoint}/v1.0/chats/c1/messages?$top=50`;
+    while (url) {
+      const response = await graphGet('token', url);
+      ids.push(...response.data.value.map((msg) => msg.id));
+      url = response.data['@odata.nextLink'];
+    }
+    return ids;
+  };
+
+  process.env.GRAPH_ENDPOINT = baseUrl;
+  startGraphRecording(dir);
+  assert.deepEqual(await fetchAll(baseUrl), ['1', '2']);
+  await assert.rejects(graphGet('token', `${baseUrl}/v1.0/missing`));
+
+  // Another cloud's endpoint replays the same fixtures, following the recorded nextLink
+  process.env.GRAPH_ENDPOINT = 'https://graph.microsoft.us';
+  startGraphReplay(dir);
+  assert.deepEqual(await fetchAll('https://graph.microsoft.us'), ['1', '2']);
+  await assert.rejects(graphGet('token', 'https://graph.microsoft.us/v1.0/missing'), (error) => error.response.status === 404);
+  await assert.rejects(graphGet('token', 'https://graph.microsoft.us/v1.0/chats'), /No recorded Graph response for \/v1\.0\/chats in /);
+  assert.equal(requestCounts['/v1.0/chats/c1/messages?$top=50'], 1);
+  delete process.env.GRAPH_ENDPOINT;
+});
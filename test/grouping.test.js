@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatGroupHeading, groupIntoConversations, groupIntoSessions } from '../src/grouping.js';
+import { createDateFormatter } from '../src/dateFormat.js';
+
+const dates = createDateFormatter({ timeZone: 'UTC' });
+
+function thread(id, createdDateTime, replies = [], quotes = []) {
+  return {
+    message: { id, createdDateTime, quotes },
+    replies: replies.map(([replyId, replyDateTime, replyQuotes = []]) => ({
+      id: replyId,
+      createdDateTime: replyDateTime,
+      quotes: replyQuotes,
+    })),
+  };
+}
+
+test('starts a new session after a pause longer than the gap', () => {
+  const sessions = groupIntoSessions([
+    thread('1', '2025-10-03T23:50:00Z'),
+    thread('2', '2025-10-04T00:10:00Z', [['3', '2025-10-04T00:30:00Z']]),
+    // 30 minutes after the last reply still counts
+    thread('4', '2025-10-04T01:00:00Z'),
+    thread('5', '2025-10-04T01:31:00Z'),
+  ], 30);
+
+  assert.deepEqual(sessions.map((session) => session.threads.map((t) => t.message.id)), [['1', '2', '4'], ['5']]);
+  assert.equal(sessions[0].start.toISOString(), '2025-10-03T23:50:00.000Z');
+  assert.equal(sessions[0].end.toISOString(), '2025-10-04T01:00:00.000Z');
+});
+
+test('joins threads that quote each other into one conversation', () => {
+  const conversations = groupIntoConversations([
+    thread('1', '2025-10-03T09:00:00Z'),
+    thread('2', '2025-10-03T09:01:00Z'),
+    thread('3', '2025-10-03T09:02:00Z', [['4', '2025-10-03T09:03:00Z', ['1']]]),
+    thread('5', '2025-10-03T09:04:00Z', [], ['missing']),
+  ], (msg) => msg.quotes);
+
+  assert.deepEqual(conversations.map((c) => c.threads.map((t) => t.message.id)), [['1', '3'], ['2'], ['5']]);
+  assert.equal(conversations[0].end.toISOString(), '2025-10-03T09:03:00.000Z');
+});
+
+test('heads a group with its time span and participants', () => {
+  const start = new Date('2025-10-03T09:00:00Z');
+
+  assert.equal(
+    formatGroupHeading({ start, end: new Date('2025-10-03T09:42:10Z'), participants: ['Alice', 'Bob'] }, dates),
+    '2025-10-03 09:00:00 – 09:42:10 (Alice, Bob)'
+  );
+  assert.equal(
+    formatGroupHeading({ start, end: new Date('2025-10-04T00:15:00Z'), participants: ['A', 'B', 'C', 'D', 'E', 'F', 'G'] }, dates),
+    '2025-10-03 09:00:00 – 2025-10-04 00:15:00 (A, B, C, D, E and 2 others)'
+  );
+  assert.equal(formatGroupHeading({ start, end: start, participants: [] }, dates), '2025-10-03 09:00:00');
+});
@@ -0,0 +1,46 @@
+/**
+ * Helpers shared by the tests: temporary directories, and builders for the
+ * Graph objects the tests feed to exports
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Creates a temporary directory that is removed when the test ends
+ * @param {Object} t - Test context
+ * @returns {string} Directory path
+ */
+export function makeTempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'teams-to-rag-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Builds a Graph chatMessage
+ * @param {string} id - Message ID
+ * @param {string} createdDateTime - When it was sent (also its lastModifiedDateTime)
+ * @param {Object|null} from - Sender identity set, e.g. from user()
+ * @param {string} content - HTML body
+ * @param {Object} extra - Further properties, overriding the defaults
+ * @returns {Object} Message
+ */
+export function graphMessage(id, createdDateTime, from, content, extra = {}) {
+  return {
+    id,
+    messageType: 'message',
+    createdDateTime,
+    lastModifiedDateTime: createdDateTime,
+    from,
+    body: { contentType: 'html', content },
+    ...extra,
+  };
+}
+
+/**
+ * Builds the identity set of a user, as in a message's from
+ */
+export function user(id, displayName) {
+  return { user: { id, displayName } };
+}
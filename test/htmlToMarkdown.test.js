@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { htmlToMarkdown } from '../src/htmlToMarkdown.js';
+
+// Each fixtures/html/<name>.html is a Teams message body, <name>.md the expected Markdown
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'html');
+
+fs.readdirSync(fixturesDir)
+  .filter((file) => file.endsWith('.html'))
+  .forEach((file) => {
+    const name = path.basename(file, '.html');
+
+    test(`converts ${name}`, () => {
+      const html = fs.readFileSync(path.join(fixturesDir, file), 'utf8');
+      const expected = fs.readFileSync(path.join(fixturesDir, `${name}.md`), 'utf8');
+
+      assert.equal(htmlToMarkdown(html), expected.trimEnd());
+    });
+  });
+
+test('links downloaded hosted images and drops the rest', () => {
+  const src = 'https://graph.microsoft.com/v1.0/chats/19:abc/messages/1/hostedContents/aWQ9/$value';
+  const html = `<p>Before<img alt="screenshot" src="${src}"> and <img src="https://example.com/other.png"></p>`;
+
+  assert.equal(
+    htmlToMarkdown(html, { localAssets: { [src]: 'assets/0123456789abcdef.png' } }),
+    'Before![screenshot](assets/0123456789abcdef.png) and'
+  );
+});
+
+test('survives unclosed and stray tags', () => {
+  assert.equal(htmlToMarkdown('<ul><li>one<li>two</ul></span><p>end'), '- one\n- two\n\nend');
+});
+
+test('resolves mentions, showing a name split over several tags once', () => {
+  const html = '<p><at id="0">Megan</at> <at id="1">Bowen</at> and <at id="2">General</at>, please check with <at id="3">Alex</at></p>';
+  const mentions = {
+    0: { name: 'Megan Bowen', key: 'user-1' },
+    1: { name: 'Megan Bowen', key: 'user-1' },
+    2: { name: 'General', key: 'channel-1' },
+  };
+
+  assert.equal(htmlToMarkdown(html, { mentions }), '@Megan Bowen and @General, please check with @Alex');
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMessageFilter, describeFilters, parseMessageFilters, resolveRunFilters } from '../src/messageFilters.js';
+import { graphMessage } from './helpers.js';
+
+const alice = { user: { id: 'u-alice', displayName: 'Alice' } };
+const bob = { user: { id: 'u-bob', displayName: null } };
+const jira = { application: { id: 'app-jira', displayName: 'Jira Cloud' } };
+
+const messages = [
+  graphMessage('1', '2025-03-01T08:00:00Z', alice, '<p>Starting the <b>deploy</b> now</p>'),
+  graphMessage('2', '2025-03-15T09:00:00Z', bob, '<p>ok</p>'),
+  graphMessage('3', '2025-03-31T21:30:00Z', jira, '<p>PROJ-1 deployed to production</p>'),
+  graphMessage('4', '2025-04-01T07:00:00Z', null, '<systemEventMessage/>', { messageType: 'systemEventMessage' }),
+];
+
+function keptIds(options, members = []) {
+  const isKept = createMessageFilter(parseMessageFilters(options, 'Europe/Berlin'), members);
+  return messages.filter(isKept).map((msg) => msg.id);
+}
+
+test('reads days in the time zone and includes the --until day', () => {
+  const filters = parseMessageFilters({ since: '2025-03-01', until: '2025-03-31' }, 'Europe/Berlin');
+
+  assert.deepEqual(filters, { since: '2025-02-28T23:00:00.000Z', until: '2025-03-31T22:00:00.000Z' });
+  assert.deepEqual(keptIds({ since: '2025-03-01', until: '2025-03-31' }), ['1', '2', '3']);
+  assert.deepEqual(keptIds({ since: '2025-03-15T09:00:00Z' }), ['2', '3', '4']);
+  assert.throws(() => parseMessageFilters({ until: '2025-02-30' }, 'UTC'), /Invalid --until date/);
+  assert.equal(parseMessageFilters({ from: [], excludeBots: false }, 'UTC'), null);
+});
+
+test('filters by sender name, member email or ID, and leaves out bots and system events', () => {
+  const members = [{ userId: 'u-bob', displayName: 'Bob', email: 'bob@contoso.com' }];
+
+  assert.deepEqual(keptIds({ from: ['alice', 'BOB@contoso.com'] }, members), ['1', '2']);
+  assert.deepEqual(keptIds({ from: ['u-bob'] }), ['2']);
+  assert.deepEqual(keptIds({ excludeFrom: ['Jira Cloud'] }), ['1', '2', '4']);
+  assert.deepEqual(keptIds({ excludeBots: true, excludeSystem: true }), ['1', '2']);
+});
+
+test('matches and counts the words of the message text', () => {
+  assert.deepEqual(keptIds({ match: 'deploy' }), ['1', '3']);
+  assert.deepEqual(keptIds({ match: '^starting the \\*\\*deploy\\*\\* now$' }), ['1']);
+  assert.deepEqual(keptIds({ minWords: 3 }), ['1', '3']);
+  assert.throws(() => parseMessageFilters({ match: '(' }, 'UTC'), /Invalid --match pattern/);
+
+  assert.deepEqual(
+    describeFilters(parseMessageFilters({ excludeBots: true, match: 'deploy', minWords: 1 }, 'UTC')),
+    ['excluding bots', 'matching /deploy/i', 'at least 1 word']
+  );
+});
+
+test('keeps the filters an export was written with on a run without filter options', () => {
+  const written = parseMessageFilters({ since: '2025-03-01', excludeBots: true }, 'UTC');
+  const syncState = { version: 1, filters: JSON.parse(JSON.stringify(written)) };
+
+  assert.deepEqual(resolveRunFilters(parseMessageFilters({}, 'UTC'), syncState), written);
+
+  // Other filters replace them (and rebuild the export), and unfiltered exports stay unfiltered
+  const other = parseMessageFilters({ excludeBots: true }, 'UTC');
+  assert.equal(resolveRunFilters(other, syncState), other);
+  assert.equal(resolveRunFilters(null, { version: 1, filters: null }), null);
+  assert.equal(resolveRunFilters(null, null), null);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { applyProfile, resolveProfile } from '../src/profiles.js';
+import { makeTempDir } from './helpers.js';
+
+function writeProfiles(t, config) {
+  process.env.TEAMS_TO_RAG_PROFILES = path.join(makeTempDir(t), 'profiles.json');
+  fs.writeFileSync(process.env.TEAMS_TO_RAG_PROFILES, JSON.stringify(config));
+}
+
+const config = {
+  defaultProfile: 'contoso',
+  profiles: {
+    contoso: { tenantId: 't-contoso', clientId: 'c-contoso', authMode: 'delegated', credentials: { account: 'me@contoso.com' } },
+    fabrikam: {
+      tenantId: 't-fabrikam',
+      clientId: 'c-fabrikam',
+      credentials: { clientSecretEnv: 'FABRIKAM_CLIENT_SECRET' },
+      graphEndpoint: 'https://graph.microsoft.us',
+      outputDir: './output/fabrikam',
+    },
+    broken: { tenantId: 't-broken' },
+  },
+};
+
+test('resolves the named, environment or default profile', (t) => {
+  writeProfiles(t, config);
+  delete process.env.TEAMS_TO_RAG_PROFILE;
+
+  assert.equal(resolveProfile().name, 'contoso');
+  assert.deepEqual(resolveProfile('fabrikam').credentials, { clientSecretEnv: 'FABRIKAM_CLIENT_SECRET' });
+  assert.equal(resolveProfile('fabrikam').authMode, 'application');
+
+  process.env.TEAMS_TO_RAG_PROFILE = 'fabrikam';
+  assert.equal(resolveProfile().name, 'fabrikam');
+  delete process.env.TEAMS_TO_RAG_PROFILE;
+
+  assert.throws(() => resolveProfile('missing'), /Profile not found: missing\. Available profiles: contoso, fabrikam, broken/);
+  assert.throws(() => resolveProfile('broken'), /Profile 'broken' is missing: clientId/);
+
+  writeProfiles(t, { profiles: {} });
+  assert.equal(resolveProfile(), null);
+});
+
+test('applies a profile over the .env settings', (t) => {
+  writeProfiles(t, config);
+  Object.assign(process.env, { AUTH_ACCOUNT: 'other@contoso.com', CLIENT_CERT_PATH: './cert.pem', FABRIKAM_CLIENT_SECRET: 's3cret' });
+
+  applyProfile(resolveProfile('fabrikam'));
+  assert.equal(process.env.TENANT_ID, 't-fabrikam');
+  assert.equal(process.env.AUTH_MODE, 'application');
+  assert.equal(process.env.CLIENT_SECRET, 's3cret');
+  assert.equal(process.env.GRAPH_ENDPOINT, 'https://graph.microsoft.us');
+  assert.equal(process.env.OUTPUT_DIR, './output/fabrikam');
+  assert.equal(process.env.AUTH_ACCOUNT, undefined);
+  assert.equal(process.env.CLIENT_CERT_PATH, undefined);
+
+  applyProfile(resolveProfile('contoso'));
+  assert.equal(process.env.AUTH_ACCOUNT, 'me@contoso.com');
+  assert.equal(process.env.CLIENT_SECRET, undefined);
+  assert.equal(process.env.GRAPH_ENDPOINT, undefined);
+
+  delete process.env.FABRIKAM_CLIENT_SECRET;
+  assert.throws(() => applyProfile(resolveProfile('fabrikam')), /reads its client secret from FABRIKAM_CLIENT_SECRET, which is not set/);
+});
+
+test('reads a client secret kept in CLIENT_SECRET itself', (t) => {
+  const fabrikam = { ...config.profiles.fabrikam, credentials: { clientSecretEnv: 'CLIENT_SECRET' } };
+  writeProfiles(t, { profiles: { fabrikam } });
+  process.env.CLIENT_SECRET = 's3cret';
+
+  // Read before the profile's variables are cleared
+  applyProfile(resolveProfile('fabrikam'));
+  assert.equal(process.env.CLIENT_SECRET, 's3cret');
+});
@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { appendMessagesToExport, applyMessageChanges, generateRAGDocument } from '../src/ragGenerator.js';
+import { parseFrontMatter } from '../src/frontMatter.js';
+import { createDateFormatter } from '../src/dateFormat.js';
+import { graphMessage, makeTempDir, user } from './helpers.js';
+
+const dates = createDateFormatter({ timeZone: 'UTC' });
+const alice = user('u-alice', 'Alice');
+const bob = user('u-bob', 'Bob');
+
+const messages = [
+  graphMessage('1', '2025-10-01T09:00:00Z', alice, '<p>Hello</p>'),
+  graphMessage('2', '2025-10-01T09:05:00Z', bob, '<p>Hi</p>'),
+  graphMessage('3', '2025-10-02T10:00:00Z', alice, '<p>Bye</p>'),
+];
+
+function writeExport(t, exportMessages, source = { chatId: 'chat-1' }) {
+  const outputPath = path.join(makeTempDir(t), 'chat.md');
+  fs.writeFileSync(outputPath, generateRAGDocument(exportMessages, { topic: 'Planning' }, [], {
+    ...source,
+    includeMetadata: true,
+    dates,
+  }));
+  return outputPath;
+}
+
+// The export's headings and messages in order: '##' for a heading, the ID for a message
+function readOutline(outputPath) {
+  return fs.readFileSync(outputPath, 'utf8')
+    .split('\n')
+    .filter((line) => line.startsWith('## ') || line.startsWith('<!-- msg:'))
+    .map((line) => (line.startsWith('## ') ? '##' : line.match(/msg:(\S+)/)[1]));
+}
+
+function readFrontMatter(outputPath) {
+  return parseFrontMatter(fs.readFileSync(outputPath, 'utf8')).fields;
+}
+
+function edited(msg, content, lastModifiedDateTime) {
+  return { ...msg, lastModifiedDateTime, body: { contentType: 'html', content } };
+}
+
+function deleted(msg, deletedDateTime) {
+  return { ...msg, deletedDateTime, lastModifiedDateTime: deletedDateTime, body: { contentType: 'html', content: '' } };
+}
+
+test('rewrites edited and marks deleted messages in place', (t) => {
+  const outputPath = writeExport(t, messages);
+  const changes = [
+    edited(messages[0], '<p>Hello everyone</p>', '2025-10-03T08:00:00Z'),
+    deleted(messages[1], '2025-10-03T08:30:00Z'),
+    edited(graphMessage('9', '2025-09-01T09:00:00Z', bob, '<p>Older</p>'), '<p>Older!</p>', '2025-10-03T09:00:00Z'),
+  ];
+
+  const summary = applyMessageChanges(outputPath, changes, {}, true, { dates, keepEditHistory: true });
+  assert.deepEqual(summary, { edited: 1, deleted: 1, removed: 0, missing: 1 });
+
+  const content = fs.readFileSync(outputPath, 'utf8');
+  assert.match(content, /<!-- msg:1 modified:2025-10-03T08:00:00Z -->.*\n\*\*Alice\*\* - 09:00:00\nHello everyone\n\n\*Before edit on 2025-10-03 08:00:00:\*\n> Hello\n/);
+  assert.match(content, /<!-- msg:2 deleted:2025-10-03T08:30:00Z -->.*\n\*\*Bob\*\* - 09:05:00\n\*This message was deleted\.\*\n/);
+
+  // A marked message is still in the export, and still counted
+  assert.equal(readFrontMatter(outputPath).message_count, 3);
+
+  // Changes that are already applied leave the file alone
+  assert.deepEqual(applyMessageChanges(outputPath, changes, {}, true, { dates, keepEditHistory: true }), {
+    edited: 0, deleted: 0, removed: 0, missing: 1,
+  });
+  assert.equal(fs.readFileSync(outputPath, 'utf8'), content);
+});
+
+test('removes deleted messages, and headings left without messages', (t) => {
+  const outputPath = writeExport(t, messages);
+
+  const summary = applyMessageChanges(outputPath, [deleted(messages[2], '2025-10-03T08:30:00Z')], {}, true, {
+    dates,
+    deletedMode: 'remove',
+  });
+  assert.deepEqual(summary, { edited: 0, deleted: 1, removed: 1, missing: 0 });
+
+  const content = fs.readFileSync(outputPath, 'utf8');
+  assert.doesNotMatch(content, /msg:3|## 2025-10-02|Bye/);
+  assert.match(content, /\nHi\n+$/);
+  assert.equal(readFrontMatter(outputPath).message_count, 2);
+});
+
+test('marks a deleted channel post that has replies instead of removing it', (t) => {
+  const post = graphMessage('1', '2025-10-01T09:00:00Z', alice, '<p>Release today?</p>');
+  const outputPath = writeExport(t, [post, graphMessage('2', '2025-10-01T09:05:00Z', bob, '<p>Yes</p>', { replyToId: '1' })]);
+
+  const summary = applyMessageChanges(outputPath, [deleted(post, '2025-10-03T08:30:00Z')], {}, true, {
+    dates,
+    deletedMode: 'remove',
+  });
+  assert.deepEqual(summary, { edited: 0, deleted: 1, removed: 0, missing: 0 });
+
+  const content = fs.readFileSync(outputPath, 'utf8');
+  assert.match(content, /<!-- msg:1 deleted:2025-10-03T08:30:00Z -->/);
+  assert.match(content, /msg:2 /);
+  assert.equal(readFrontMatter(outputPath).message_count, 2);
+});
+
+test('merges appended messages into their date section and thread', (t) => {
+  const post = graphMessage('1', '2025-10-01T09:00:00Z', alice, '<p>Release today?</p>');
+  const outputPath = writeExport(t, [
+    post,
+    graphMessage('2', '2025-10-01T09:05:00Z', bob, '<p>Yes</p>', { replyToId: '1' }),
+    graphMessage('3', '2025-10-02T10:00:00Z', alice, '<p>Released</p>'),
+  ], { teamId: 'team-1', channelId: 'channel-1' });
+
+  const added = appendMessagesToExport(outputPath, [
+    graphMessage('4', '2025-10-02T11:00:00Z', bob, '<p>Thanks</p>', { replyToId: '1' }),
+    graphMessage('5', '2025-10-02T12:00:00Z', bob, '<p>Notes are up</p>'),
+    graphMessage('6', '2025-10-03T08:00:00Z', alice, '<p>Next steps</p>'),
+  ], {}, true, { groupBy: 'date' }, dates);
+  assert.equal(added, 3);
+
+  // The late reply joins its thread, the new post its day, and the next day gets a heading
+  assert.deepEqual(readOutline(outputPath), ['##', '1', '2', '4', '##', '3', '5', '##', '6']);
+  assert.match(fs.readFileSync(outputPath, 'utf8'), /<!-- msg:4 .+\n> ↳ \*\*Bob\*\* - 2025-10-02 11:00:00\n> Thanks\n/);
+  const fields = readFrontMatter(outputPath);
+  assert.equal(fields.message_count, 6);
+  assert.equal(fields.date_end, '2025-10-03T08:00:00.000Z');
+});
+
+test('skips messages that are already in the export', (t) => {
+  const outputPath = writeExport(t, messages);
+  const content = fs.readFileSync(outputPath, 'utf8');
+
+  // Repeating a run leaves the file untouched
+  assert.equal(appendMessagesToExport(outputPath, messages.slice(1), {}, true, { groupBy: 'date' }, dates), 0);
+  assert.equal(fs.readFileSync(outputPath, 'utf8'), content);
+
+  // An overlapping run only adds what is new, once
+  const later = graphMessage('4', '2025-10-02T11:00:00Z', bob, '<p>See you</p>');
+  assert.equal(appendMessagesToExport(outputPath, [messages[2], later, later], {}, true, { groupBy: 'date' }, dates), 1);
+
+  assert.deepEqual(readOutline(outputPath), ['##', '1', '2', '##', '3', '4']);
+  assert.equal(readFrontMatter(outputPath).message_count, 4);
+});
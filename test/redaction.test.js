@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createRedactor, loadRedactionRules } from '../src/redaction.js';
+import { graphMessage, makeTempDir, user } from './helpers.js';
+
+function tempPath(t, name) {
+  return path.join(makeTempDir(t), name);
+}
+
+test('masks emails, phone and card numbers but keeps dates, links and IDs', (t) => {
+  const redactor = createRedactor({ mapPath: tempPath(t, 'pseudonyms.json') });
+  const text = redactor.redactText(
+    'Mail bob.jones@contoso.com or call +1 (425) 555-0100. Card 4111 1111 1111 1111, ' +
+    'not 4111 1111 1111 1112. Due 2025-10-03 09:00:00 on 10.0.0.12 (build 10.0.19045.3803), ' +
+    'see https://teams.microsoft.com/l/message/19:abc/1727773500000'
+  );
+
+  assert.equal(
+    text,
+    'Mail [EMAIL] or call [PHONE]. Card [CARD], ' +
+    'not 4111 1111 1111 1112. Due 2025-10-03 09:00:00 on 10.0.0.12 (build 10.0.19045.3803), ' +
+    'see https://teams.microsoft.com/l/message/19:abc/1727773500000'
+  );
+  assert.deepEqual(redactor.getReport().counts, { email: 1, phone: 1, card: 1 });
+});
+
+test('gives people the same pseudonym in every run through the mapping file', (t) => {
+  const mapPath = tempPath(t, 'pseudonyms.json');
+  const first = createRedactor({ mapPath });
+  const [alice, bob] = first.redact([
+    graphMessage('1', '2025-10-03T09:00:00Z', user('u-alice', 'Alice Smith'), '<p>Hi team</p>'),
+    graphMessage('2', '2025-10-03T09:00:00Z', user('u-bob', 'Bob Jones'), '<p>Thanks Alice, I will ask Alice Smith</p>'),
+  ]);
+  first.saveMap();
+
+  assert.equal(alice.from.user.displayName, 'Person-01');
+  assert.equal(alice.from.user.id, 'u-alice');
+  assert.equal(bob.body.content, '<p>Thanks Person-01, I will ask Person-01</p>');
+  assert.equal(fs.statSync(mapPath).mode & 0o777, 0o600);
+
+  const second = createRedactor({ mapPath });
+  const [carol, bobAgain] = second.redact([
+    graphMessage('3', '2025-10-03T09:00:00Z', user('u-carol', 'Carol White'), '<p>Bob?</p>'),
+    graphMessage('4', '2025-10-03T09:00:00Z', user('u-bob', 'Bob Jones'), '<p>Yes</p>'),
+  ]);
+
+  assert.equal(carol.from.user.displayName, 'Person-03');
+  assert.equal(carol.body.content, '<p>Person-02?</p>');
+  assert.equal(bobAgain.from.user.displayName, 'Person-02');
+  assert.equal(second.getReport().newPeople, 1);
+});
+
+test('applies regex and dictionary rules from a rules file', (t) => {
+  const rulesPath = tempPath(t, 'rules.json');
+  fs.writeFileSync(rulesPath, JSON.stringify({
+    builtins: ['email'],
+    rules: [
+      { name: 'employee-id', pattern: 'EMP-\\d{6}', replacement: '[EMPLOYEE-ID]' },
+      { name: 'codename', terms: ['Falcon'], replacement: '[PROJECT]' },
+    ],
+  }));
+
+  const redactor = createRedactor({ rules: loadRedactionRules(rulesPath), mapPath: tempPath(t, 'pseudonyms.json') });
+
+  assert.equal(
+    redactor.redactText('EMP-123456 moves falcon to ops@contoso.com, call 425 555 0100 (not Falconer)'),
+    '[EMPLOYEE-ID] moves [PROJECT] to [EMAIL], call 425 555 0100 (not Falconer)'
+  );
+  assert.throws(() => loadRedactionRules(rulesPath.replace('rules.json', 'missing.json')), /Failed to read redaction rules/);
+});
+
+test('keeps URLs, tag attributes and Teams thread IDs but masks alt text', (t) => {
+  const redactor = createRedactor({ mapPath: tempPath(t, 'pseudonyms.json') });
+  const src = 'https://graph.microsoft.com/v1.0/teams/t1/channels/19:abcDEF123@thread.tacv2/messages/1/hostedContents/aGMx/$value';
+  const [msg] = redactor.redact([
+    graphMessage('1', '2025-10-03T09:00:00Z', user('u-bob', 'Bob Jones'), `<p>Bob, see <img alt="bob@contoso.com" src="${src}"> in 19:a1_b2@unq.gbl.spaces</p>`),
+  ]);
+
+  assert.equal(msg.body.content, `<p>Person-01, see <img alt="[EMAIL]" src="${src}"> in 19:a1_b2@unq.gbl.spaces</p>`);
+  assert.equal(redactor.redactText('Ask bob@contoso.com <bob@contoso.com>'), 'Ask [EMAIL] <[EMAIL]>');
+});
+
+test('masks names and emails in URL paths and queries but keeps hosts and IDs', (t) => {
+  const redactor = createRedactor({ mapPath: tempPath(t, 'pseudonyms.json') });
+  const site = 'https://contoso-my.sharepoint.com/personal/john_doe_contoso_com/Documents';
+  const src = `${site}/Pictures/John%20Doe%20at%20the%20offsite.png`;
+  const [msg] = redactor.redact([
+    graphMessage('1', '2025-10-03T09:00:00Z', user('u-john', 'John Doe'), [
+      `<p><a href="${site}/Notes%20from%20John.docx?web=1&amp;id=01BYE5RZ6QN3ZWBTUFOFD3GSPGOHDJD36K">Notes</a>`,
+      '<a href="mailto:john.doe@contoso.com?subject=Hi%20John">mail</a>',
+      `<img src="${src}"></p>`,
+    ].join(' '), {
+      attachments: [{ id: 'a1', contentType: 'reference', contentUrl: `${site}/Plan.docx`, name: 'Plan.docx' }],
+      localAssets: { [src]: 'assets/offsite.png' },
+    }),
+  ]);
+
+  const maskedSite = 'https://contoso-my.sharepoint.com/personal/[EMAIL]/Documents';
+  const maskedSrc = `${maskedSite}/Pictures/Person-01%20at%20the%20offsite.png`;
+  assert.equal(msg.body.content, [
+    `<p><a href="${maskedSite}/Notes%20from%20Person-01.docx?web=1&amp;id=01BYE5RZ6QN3ZWBTUFOFD3GSPGOHDJD36K">Notes</a>`,
+    '<a href="mailto:[EMAIL]?subject=Hi%20Person-01">mail</a>',
+    `<img src="${maskedSrc}"></p>`,
+  ].join(' '));
+  assert.equal(msg.attachments[0].contentUrl, `${maskedSite}/Plan.docx`);
+  // Downloaded images are still found by their masked src
+  assert.deepEqual(msg.localAssets, { [maskedSrc]: 'assets/offsite.png' });
+  assert.deepEqual(redactor.getReport().counts, { pseudonym: 1, email: 4, person: 3 });
+
+  // Chat and Graph links are made of IDs
+  const link = 'https://teams.microsoft.com/l/message/19%3Aa1b2%40thread.v2/1727773500000?tenantId=72f988bf-86f1-41af-91ab-2d7cd011db47';
+  assert.equal(redactor.redactText(`See ${link}`), `See ${link}`);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPeriodKey, groupByPeriod, renderSplitIndex, updatePeriod } from '../src/splitExport.js';
+import { createDateFormatter } from '../src/dateFormat.js';
+
+const dates = createDateFormatter({ timeZone: 'UTC' });
+
+test('names periods by day, ISO week and month', () => {
+  assert.equal(getPeriodKey('2025-10-03T09:00:00Z', 'day', dates), '2025-10-03');
+  assert.equal(getPeriodKey('2025-10-03T09:00:00Z', 'week', dates), '2025-W40');
+  assert.equal(getPeriodKey('2025-10-03T09:00:00Z', 'month', dates), '2025-10');
+
+  // ISO weeks belong to the year of their Thursday
+  assert.equal(getPeriodKey('2025-12-29T12:00:00Z', 'week', dates), '2026-W01');
+  assert.equal(getPeriodKey('2021-01-03T12:00:00Z', 'week', dates), '2020-W53');
+});
+
+test('puts posts into the period they were posted in, in the export time zone', () => {
+  const tokyo = createDateFormatter({ timeZone: 'Asia/Tokyo' });
+  const periods = groupByPeriod([
+    { id: '1', createdDateTime: '2025-09-30T14:00:00Z' },
+    { id: '2', createdDateTime: '2025-09-30T16:00:00Z' },
+    { id: '3', createdDateTime: '2025-10-01T09:00:00Z' },
+  ], 'month', tokyo);
+
+  assert.deepEqual([...periods.keys()], ['2025-09', '2025-10']);
+  assert.deepEqual(periods.get('2025-10').map((msg) => msg.id), ['2', '3']);
+});
+
+test('puts replies into the period of their post', () => {
+  const periods = groupByPeriod([
+    { id: '1', createdDateTime: '2025-09-30T14:00:00Z' },
+    { id: '2', createdDateTime: '2025-10-01T09:00:00Z', replyToId: '1' },
+    { id: '3', createdDateTime: '2025-10-02T09:00:00Z', replyToId: 'exported' },
+    { id: '4', createdDateTime: '2025-10-03T09:00:00Z', replyToId: 'unknown' },
+  ], 'month', dates, (msg) => (msg.replyToId === 'exported' ? '2025-08' : null));
+
+  assert.deepEqual([...periods.keys()], ['2025-09', '2025-08', '2025-10']);
+  assert.deepEqual(periods.get('2025-09').map((msg) => msg.id), ['1', '2']);
+  assert.deepEqual(periods.get('2025-08').map((msg) => msg.id), ['3']);
+  assert.deepEqual(periods.get('2025-10').map((msg) => msg.id), ['4']);
+});
+
+test('counts only removed deletions out of a period', () => {
+  const period = { file: '2025-10.md', messageCount: 3, participants: ['Alice'], start: '2025-10-01T09:00:00.000Z', end: '2025-10-02T09:00:00.000Z' };
+  const marked = { addedCount: 0, changeSummary: { edited: 0, deleted: 1, removed: 0, missing: 0 } };
+  const removed = { addedCount: 0, changeSummary: { edited: 0, deleted: 1, removed: 1, missing: 0 } };
+
+  assert.equal(updatePeriod(period, [], marked, {}).messageCount, 3);
+  assert.equal(updatePeriod(period, [], removed, {}).messageCount, 2);
+});
+
+test('links every period from the index', () => {
+  const index = renderSplitIndex({
+    '2025-10': { file: '2025-10.md', messageCount: 3, participants: ['Bob'] },
+    '2025-09': { file: '2025-09.md', messageCount: 2, participants: ['Alice', 'Bob'] },
+  }, { includeMetadata: false, splitBy: 'month', dates });
+
+  assert.equal(index, [
+    '# Teams Chat Export for RAG',
+    '',
+    '| Period | Messages | Participants |',
+    '|--------|----------|--------------|',
+    '| [2025-09](2025-09.md) | 2 | Alice, Bob |',
+    '| [2025-10](2025-10.md) | 3 | Bob |',
+    '',
+  ].join('\n'));
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import {
+  computeExportChecksum,
+  getSyncStatePath,
+  hasExportDrifted,
+  isSyncStateForSource,
+  loadSyncState,
+  saveSyncState,
+} from '../src/syncState.js';
+import { makeTempDir } from './helpers.js';
+
+function tempExport(t, content) {
+  const outputPath = path.join(makeTempDir(t), 'channel-General.md');
+  fs.writeFileSync(outputPath, content);
+  return outputPath;
+}
+
+test('migrates the unversioned channel delta state', (t) => {
+  const outputPath = tempExport(t, '# Export\n');
+  fs.writeFileSync(getSyncStatePath(outputPath), JSON.stringify({
+    teamId: 'team-1',
+    channelId: '19:general@thread.tacv2',
+    deltaLink: 'https://graph.microsoft.com/v1.0/teams/team-1/channels/c/messages/delta?$deltatoken=abc',
+    lastMessageDateTime: '2025-10-01T09:00:00Z',
+    updatedAt: '2025-10-02T08:00:00Z',
+  }));
+
+  const state = loadSyncState(outputPath);
+  assert.deepEqual(state.source, { type: 'channel', teamId: 'team-1', channelId: '19:general@thread.tacv2' });
+  assert.equal(state.version, 1);
+  assert.equal(state.strategy, 'delta');
+  assert.match(state.deltaLink, /deltatoken=abc$/);
+  assert.equal(state.lastSyncDateTime, '2025-10-02T08:00:00Z');
+  // Written before date formats were recorded, in the machine's locale
+  assert.equal(state.dateFormat, 'locale');
+  assert.equal(state.checksum, null);
+
+  assert.equal(isSyncStateForSource(state, { teamId: 'team-1', channelId: '19:general@thread.tacv2' }), true);
+  assert.equal(isSyncStateForSource(state, { teamId: 'team-1', channelId: '19:random@thread.tacv2' }), false);
+  assert.equal(isSyncStateForSource(state, { chatId: '19:general@thread.tacv2' }), false);
+});
+
+test('detects exports changed since the last run', (t) => {
+  const outputPath = tempExport(t, '# Export\n\nHello\n');
+  saveSyncState(outputPath, { source: { type: 'chat', chatId: 'chat-1' }, checksum: computeExportChecksum(outputPath) });
+
+  const state = loadSyncState(outputPath);
+  assert.equal(state.version, 1);
+  assert.ok(state.updatedAt);
+  assert.equal(hasExportDrifted(outputPath, state), false);
+
+  fs.appendFileSync(outputPath, 'Edited by hand\n');
+  assert.equal(hasExportDrifted(outputPath, state), true);
+
+  // Without a recorded checksum there is nothing to compare
+  assert.equal(hasExportDrifted(outputPath, { ...state, checksum: null }), false);
+});
+
+test('ignores an unreadable sync state', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const outputPath = tempExport(t, '# Export\n');
+
+  assert.equal(loadSyncState(outputPath), null);
+  fs.writeFileSync(getSyncStatePath(outputPath), '{ not json');
+  assert.equal(loadSyncState(outputPath), null);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeSystemEvent, isSystemEventMessage } from '../src/systemEvents.js';
+
+const alice = { user: { id: 'u-alice', displayName: 'Alice' } };
+
+function event(type, detail) {
+  return {
+    messageType: 'systemEventMessage',
+    body: { contentType: 'html', content: '<systemEventMessage/>' },
+    eventDetail: { '@odata.type': `#microsoft.graph.${type}EventMessageDetail`, ...detail },
+  };
+}
+
+test('describes member changes', () => {
+  const added = event('membersAdded', {
+    initiator: alice,
+    members: [{ id: 'u-bob', displayName: 'Bob' }, { id: 'u-carol', displayName: null }, { id: 'u-dan', displayName: 'Dan' }],
+  });
+
+  assert.ok(isSystemEventMessage(added));
+  assert.equal(describeSystemEvent(added, { 'u-carol': 'Carol' }), 'Alice added Bob, Carol and Dan');
+  assert.equal(
+    describeSystemEvent(event('membersDeleted', { initiator: alice, members: [{ id: 'u-alice', displayName: 'Alice' }] })),
+    'Alice left'
+  );
+});
+
+test('describes renames', () => {
+  assert.equal(
+    describeSystemEvent(event('chatRenamed', { initiator: alice, chatDisplayName: 'Launch' })),
+    'Alice renamed the chat to "Launch"'
+  );
+});
+
+test('describes meetings, recordings and transcripts', () => {
+  assert.equal(
+    describeSystemEvent(event('callStarted', { initiator: alice, callEventType: 'meeting' })),
+    'Alice started a meeting'
+  );
+  assert.equal(
+    describeSystemEvent(event('callEnded', {
+      callEventType: 'meeting',
+      callDuration: 'PT1H5M12.4S',
+      callParticipants: [{ participant: alice }, { participant: { user: { id: 'u-bob' } } }],
+    })),
+    'Meeting ended after 1h 5m (2 participants)'
+  );
+  assert.equal(
+    describeSystemEvent(event('callRecording', {
+      callRecordingDisplayName: 'Standup-20251003.mp4',
+      callRecordingDuration: 'PT14M30S',
+      callRecordingStatus: 'success',
+      callRecordingUrl: 'https://contoso-my.sharepoint.com/recording',
+    })),
+    '[Standup-20251003.mp4](https://contoso-my.sharepoint.com/recording) is available (14m 30s)'
+  );
+  assert.equal(describeSystemEvent(event('callTranscript', {})), 'Transcript is available');
+});
+
+test('names unknown events after their type', () => {
+  assert.equal(describeSystemEvent(event('tabUpdated', {})), 'System event: Tab updated');
+  assert.ok(!isSystemEventMessage({ messageType: 'message' }));
+});
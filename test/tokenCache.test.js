@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { findCachedTokens, removeCachedTokens, saveCachedTokens } from '../src/tokenCache.js';
+import { makeTempDir } from './helpers.js';
+
+function useTempCache(t) {
+  process.env.TOKEN_CACHE_PATH = path.join(makeTempDir(t), 'token-cache.json');
+  delete process.env.TOKEN_CACHE_KEY;
+  return process.env.TOKEN_CACHE_PATH;
+}
+
+const entry = {
+  tenantId: 'Tenant-1',
+  clientId: 'client-1',
+  account: 'alice@contoso.com',
+  accessToken: 'access-secret',
+  refreshToken: 'refresh-secret',
+  expiresAt: Date.now() + 3600000,
+};
+
+test('encrypts tokens on disk and reads them back', (t) => {
+  const cacheFile = useTempCache(t);
+  saveCachedTokens(entry);
+
+  const raw = fs.readFileSync(cacheFile, 'utf8');
+  assert.doesNotMatch(raw, /access-secret|refresh-secret/);
+  assert.equal(fs.statSync(cacheFile).mode & 0o777, 0o600);
+  assert.equal(fs.statSync(path.join(path.dirname(cacheFile), 'token-cache.key')).mode & 0o777, 0o600);
+
+  // Looked up by account, or the most recently used one, case-insensitively
+  assert.equal(findCachedTokens('tenant-1', 'client-1', 'Alice@contoso.com').refreshToken, 'refresh-secret');
+  assert.equal(findCachedTokens('tenant-1', 'CLIENT-1').accessToken, 'access-secret');
+  assert.equal(findCachedTokens('tenant-2', 'client-1'), null);
+
+  removeCachedTokens('tenant-1', 'client-1', 'alice@contoso.com');
+  assert.equal(findCachedTokens('tenant-1', 'client-1'), null);
+});
+
+test('ignores a tampered cache or a changed key', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const cacheFile = useTempCache(t);
+  saveCachedTokens(entry);
+
+  const envelope = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+  const data = Buffer.from(envelope.data, 'base64');
+  data[0] ^= 1;
+  fs.writeFileSync(cacheFile, JSON.stringify({ ...envelope, data: data.toString('base64') }));
+
+  assert.equal(findCachedTokens('tenant-1', 'client-1'), null);
+  assert.equal(warn.mock.callCount(), 1);
+
+  saveCachedTokens(entry);
+  process.env.TOKEN_CACHE_KEY = 'another key';
+  assert.equal(findCachedTokens('tenant-1', 'client-1'), null);
+  delete process.env.TOKEN_CACHE_KEY;
+});